@@ -48,42 +48,22 @@ ADMIN_FUNCTION_NAME=petes-admin-handler-dev
 WEBSITE_URL=$WEBSITE_URL
 
 # Admin Configuration
-ADMIN_PASSWORD=Skiing12!
+ADMIN_USERNAME=admin
 EOF
 
 echo "✅ Created .env file with deployment configuration"
 
-# Try to create a sample meeting
-echo "🚀 Creating sample meeting..."
-curl -s -X POST "$API_URL/meetings" \
-    -H "Content-Type: application/json" \
-    -H "X-Admin-Password: Skiing12!" \
-    -d '{
-        "title": "Welcome Meeting",
-        "description": "Introduction to Pete'\''s Booking System",
-        "date": "2025-06-15",
-        "time": "14:00",
-        "duration": 60,
-        "location": "Conference Room A",
-        "minAttendees": 1,
-        "maxAttendees": 10
-    }' > /dev/null 2>&1 && {
-    echo "✅ Sample meeting created"
-} || {
-    echo "⚠️  Sample meeting creation skipped (API may need a moment)"
-}
-
 echo -e "\n${GREEN}🎉 DEPLOYMENT COMPLETED! 🎉${NC}\n"
 
 echo -e "${BLUE}📋 Your Pete's Booking App is ready:${NC}"
 echo -e "   • Website URL: ${GREEN}$WEBSITE_URL${NC}"
 echo -e "   • API URL: ${GREEN}$API_URL${NC}"
-echo -e "   • Admin Password: ${GREEN}Skiing12!${NC}"
 
 echo -e "\n${BLUE}🚀 Quick Start:${NC}"
 echo -e "   1. Open: ${GREEN}$WEBSITE_URL${NC}"
 echo -e "   2. Book a meeting with your email"
-echo -e "   3. Access admin panel with password: ${GREEN}Skiing12!${NC}"
+echo -e "   3. Create an admin login: ${GREEN}cd lambda && BUCKET_NAME=petes-booking-data-dev-338971307797 npm run create-admin -- --username admin --role owner${NC}"
+echo -e "   4. Log in to the admin panel with that account"
 
 echo -e "\n${BLUE}🧹 Management:${NC}"
 echo -e "   • Run ${GREEN}./cleanup.sh${NC} to remove all resources"
@@ -203,8 +203,11 @@ prepare_lambda_packages() {
             # Create a temporary directory for this lambda
             mkdir -p ".deploy/lambda/$lambda_name"
             
-            # Copy the lambda file and dependencies
+            # Copy the lambda file, shared modules and dependencies
             cp "$lambda_file" ".deploy/lambda/$lambda_name/"
+            if [ -d "lambda/lib" ]; then
+                cp -r lambda/lib ".deploy/lambda/$lambda_name/"
+            fi
             if [ -d "lambda/node_modules" ]; then
                 cp -r lambda/node_modules ".deploy/lambda/$lambda_name/"
             fi
@@ -276,6 +279,19 @@ deploy_infrastructure() {
         --output text \
         --region $AWS_REGION)
     
+    # Scripts run from here must use the same storage as the deployed functions
+    export STORAGE_BACKEND=$(aws cloudformation describe-stacks \
+        --stack-name $STACK_NAME \
+        --query 'Stacks[0].Outputs[?OutputKey==`StorageBackend`].OutputValue' \
+        --output text \
+        --region $AWS_REGION)
+    
+    export DYNAMODB_TABLE_PREFIX=$(aws cloudformation describe-stacks \
+        --stack-name $STACK_NAME \
+        --query 'Stacks[0].Outputs[?OutputKey==`DynamoDbTablePrefix`].OutputValue' \
+        --output text \
+        --region $AWS_REGION)
+    
     export FRONTEND_BUCKET=$(aws cloudformation describe-stacks \
         --stack-name $STACK_NAME \
         --query 'Stacks[0].Outputs[?OutputKey==`FrontendBucketName`].OutputValue' \
@@ -300,6 +316,30 @@ deploy_infrastructure() {
         --output text \
         --region $AWS_REGION)
     
+    export REMINDERS_FUNCTION=$(aws cloudformation describe-stacks \
+        --stack-name $STACK_NAME \
+        --query 'Stacks[0].Outputs[?OutputKey==`RemindersFunctionName`].OutputValue' \
+        --output text \
+        --region $AWS_REGION)
+    
+    export GO_NO_GO_FUNCTION=$(aws cloudformation describe-stacks \
+        --stack-name $STACK_NAME \
+        --query 'Stacks[0].Outputs[?OutputKey==`GoNoGoFunctionName`].OutputValue' \
+        --output text \
+        --region $AWS_REGION)
+    
+    export EXPIRE_HOLDS_FUNCTION=$(aws cloudformation describe-stacks \
+        --stack-name $STACK_NAME \
+        --query 'Stacks[0].Outputs[?OutputKey==`ExpireHoldsFunctionName`].OutputValue' \
+        --output text \
+        --region $AWS_REGION)
+    
+    export PURGE_TRASH_FUNCTION=$(aws cloudformation describe-stacks \
+        --stack-name $STACK_NAME \
+        --query 'Stacks[0].Outputs[?OutputKey==`PurgeTrashFunctionName`].OutputValue' \
+        --output text \
+        --region $AWS_REGION)
+    
     success "Stack outputs retrieved"
     info "API URL: $API_URL"
     info "CloudFront URL: $CLOUDFRONT_URL"
@@ -332,6 +372,34 @@ update_lambda_functions() {
         --zip-file fileb://.deploy/lambda/admin.zip \
         --region $AWS_REGION > /dev/null
     
+    # Update scheduled reminders function
+    info "Updating reminders Lambda function..."
+    retry $MAX_RETRIES aws lambda update-function-code \
+        --function-name $REMINDERS_FUNCTION \
+        --zip-file fileb://.deploy/lambda/reminders.zip \
+        --region $AWS_REGION > /dev/null
+    
+    # Update scheduled go/no-go function
+    info "Updating go/no-go Lambda function..."
+    retry $MAX_RETRIES aws lambda update-function-code \
+        --function-name $GO_NO_GO_FUNCTION \
+        --zip-file fileb://.deploy/lambda/go-no-go.zip \
+        --region $AWS_REGION > /dev/null
+    
+    # Update scheduled hold expiry function
+    info "Updating expire holds Lambda function..."
+    retry $MAX_RETRIES aws lambda update-function-code \
+        --function-name $EXPIRE_HOLDS_FUNCTION \
+        --zip-file fileb://.deploy/lambda/expire-holds.zip \
+        --region $AWS_REGION > /dev/null
+    
+    # Update scheduled trash purge function
+    info "Updating purge trash Lambda function..."
+    retry $MAX_RETRIES aws lambda update-function-code \
+        --function-name $PURGE_TRASH_FUNCTION \
+        --zip-file fileb://.deploy/lambda/purge-trash.zip \
+        --region $AWS_REGION > /dev/null
+    
     success "All Lambda functions updated"
     
     # Wait for functions to be ready
@@ -395,16 +463,56 @@ deploy_frontend() {
     success "Frontend deployed to CloudFront"
 }
 
+# Create the first admin account and log in with it for the deployment checks
+setup_admin_account() {
+    header "Setting Up Admin Account"
+
+    ADMIN_USERNAME=${ADMIN_USERNAME:-admin}
+    local password=${ADMIN_INITIAL_PASSWORD:-$(openssl rand -base64 18)}
+
+    local outcome=$(cd lambda && echo "$password" | BUCKET_NAME=$BUCKET_NAME AWS_REGION=$AWS_REGION \
+        STORAGE_BACKEND=${STORAGE_BACKEND:-s3} DYNAMODB_TABLE_PREFIX=$DYNAMODB_TABLE_PREFIX \
+        node scripts/create-admin.js --username "$ADMIN_USERNAME" --role owner --if-missing 2>&1)
+
+    if echo "$outcome" | grep -q "created"; then
+        ADMIN_GENERATED_PASSWORD=$password
+        success "Admin account '$ADMIN_USERNAME' created"
+    elif echo "$outcome" | grep -q "already exists"; then
+        info "Admin account '$ADMIN_USERNAME' already exists, keeping its password"
+        password=$ADMIN_INITIAL_PASSWORD
+    else
+        warning "Could not set up the admin account: $outcome"
+        password=""
+    fi
+
+    ADMIN_TOKEN=""
+    if [ -n "$password" ]; then
+        ADMIN_TOKEN=$(curl -s -X POST "$API_URL/admin/login" \
+            -H "Content-Type: application/json" \
+            -d "{\"username\": \"$ADMIN_USERNAME\", \"password\": \"$password\"}" \
+            | grep -o '"token":"[^"]*"' | cut -d'"' -f4)
+    fi
+
+    if [ -z "$ADMIN_TOKEN" ]; then
+        warning "No admin session available, skipping the admin checks"
+        info "Set ADMIN_INITIAL_PASSWORD to the admin's password to run them"
+    fi
+}
+
 # Test Lambda function functionality
 test_lambda_functions() {
     header "Testing Lambda Functions"
     
+    if [ -z "$ADMIN_TOKEN" ]; then
+        return
+    fi
+
     info "Testing meetings Lambda function..."
     
     # Test creating a meeting
     local test_response=$(curl -s -X POST "$API_URL/meetings" \
         -H "Content-Type: application/json" \
-        -H "X-Admin-Password: Skiing12!" \
+        -H "Authorization: Bearer $ADMIN_TOKEN" \
         -d '{
             "title": "Test Meeting",
             "description": "Deployment test meeting",
@@ -448,17 +556,25 @@ API_BASE_URL=$API_URL
 DATA_BUCKET_NAME=$BUCKET_NAME
 FRONTEND_BUCKET_NAME=$FRONTEND_BUCKET
 
+# Storage
+STORAGE_BACKEND=$STORAGE_BACKEND
+DYNAMODB_TABLE_PREFIX=$DYNAMODB_TABLE_PREFIX
+
 # Lambda Functions
 BOOKINGS_FUNCTION_NAME=$BOOKINGS_FUNCTION
 MEETINGS_FUNCTION_NAME=$MEETINGS_FUNCTION
 ADMIN_FUNCTION_NAME=$ADMIN_FUNCTION
+REMINDERS_FUNCTION_NAME=$REMINDERS_FUNCTION
+GO_NO_GO_FUNCTION_NAME=$GO_NO_GO_FUNCTION
+EXPIRE_HOLDS_FUNCTION_NAME=$EXPIRE_HOLDS_FUNCTION
+PURGE_TRASH_FUNCTION_NAME=$PURGE_TRASH_FUNCTION
 
 # Frontend
 WEBSITE_URL=$WEBSITE_URL
 CLOUDFRONT_URL=$CLOUDFRONT_URL
 
 # Admin Configuration
-ADMIN_PASSWORD=Skiing12!
+ADMIN_USERNAME=$ADMIN_USERNAME
 EOF
     
     success "Environment file created: .env"
@@ -468,6 +584,10 @@ EOF
 initialize_sample_data() {
     header "Initializing Sample Data"
     
+    if [ -z "$ADMIN_TOKEN" ]; then
+        return
+    fi
+
     info "Creating welcome meeting..."
     
     # Wait a moment for the API to be ready
@@ -478,7 +598,7 @@ initialize_sample_data() {
     
     local response=$(curl -s -w "%{http_code}" -X POST "$API_URL/meetings" \
         -H "Content-Type: application/json" \
-        -H "X-Admin-Password: Skiing12!" \
+        -H "Authorization: Bearer $ADMIN_TOKEN" \
         -d "{
             \"title\": \"Welcome to Pete's Booking System\",
             \"description\": \"Introduction meeting for new users\",
@@ -525,6 +645,7 @@ main() {
     update_lambda_functions
     prepare_frontend
     deploy_frontend
+    setup_admin_account
     test_lambda_functions
     create_env_file
     initialize_sample_data
@@ -535,14 +656,17 @@ main() {
     echo -e "${BLUE}📋 Application Details:${NC}"
     echo -e "   • Website URL: ${GREEN}$WEBSITE_URL${NC}"
     echo -e "   • API URL: ${GREEN}$API_URL${NC}"
-    echo -e "   • Admin Password: ${GREEN}Skiing12!${NC}"
+    echo -e "   • Admin Username: ${GREEN}$ADMIN_USERNAME${NC}"
+    if [ -n "$ADMIN_GENERATED_PASSWORD" ]; then
+        echo -e "   • Admin Password: ${GREEN}$ADMIN_GENERATED_PASSWORD${NC} (shown once, store it somewhere safe)"
+    fi
     echo -e "   • Environment: ${GREEN}$ENVIRONMENT${NC}"
     echo -e "   • AWS Region: ${GREEN}$AWS_REGION${NC}"
     
     echo -e "\n${BLUE}🚀 Quick Start:${NC}"
     echo -e "   1. Open your browser and go to: ${GREEN}$WEBSITE_URL${NC}"
     echo -e "   2. Book a meeting by entering your email"
-    echo -e "   3. Click 'Admin Panel' and use password: ${GREEN}Skiing12!${NC}"
+    echo -e "   3. Click 'Admin Panel' and log in as ${GREEN}$ADMIN_USERNAME${NC}"
     echo -e "   4. Create new meetings and manage bookings"
     echo -e "   5. Export data as CSV from the admin panel"
     
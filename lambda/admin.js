@@ -1,72 +1,135 @@
-const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./lib/repository');
+const { authenticateAdmin, loginAdmin, canManageMeeting } = require('./lib/auth');
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc, meetingStart } = require('./lib/timezone');
+const { validateMeetingFields } = require('./lib/meeting-fields');
+const { validateMeetingDetails, normalizeCategory, normalizeTags, normalizeHost } = require('./lib/meeting-details');
+const { parseCSV, readField, formatCSV } = require('./lib/csv');
+const { XLSX_CONTENT_TYPE, buildWorkbook } = require('./lib/xlsx');
+const { PLACEHOLDERS, DEFAULT_TEMPLATES, TEMPLATE_TYPES, validateTemplate } = require('./lib/templates');
+const { decisionTime, attendeesNeeded } = require('./lib/attendance');
+const { formatAnswer } = require('./lib/questions');
+const { withCors } = require('./lib/cors');
+const { redactEvent } = require('./lib/redact');
+const { summarizeRejections } = require('./lib/abuse');
+const { seatsTaken, withoutVerification } = require('./lib/holds');
+const { adminActor, auditEntry, recordAudit, updateBookings, filterAuditEntries } = require('./lib/audit');
+const { TRASH_RETENTION_DAYS, isTrashed, purgeTime } = require('./lib/trash');
+const { summarizeAttendance } = require('./lib/check-in');
+const { isConfirmedBooking } = require('./lib/waitlist');
+const { locationClashes, clashSummary } = require('./lib/clashes');
 
-const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
-const BUCKET_NAME = process.env.BUCKET_NAME;
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const repository = getRepository();
 
+// Access-Control-Allow-Origin is added per request by withCors
 const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Password',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
-// Helper function to get data from S3
-async function getS3Data(key) {
-    try {
-        const command = new GetObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: key
+// Map of booking ID to 1-based waitlist position within its meeting
+function getWaitlistPositions(bookings) {
+    const positions = {};
+    const counters = {};
+    bookings
+        .filter(b => b.status === 'waitlisted')
+        .sort((a, b) => new Date(a.waitlistedAt) - new Date(b.waitlistedAt))
+        .forEach(entry => {
+            counters[entry.meetingId] = (counters[entry.meetingId] || 0) + 1;
+            positions[entry.id] = counters[entry.meetingId];
         });
-        const result = await s3Client.send(command);
-        const bodyContents = await result.Body.transformToString();
-        return JSON.parse(bodyContents);
-    } catch (error) {
-        if (error.name === 'NoSuchKey') {
-            return null;
-        }
-        throw error;
+    return positions;
+}
+
+// Meetings and their confirmed bookings grouped by something about the meeting, such as its
+// category, busiest first. Meetings without it are grouped under null.
+function groupMeetings(meetings, bookingCounts, keyOf) {
+    const groups = new Map();
+    meetings.forEach(meeting => {
+        const key = keyOf(meeting) || null;
+        const group = groups.get(key) || { key, meetings: 0, bookings: 0 };
+        group.meetings += 1;
+        group.bookings += bookingCounts[meeting.id] || 0;
+        groups.set(key, group);
+    });
+    return [...groups.values()].sort((a, b) => b.bookings - a.bookings);
+}
+
+// Attendance for each attendee across their bookings, matching emails case-insensitively.
+// Waitlist entries and bookings that never went ahead are left out unless they were marked.
+function attendanceByAttendee(bookings) {
+    const byEmail = new Map();
+    bookings
+        .filter(b => isConfirmedBooking(b) || b.attendance)
+        .forEach(booking => {
+            const key = booking.email.toLowerCase();
+            if (!byEmail.has(key)) {
+                byEmail.set(key, { email: booking.email, bookings: [] });
+            }
+            byEmail.get(key).bookings.push(booking);
+        });
+    return [...byEmail.values()].map(({ email, bookings: attendeeBookings }) => ({
+        email,
+        bookings: attendeeBookings.length,
+        ...summarizeAttendance(attendeeBookings)
+    }));
+}
+
+// Meetings and bookings an admin may report on: organisers only see their own meetings.
+// Nothing in the trash is reported on.
+async function getVisibleData(admin) {
+    const [allBookings, allMeetings] = await Promise.all([
+        repository.bookings.list(),
+        repository.meetings.list()
+    ]);
+    const meetings = allMeetings.filter(m => !isTrashed(m));
+    const trashedMeetingIds = new Set(allMeetings.filter(isTrashed).map(m => m.id));
+    const bookings = allBookings.filter(b => !isTrashed(b) && !trashedMeetingIds.has(b.meetingId));
+    if (admin.role !== 'organiser') {
+        return { bookings, meetings };
     }
+
+    const ownMeetings = meetings.filter(m => canManageMeeting(admin, m));
+    const ownMeetingIds = new Set(ownMeetings.map(m => m.id));
+    return {
+        bookings: bookings.filter(b => ownMeetingIds.has(b.meetingId)),
+        meetings: ownMeetings
+    };
 }
 
-// Validate admin password
-function validateAdminPassword(event) {
-    const password = event.headers?.['x-admin-password'] || 
-                    event.headers?.['X-Admin-Password'] ||
-                    event.queryStringParameters?.password;
-    return password === ADMIN_PASSWORD;
+// UTC timestamp for export columns, blank when the meeting's date or time can't be read
+function startsAtUtc(meeting) {
+    const start = meetingStart(meeting);
+    return isNaN(start.getTime()) ? '' : start.toISOString();
 }
 
-// Convert array of objects to CSV string
-function arrayToCSV(data) {
-    if (!data || data.length === 0) {
-        return '';
-    }
-
-    const headers = Object.keys(data[0]);
-    const csvContent = [
-        headers.join(','),
-        ...data.map(row => 
-            headers.map(header => {
-                const value = row[header] || '';
-                // Escape commas and quotes in CSV
-                if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-                    return `"${value.replace(/"/g, '""')}"`;
-                }
-                return value;
-            }).join(',')
-        )
-    ].join('\n');
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Visible meetings and bookings narrowed by the export filters: meetings dated from and to
+// (inclusive, by the date in the meeting's own time zone), one meetingId, or only meetings
+// still to come. Unfiltered exports also keep bookings whose meeting no longer exists.
+async function getExportData(admin, { from, to, meetingId, upcoming } = {}) {
+    const { bookings, meetings } = await getVisibleData(admin);
+    if (!from && !to && !meetingId && !upcoming) {
+        return { bookings, meetings };
+    }
 
-    return csvContent;
+    const now = new Date();
+    const exported = meetings.filter(meeting => (!from || meeting.date >= from)
+        && (!to || meeting.date <= to)
+        && (!meetingId || meeting.id === meetingId)
+        && (!upcoming || meetingStart(meeting) > now));
+    const exportedIds = new Set(exported.map(m => m.id));
+    return {
+        bookings: bookings.filter(b => exportedIds.has(b.meetingId)),
+        meetings: exported
+    };
 }
 
 // Generate comprehensive booking report
-async function generateBookingReport() {
+async function generateBookingReport(admin, filters) {
     try {
-        const [bookings, meetings] = await Promise.all([
-            getS3Data('bookings.json') || [],
-            getS3Data('meetings.json') || []
-        ]);
+        const { bookings, meetings } = await getExportData(admin, filters);
 
         // Create a map of meeting details for quick lookup
         const meetingMap = meetings.reduce((map, meeting) => {
@@ -74,25 +137,46 @@ async function generateBookingReport() {
             return map;
         }, {});
 
+        const waitlistPositions = getWaitlistPositions(bookings);
+
+        // One column per registration question, shared by meetings that ask the same thing
+        const questionLabels = [...new Set(meetings.flatMap(m => (m.questions || []).map(q => q.label)))];
+
         // Enrich bookings with meeting details
         const enrichedBookings = bookings.map(booking => {
             const meeting = meetingMap[booking.meetingId] || {};
+            const answerColumns = {};
+            questionLabels.forEach(label => {
+                const question = (meeting.questions || []).find(q => q.label === label);
+                answerColumns[`Answer: ${label}`] = question ? formatAnswer(question, booking.answers?.[question.id]) : '';
+            });
             return {
                 'Booking ID': booking.id,
                 'Email': booking.email,
+                'Status': booking.status || 'confirmed',
+                'Waitlist Position': waitlistPositions[booking.id] || '',
                 'Meeting Title': meeting.title || booking.meetingTitle || 'Unknown',
                 'Meeting Date': meeting.date || 'Unknown',
                 'Meeting Time': meeting.time || 'Unknown',
+                'Meeting Time Zone': meeting.id ? meeting.timeZone || DEFAULT_TIME_ZONE : 'Unknown',
+                'Meeting Starts At (UTC)': meeting.id ? startsAtUtc(meeting) : '',
                 'Meeting Duration (minutes)': meeting.duration || 'Unknown',
                 'Meeting Location': meeting.location || '',
-                'Booked At': booking.bookedAt,
+                'Booked At': booking.bookedAt || '',
+                'Waitlisted At': booking.waitlistedAt || '',
+                'Promoted At': booking.promotedAt || '',
+                'Cancelled At': booking.cancelledAt || '',
+                'Attendance': booking.attendance || '',
+                'Attendance Marked At': booking.attendanceMarkedAt || '',
                 'Meeting Max Attendees': meeting.maxAttendees || 'Unlimited',
-                'Meeting Min Attendees': meeting.minAttendees || 'None'
+                'Meeting Min Attendees': meeting.minAttendees || 'None',
+                ...answerColumns
             };
         });
 
-        // Sort by booking date (most recent first)
-        enrichedBookings.sort((a, b) => new Date(b['Booked At']) - new Date(a['Booked At']));
+        // Sort by booking date (most recent first), waitlist entries by when they joined
+        const sortDate = row => new Date(row['Booked At'] || row['Waitlisted At']);
+        enrichedBookings.sort((a, b) => sortDate(b) - sortDate(a));
 
         return enrichedBookings;
     } catch (error) {
@@ -102,22 +186,30 @@ async function generateBookingReport() {
 }
 
 // Generate meetings summary report
-async function generateMeetingsSummary() {
+async function generateMeetingsSummary(admin, filters) {
     try {
-        const [bookings, meetings] = await Promise.all([
-            getS3Data('bookings.json') || [],
-            getS3Data('meetings.json') || []
-        ]);
+        const { bookings, meetings } = await getExportData(admin, filters);
 
-        // Calculate attendee counts for each meeting
-        const attendeeCounts = bookings.reduce((counts, booking) => {
-            counts[booking.meetingId] = (counts[booking.meetingId] || 0) + 1;
-            return counts;
-        }, {});
+        // Calculate attendee, waitlist and cancellation counts for each meeting. Unverified
+        // and expired holds are left out.
+        const attendeeCounts = {};
+        const waitlistCounts = {};
+        const cancellationCounts = {};
+        bookings.forEach(booking => {
+            const counts = booking.status === 'waitlisted' ? waitlistCounts
+                : booking.status === 'cancelled' ? cancellationCounts
+                : isConfirmedBooking(booking) ? attendeeCounts
+                : null;
+            if (counts) {
+                counts[booking.meetingId] = (counts[booking.meetingId] || 0) + 1;
+            }
+        });
 
-        // Create meetings summary
-        const meetingsSummary = meetings.map(meeting => {
+        // Sort by start time, then create meetings summary
+        const sortedMeetings = [...meetings].sort((a, b) => meetingStart(a) - meetingStart(b));
+        const meetingsSummary = sortedMeetings.map(meeting => {
             const currentAttendees = attendeeCounts[meeting.id] || 0;
+            const attendance = summarizeAttendance(bookings.filter(b => b.meetingId === meeting.id));
             const spotsRemaining = meeting.maxAttendees ? meeting.maxAttendees - currentAttendees : 'Unlimited';
             
             return {
@@ -126,24 +218,30 @@ async function generateMeetingsSummary() {
                 'Description': meeting.description || '',
                 'Date': meeting.date,
                 'Time': meeting.time,
+                'Time Zone': meeting.timeZone || DEFAULT_TIME_ZONE,
+                'Starts At (UTC)': startsAtUtc(meeting),
                 'Duration (minutes)': meeting.duration,
                 'Location': meeting.location || '',
+                'Category': meeting.category || '',
+                'Tags': (meeting.tags || []).join(', '),
+                'Host': meeting.host?.name || '',
+                'Host Bio': meeting.host?.bio || '',
                 'Current Attendees': currentAttendees,
                 'Max Attendees': meeting.maxAttendees || 'Unlimited',
                 'Min Attendees': meeting.minAttendees || 'None',
+                'Go/No-Go': meeting.status === 'confirmed' ? 'Confirmed' : meeting.status === 'cancelled' ? 'Cancelled' : meeting.minAttendees ? 'Pending' : '',
                 'Spots Remaining': spotsRemaining,
+                'Waitlist': waitlistCounts[meeting.id] || 0,
+                'Cancellations': cancellationCounts[meeting.id] || 0,
+                'Present': attendance.present,
+                'No-shows': attendance.noShows,
+                'Late Cancels': attendance.lateCancels,
+                'Attendance Rate (%)': attendance.attendanceRate ?? '',
                 'Created At': meeting.createdAt,
                 'Updated At': meeting.updatedAt || ''
             };
         });
 
-        // Sort by date and time
-        meetingsSummary.sort((a, b) => {
-            const dateA = new Date(`${a.Date}T${a.Time}`);
-            const dateB = new Date(`${b.Date}T${b.Time}`);
-            return dateA - dateB;
-        });
-
         return meetingsSummary;
     } catch (error) {
         console.error('Error generating meetings summary:', error);
@@ -151,73 +249,151 @@ async function generateMeetingsSummary() {
     }
 }
 
-// Export bookings data as CSV
+// Generate attendance report, one row per attendee, most no-shows first
+async function generateAttendeeReport(admin, filters) {
+    try {
+        const { bookings } = await getExportData(admin, filters);
+        return attendanceByAttendee(bookings)
+            .sort((a, b) => b.noShows - a.noShows || a.email.localeCompare(b.email))
+            .map(attendee => ({
+                'Email': attendee.email,
+                'Bookings': attendee.bookings,
+                'Present': attendee.present,
+                'No-shows': attendee.noShows,
+                'Late Cancels': attendee.lateCancels,
+                'Attendance Rate (%)': attendee.attendanceRate ?? ''
+            }));
+    } catch (error) {
+        console.error('Error generating attendee report:', error);
+        throw new Error('Failed to generate attendee report');
+    }
+}
+
+// Exchange a username and password for a session token
+async function adminLogin(event) {
+    try {
+        const { username, password } = JSON.parse(event.body || '{}');
+        if (!username || !password) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Username and password are required' })
+            };
+        }
+
+        const result = await loginAdmin(username, password);
+        if (result.error) {
+            return {
+                statusCode: result.statusCode,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: result.error })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify(result)
+        };
+    } catch (error) {
+        console.error('Error logging in:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to log in' })
+        };
+    }
+}
+
+// Export file formats, and the file name each report type is saved under
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: XLSX_CONTENT_TYPE, extension: 'xlsx' },
+    json: { contentType: 'application/json', extension: 'json' }
+};
+const EXPORT_FILE_NAMES = {
+    bookings: 'bookings-export',
+    meetings: 'meetings-summary',
+    attendees: 'attendance-report',
+    combined: 'complete-export'
+};
+
+// Export bookings data (owners, and organisers for their own meetings). type is bookings,
+// meetings, attendees or combined; format is csv, xlsx or json. The combined report has a
+// sheet for each of the others, so it comes as xlsx (the default) or json but not csv.
+// Narrow it with from and to (YYYY-MM-DD), meetingId and upcoming=true.
 async function exportBookings(event) {
-    if (!validateAdminPassword(event)) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
         return {
-            statusCode: 401,
+            statusCode: auth.statusCode,
             headers: corsHeaders,
-            body: JSON.stringify({ error: 'Invalid admin password' })
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    const { type = 'bookings', format, from, to, meetingId, upcoming } = event.queryStringParameters || {};
+    const exportFormat = format || (type === 'combined' ? 'xlsx' : 'csv');
+    let validationError = null;
+    if (!EXPORT_FILE_NAMES[type]) {
+        validationError = 'Invalid report type. Use: bookings, meetings, attendees, or combined';
+    } else if (!EXPORT_FORMATS[exportFormat]) {
+        validationError = 'Invalid format. Use: csv, xlsx, or json';
+    } else if (type === 'combined' && exportFormat === 'csv') {
+        validationError = 'The combined report has several sheets, export it as xlsx or json';
+    } else if ([from, to].some(date => date && (!DATE_PATTERN.test(date) || isNaN(new Date(date).getTime())))) {
+        validationError = 'Dates must be in YYYY-MM-DD format';
+    } else if (from && to && from > to) {
+        validationError = 'The start date must not be after the end date';
+    } else if (upcoming !== undefined && !['true', 'false'].includes(upcoming)) {
+        validationError = 'Upcoming must be true or false';
+    }
+    if (validationError) {
+        return {
+            statusCode: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: validationError })
         };
     }
 
     try {
-        const reportType = event.queryStringParameters?.type || 'bookings';
-        let csvData;
-        let filename;
-
-        switch (reportType) {
-            case 'bookings':
-                const bookingReport = await generateBookingReport();
-                csvData = arrayToCSV(bookingReport);
-                filename = `bookings-export-${new Date().toISOString().split('T')[0]}.csv`;
-                break;
-            
-            case 'meetings':
-                const meetingsSummary = await generateMeetingsSummary();
-                csvData = arrayToCSV(meetingsSummary);
-                filename = `meetings-summary-${new Date().toISOString().split('T')[0]}.csv`;
-                break;
-            
-            case 'combined':
-                const [bookings, meetings] = await Promise.all([
-                    generateBookingReport(),
-                    generateMeetingsSummary()
-                ]);
-                
-                const combinedData = [
-                    '=== BOOKINGS REPORT ===',
-                    arrayToCSV(bookings),
-                    '',
-                    '',
-                    '=== MEETINGS SUMMARY ===',
-                    arrayToCSV(meetings)
-                ].join('\n');
-                
-                csvData = combinedData;
-                filename = `complete-export-${new Date().toISOString().split('T')[0]}.csv`;
-                break;
-            
-            default:
-                return {
-                    statusCode: 400,
-                    headers: corsHeaders,
-                    body: JSON.stringify({ 
-                        error: 'Invalid report type. Use: bookings, meetings, or combined' 
-                    })
-                };
+        const filters = { from, to, meetingId, upcoming: upcoming === 'true' };
+        const sheets = [];
+        if (['bookings', 'combined'].includes(type)) {
+            sheets.push({ name: 'Bookings', rows: await generateBookingReport(auth.admin, filters) });
+        }
+        if (['meetings', 'combined'].includes(type)) {
+            sheets.push({ name: 'Meetings', rows: await generateMeetingsSummary(auth.admin, filters) });
+        }
+        if (['attendees', 'combined'].includes(type)) {
+            sheets.push({ name: 'Attendees', rows: await generateAttendeeReport(auth.admin, filters) });
         }
 
-        // Return CSV data with appropriate headers
+        let body;
+        if (exportFormat === 'csv') {
+            body = formatCSV(sheets[0].rows);
+        } else if (exportFormat === 'xlsx') {
+            body = buildWorkbook(sheets).toString('base64');
+        } else {
+            body = JSON.stringify({
+                exportedAt: new Date().toISOString(),
+                filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+                ...Object.fromEntries(sheets.map(sheet => [sheet.name.toLowerCase(), sheet.rows]))
+            }, null, 2);
+        }
+        const filename = `${EXPORT_FILE_NAMES[type]}-${new Date().toISOString().split('T')[0]}.${EXPORT_FORMATS[exportFormat].extension}`;
+
+        // API Gateway turns the base64 body back into the workbook's bytes
         return {
             statusCode: 200,
             headers: {
                 ...corsHeaders,
-                'Content-Type': 'text/csv',
+                'Content-Type': EXPORT_FORMATS[exportFormat].contentType,
                 'Content-Disposition': `attachment; filename="${filename}"`,
                 'Cache-Control': 'no-cache'
             },
-            body: csvData
+            body,
+            isBase64Encoded: exportFormat === 'xlsx'
         };
 
     } catch (error) {
@@ -230,33 +406,590 @@ async function exportBookings(event) {
     }
 }
 
-// Get admin dashboard statistics
+// Meetings and bookings in the trash, most recently deleted first, with when each will be
+// purged (owners, and organisers for their own meetings). A trashed meeting's bookings come
+// back with it, so only bookings trashed on their own are listed separately.
+async function getTrash(event) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const meetings = (await repository.meetings.list()).filter(m => canManageMeeting(auth.admin, m));
+        const bookingsByMeeting = await repository.bookings.listByMeetings(meetings.map(m => m.id));
+        const newestFirst = (a, b) => b.deletedAt.localeCompare(a.deletedAt);
+
+        const trashedMeetings = meetings
+            .filter(isTrashed)
+            .map(meeting => ({
+                ...meeting,
+                bookingsCount: bookingsByMeeting[meeting.id].filter(b => !isTrashed(b)).length,
+                purgeAt: purgeTime(meeting).toISOString()
+            }))
+            .sort(newestFirst);
+        const trashedBookings = meetings
+            .filter(m => !isTrashed(m))
+            .flatMap(meeting => bookingsByMeeting[meeting.id].filter(isTrashed))
+            .map(booking => ({ ...withoutVerification(booking), purgeAt: purgeTime(booking).toISOString() }))
+            .sort(newestFirst);
+
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                retentionDays: TRASH_RETENTION_DAYS,
+                meetings: trashedMeetings,
+                bookings: trashedBookings
+            })
+        };
+    } catch (error) {
+        console.error('Error getting trash:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to get trash' })
+        };
+    }
+}
+
+// Rows a single import may hold, so its preview fits in one response
+const MAX_IMPORT_ROWS = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Columns each kind of import needs, named as the exports name them, so the meetings summary
+// and bookings exports can be edited and imported again. Other columns are ignored.
+const IMPORT_COLUMNS = {
+    meetings: ['Title', 'Date', 'Time', 'Duration (minutes)'],
+    bookings: ['Email']
+};
+
+// The data rows of an import as { line, values }, values keyed by lower case column name, or
+// an error message when the file can't be imported at all
+function readImportRows(type, csv) {
+    if (!IMPORT_COLUMNS[type]) {
+        return { error: 'Import type must be meetings or bookings' };
+    }
+    if (typeof csv !== 'string' || !csv.trim()) {
+        return { error: 'The CSV file is empty' };
+    }
+
+    const { records, error } = parseCSV(csv);
+    if (error) {
+        return { error };
+    }
+    if (records.length < 2) {
+        return { error: 'The CSV file needs a header row and at least one row to import' };
+    }
+    if (records.length - 1 > MAX_IMPORT_ROWS) {
+        return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` };
+    }
+
+    const [header, ...dataRecords] = records;
+    const columns = header.fields.map(name => name.trim().toLowerCase());
+    const missing = IMPORT_COLUMNS[type].filter(name => !columns.includes(name.toLowerCase()));
+    if (missing.length > 0) {
+        return { error: `The CSV file has no ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}` };
+    }
+    if (type === 'bookings' && !columns.includes('meeting id') && !(columns.includes('meeting title') && columns.includes('meeting date'))) {
+        return { error: 'The CSV file needs a Meeting ID column, or Meeting Title and Meeting Date columns' };
+    }
+
+    const rows = dataRecords.map(record => {
+        const values = {};
+        columns.forEach((column, index) => {
+            values[column] = readField((record.fields[index] || '').trim());
+        });
+        return { line: record.line, values };
+    });
+    return { rows };
+}
+
+// A new meeting from a row of the meetings summary export, or an error message. Counts and
+// other columns the export works out are ignored; 'Unlimited' and 'None' mean no limit.
+function meetingFromRow(values, admin, now) {
+    const title = values['title'];
+    const date = values['date'];
+    const time = values['time'];
+    const timeZone = values['time zone'] || DEFAULT_TIME_ZONE;
+    const duration = values['duration (minutes)'];
+    const limits = {};
+    for (const [column, field, none] of [['Max Attendees', 'maxAttendees', 'unlimited'], ['Min Attendees', 'minAttendees', 'none']]) {
+        const value = values[column.toLowerCase()] || '';
+        if (value === '' || value.toLowerCase() === none) {
+            limits[field] = null;
+        } else if (/^[1-9]\d*$/.test(value)) {
+            limits[field] = parseInt(value);
+        } else {
+            return { error: `${column} must be a whole number above zero` };
+        }
+    }
+
+    const details = {
+        category: (values['category'] || '').toLowerCase(),
+        tags: values['tags'] || '',
+        host: { name: values['host'] || '', bio: values['host bio'] || '' }
+    };
+
+    const validationError = validateMeetingFields({ title, date, time, timeZone, duration, ...limits })
+        || validateMeetingDetails(details);
+    if (validationError) {
+        return { error: validationError };
+    }
+
+    return {
+        meeting: {
+            id: uuidv4(),
+            title,
+            description: values['description'] || '',
+            date,
+            time,
+            timeZone,
+            startsAt: zonedTimeToUtc(date, time, timeZone).toISOString(),
+            duration: parseInt(duration),
+            minAttendees: limits.minAttendees,
+            maxAttendees: limits.maxAttendees,
+            location: values['location'] || '',
+            category: normalizeCategory(details.category),
+            tags: normalizeTags(details.tags),
+            host: normalizeHost(details.host),
+            questions: [],
+            requireVerification: false,
+            createdAt: now.toISOString(),
+            createdBy: admin.id,
+            currentAttendees: 0
+        }
+    };
+}
+
+// Create a meeting per row. A row repeats a meeting when its Meeting ID is already taken, or
+// when a live meeting or an earlier row has the same title, date and time. A row conflicts
+// when its location is in use at that time by a meeting or an earlier row; with allowConflicts
+// it is imported anyway and still reported.
+async function importMeetings(rows, admin, dryRun, allowConflicts) {
+    const result = { imported: [], errors: [], duplicates: [], conflicts: [] };
+    const now = new Date();
+    const existing = await repository.meetings.list();
+    const existingIds = new Set(existing.map(m => m.id));
+    const meetingKey = meeting => `${meeting.title.toLowerCase()}|${meeting.date}|${meeting.time}`;
+    const seen = new Map(existing.filter(m => !isTrashed(m)).map(m => [meetingKey(m), 'an existing meeting']));
+
+    rows.forEach(({ line, values }) => {
+        const { meeting, error } = meetingFromRow(values, admin, now);
+        if (error) {
+            result.errors.push({ line, message: error });
+            return;
+        }
+        const meetingId = values['meeting id'];
+        if (meetingId && existingIds.has(meetingId)) {
+            result.duplicates.push({ line, message: `A meeting with ID ${meetingId} already exists` });
+            return;
+        }
+        const key = meetingKey(meeting);
+        if (seen.has(key)) {
+            result.duplicates.push({ line, message: `${meeting.title} on ${meeting.date} at ${meeting.time} repeats ${seen.get(key)}` });
+            return;
+        }
+        const clashes = locationClashes([meeting], [...existing, ...result.imported.map(entry => entry.meeting)]);
+        if (clashes.length > 0) {
+            const names = clashes.map(m => `${m.title} (${m.date} ${m.time})`).join(', ');
+            result.conflicts.push({
+                line,
+                message: `${meeting.location} is already in use at that time by ${names}`,
+                conflicts: clashes.map(clashSummary)
+            });
+            if (!allowConflicts) {
+                return;
+            }
+        }
+        seen.set(key, `line ${line}`);
+        result.imported.push({ line, meeting });
+    });
+
+    if (!dryRun) {
+        for (const { meeting } of result.imported) {
+            await repository.meetings.create(meeting);
+        }
+        await recordAudit(repository, result.imported.map(({ meeting }) => auditEntry(adminActor(admin), 'meeting.create', { after: meeting, now })));
+    }
+    return result;
+}
+
+// The meeting a bookings row is for, found by Meeting ID or by title and date (and time,
+// where one day has more than one meeting of that title), or an error message
+function meetingForRow(values, meetings) {
+    const meetingId = values['meeting id'];
+    if (meetingId) {
+        const meeting = meetings.find(m => m.id === meetingId);
+        return meeting ? { meeting } : { error: `No meeting has ID ${meetingId}` };
+    }
+
+    const title = values['meeting title'] || '';
+    const date = values['meeting date'] || '';
+    const time = values['meeting time'] || '';
+    if (!title || !date) {
+        return { error: 'Each booking needs a Meeting ID, or a Meeting Title and Meeting Date' };
+    }
+    const matches = meetings.filter(m => m.title.toLowerCase() === title.toLowerCase() && m.date === date && (!time || m.time === time));
+    if (matches.length === 0) {
+        return { error: `No meeting called ${title} on ${date}${time ? ` at ${time}` : ''}` };
+    }
+    if (matches.length > 1) {
+        return { error: `More than one meeting is called ${title} on ${date}, add a Meeting Time` };
+    }
+    return { meeting: matches[0] };
+}
+
+// Check one meeting's import rows against its current bookings. Rows for someone who already
+// has a place, or who is on an earlier row, are duplicates; rows past maxAttendees are
+// capacity violations. The rest become confirmed bookings.
+function checkBookingRows(rows, meeting, bookings, admin, now) {
+    const result = { imported: [], duplicates: [], capacityViolations: [] };
+    const booked = new Map(bookings
+        .filter(b => !['cancelled', 'expired', 'deleted'].includes(b.status))
+        .map(b => [b.email.toLowerCase(), 'already has a place on']));
+    let seats = seatsTaken(bookings, meeting.id, now);
+
+    rows.forEach(({ line, email }) => {
+        if (booked.has(email.toLowerCase())) {
+            result.duplicates.push({ line, message: `${email} ${booked.get(email.toLowerCase())} ${meeting.title}` });
+        } else if (meeting.maxAttendees && seats >= meeting.maxAttendees) {
+            result.capacityViolations.push({ line, message: `${meeting.title} is full at ${meeting.maxAttendees} attendees` });
+        } else {
+            booked.set(email.toLowerCase(), `is already on line ${line} for`);
+            seats++;
+            result.imported.push({
+                line,
+                booking: {
+                    id: uuidv4(),
+                    email,
+                    meetingId: meeting.id,
+                    status: 'confirmed',
+                    bookedAt: now.toISOString(),
+                    meetingTitle: meeting.title,
+                    answers: {},
+                    importedBy: admin.username
+                }
+            });
+        }
+    });
+    return result;
+}
+
+// Book each row's attendee onto its meeting. Only meetings the admin manages can be named,
+// and imported bookings are confirmed without emailing anyone.
+async function importBookings(rows, admin, dryRun) {
+    const result = { imported: [], errors: [], duplicates: [], capacityViolations: [] };
+    const now = new Date();
+    const meetings = (await repository.meetings.list()).filter(m => !isTrashed(m) && canManageMeeting(admin, m));
+
+    const rowsByMeeting = new Map();
+    rows.forEach(({ line, values }) => {
+        const email = values['email'];
+        const status = (values['status'] || 'confirmed').toLowerCase();
+        const { meeting, error } = meetingForRow(values, meetings);
+        let rowError = error;
+        if (!EMAIL_PATTERN.test(email)) {
+            rowError = email ? `${email} is not a valid email address` : 'Email is required';
+        } else if (status !== 'confirmed') {
+            rowError = `Only confirmed bookings can be imported, this one is ${status}`;
+        } else if (meeting?.status === 'cancelled') {
+            rowError = `${meeting.title} on ${meeting.date} has been cancelled`;
+        }
+        if (rowError) {
+            result.errors.push({ line, message: rowError });
+            return;
+        }
+
+        if (!rowsByMeeting.has(meeting.id)) {
+            rowsByMeeting.set(meeting.id, { meeting, meetingRows: [] });
+        }
+        rowsByMeeting.get(meeting.id).meetingRows.push({ line, email });
+    });
+
+    const bookingsByMeeting = await repository.bookings.listByMeetings([...rowsByMeeting.keys()]);
+    for (const { meeting, meetingRows } of rowsByMeeting.values()) {
+        let checked = checkBookingRows(meetingRows, meeting, bookingsByMeeting[meeting.id], admin, now);
+        if (!dryRun) {
+            // Checked again inside the update in case anyone has booked since
+            await updateBookings(repository, meeting.id, adminActor(admin), bookings => {
+                checked = checkBookingRows(meetingRows, meeting, bookings, admin, now);
+                if (checked.imported.length === 0) {
+                    return false;
+                }
+                bookings.push(...checked.imported.map(entry => entry.booking));
+            });
+        }
+        result.imported.push(...checked.imported);
+        result.duplicates.push(...checked.duplicates);
+        result.capacityViolations.push(...checked.capacityViolations);
+    }
+    return result;
+}
+
+// Import meetings or bookings from CSV (owners, and organisers for their own meetings). The
+// body is { type, csv, dryRun, allowConflicts }. A dry run, the default, changes nothing and
+// reports what would be imported, with the line of every row that would be left out and why.
+// Otherwise the rows that pass are imported and the rest reported the same way.
+async function importData(event) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const { type, csv, dryRun, allowConflicts } = JSON.parse(event.body || '{}');
+        const { rows, error } = readImportRows(type, csv);
+        if (error) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error })
+            };
+        }
+
+        const preview = dryRun !== false;
+        const result = type === 'meetings'
+            ? await importMeetings(rows, auth.admin, preview, !!allowConflicts)
+            : await importBookings(rows, auth.admin, preview);
+        const byLine = (a, b) => a.line - b.line;
+
+        return {
+            statusCode: preview ? 200 : 201,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                message: preview
+                    ? `${result.imported.length} of ${rows.length} rows can be imported`
+                    : `Imported ${result.imported.length} of ${rows.length} rows`,
+                type,
+                dryRun: preview,
+                rowCount: rows.length,
+                imported: result.imported.sort(byLine),
+                errors: result.errors.sort(byLine),
+                duplicates: result.duplicates.sort(byLine),
+                ...(type === 'meetings'
+                    ? { conflicts: result.conflicts.sort(byLine) }
+                    : { capacityViolations: result.capacityViolations.sort(byLine) })
+            })
+        };
+    } catch (error) {
+        console.error('Error importing data:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to import data' })
+        };
+    }
+}
+
+const DEFAULT_AUDIT_LIMIT = 500;
+// Longer ranges read the whole log rather than asking for each day
+const MAX_AUDIT_RANGE_DAYS = 366;
+
+// Every day from one YYYY-MM-DD to another, inclusive
+function daysBetween(from, to) {
+    const days = [];
+    for (let day = new Date(`${from}T00:00:00Z`); day.toISOString().slice(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+        days.push(day.toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+// Audit trail of meeting and booking changes, newest first (owners only). Filter with
+// meetingId, email and a from/to date range; limit caps the number of entries returned.
+async function getAuditLog(event) {
+    const auth = authenticateAdmin(event, ['owner']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    const { meetingId, email, from, to, limit } = event.queryStringParameters || {};
+    const maxEntries = limit === undefined ? DEFAULT_AUDIT_LIMIT : parseInt(limit);
+    let validationError = null;
+    if ([from, to].some(date => date && (!DATE_PATTERN.test(date) || isNaN(new Date(date).getTime())))) {
+        validationError = 'Dates must be in YYYY-MM-DD format';
+    } else if (from && to && from > to) {
+        validationError = 'The start date must not be after the end date';
+    } else if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        validationError = 'Limit must be a positive whole number';
+    }
+    if (validationError) {
+        return {
+            statusCode: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: validationError })
+        };
+    }
+
+    try {
+        let entries;
+        const days = from && to ? daysBetween(from, to) : null;
+        if (days && days.length <= MAX_AUDIT_RANGE_DAYS) {
+            entries = Object.values(await repository.auditLog.listByDays(days)).flat();
+        } else {
+            entries = await repository.auditLog.list();
+        }
+
+        const matching = filterAuditEntries(entries, { meetingId, email, from, to });
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                entries: matching.slice(0, maxEntries),
+                total: matching.length,
+                truncated: matching.length > maxEntries
+            })
+        };
+    } catch (error) {
+        console.error('Error getting audit log:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to get audit log' })
+        };
+    }
+}
+
+// Email templates as attendees will receive them: the saved version where an owner has
+// edited one, otherwise the default
+async function getTemplates(event) {
+    const auth = authenticateAdmin(event, ['owner']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const saved = await repository.templates.list();
+        const templates = TEMPLATE_TYPES.map(type => {
+            const edited = saved.find(template => template.id === type);
+            return {
+                type,
+                name: DEFAULT_TEMPLATES[type].name,
+                subject: edited ? edited.subject : DEFAULT_TEMPLATES[type].subject,
+                text: edited ? edited.text : DEFAULT_TEMPLATES[type].text,
+                customised: !!edited,
+                updatedAt: edited?.updatedAt || null,
+                updatedBy: edited?.updatedBy || null
+            };
+        });
+
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({ templates, placeholders: PLACEHOLDERS })
+        };
+    } catch (error) {
+        console.error('Error getting templates:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to get templates' })
+        };
+    }
+}
+
+// Replace the subject and text of one email template (owners only)
+async function updateTemplate(event) {
+    const auth = authenticateAdmin(event, ['owner']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const type = event.pathParameters?.type;
+        if (!TEMPLATE_TYPES.includes(type)) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Template not found' })
+            };
+        }
+
+        const { subject, text } = JSON.parse(event.body || '{}');
+        const validationError = validateTemplate({ subject, text });
+        if (validationError) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: validationError })
+            };
+        }
+
+        const template = {
+            id: type,
+            subject,
+            text,
+            updatedAt: new Date().toISOString(),
+            updatedBy: auth.admin.username
+        };
+        await repository.templates.put(template);
+
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                message: 'Template saved',
+                template: { type, name: DEFAULT_TEMPLATES[type].name, subject, text, customised: true, updatedAt: template.updatedAt, updatedBy: template.updatedBy }
+            })
+        };
+    } catch (error) {
+        console.error('Error updating template:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to save template' })
+        };
+    }
+}
+
+// Get admin dashboard statistics, limited to their own meetings for organisers
 async function getAdminStats(event) {
-    if (!validateAdminPassword(event)) {
+    const auth = authenticateAdmin(event);
+    if (auth.error) {
         return {
-            statusCode: 401,
+            statusCode: auth.statusCode,
             headers: corsHeaders,
-            body: JSON.stringify({ error: 'Invalid admin password' })
+            body: JSON.stringify({ error: auth.error })
         };
     }
 
     try {
-        const [bookings, meetings] = await Promise.all([
-            getS3Data('bookings.json') || [],
-            getS3Data('meetings.json') || []
-        ]);
+        const { bookings: allBookings, meetings } = await getVisibleData(auth.admin);
+
+        const bookings = allBookings.filter(isConfirmedBooking);
+        const waitlistEntries = allBookings.filter(b => b.status === 'waitlisted');
+        const cancellations = allBookings.filter(b => b.status === 'cancelled');
 
         // Calculate statistics
         const totalBookings = bookings.length;
+        const totalWaitlisted = waitlistEntries.length;
+        const totalCancellations = cancellations.length;
         const totalMeetings = meetings.length;
         const uniqueAttendees = new Set(bookings.map(b => b.email)).size;
         
         // Meetings by status
         const now = new Date();
-        const upcomingMeetings = meetings.filter(m => {
-            const meetingDate = new Date(`${m.date}T${m.time}`);
-            return meetingDate > now;
-        }).length;
+        const upcomingMeetings = meetings.filter(m => meetingStart(m) > now).length;
         
         const pastMeetings = totalMeetings - upcomingMeetings;
         
@@ -271,19 +1004,69 @@ async function getAdminStats(event) {
                 title: meeting.title,
                 date: meeting.date,
                 time: meeting.time,
-                bookingCount: meetingBookingCounts[meeting.id] || 0
+                timeZone: meeting.timeZone || DEFAULT_TIME_ZONE,
+                startsAt: startsAtUtc(meeting),
+                bookingCount: meetingBookingCounts[meeting.id] || 0,
+                waitlistCount: waitlistEntries.filter(w => w.meetingId === meeting.id).length,
+                cancellationCount: cancellations.filter(c => c.meetingId === meeting.id).length
             }))
             .sort((a, b) => b.bookingCount - a.bookingCount)
             .slice(0, 5);
 
+        // Upcoming meetings still short of their minimum, soonest decision first
+        const atRiskMeetings = meetings
+            .filter(meeting => meetingStart(meeting) > now)
+            .map(meeting => ({
+                id: meeting.id,
+                title: meeting.title,
+                date: meeting.date,
+                time: meeting.time,
+                timeZone: meeting.timeZone || DEFAULT_TIME_ZONE,
+                startsAt: startsAtUtc(meeting),
+                minAttendees: meeting.minAttendees,
+                bookingCount: meetingBookingCounts[meeting.id] || 0,
+                attendeesNeeded: attendeesNeeded(meeting, meetingBookingCounts[meeting.id] || 0),
+                decisionAt: meeting.minAttendees ? decisionTime(meeting).toISOString() : null
+            }))
+            .filter(meeting => meeting.attendeesNeeded > 0)
+            .sort((a, b) => new Date(a.decisionAt) - new Date(b.decisionAt));
+
+        // Meetings with attendance marked, most recent first
+        const attendanceByMeeting = meetings
+            .map(meeting => ({
+                id: meeting.id,
+                title: meeting.title,
+                date: meeting.date,
+                time: meeting.time,
+                timeZone: meeting.timeZone || DEFAULT_TIME_ZONE,
+                startsAt: startsAtUtc(meeting),
+                ...summarizeAttendance(allBookings.filter(b => b.meetingId === meeting.id))
+            }))
+            .filter(meeting => meeting.attendanceRate !== null)
+            .sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt))
+            .slice(0, 10);
+
+        // Bookings for each kind of meeting and each host
+        const bookingsByCategory = groupMeetings(meetings, meetingBookingCounts, meeting => meeting.category)
+            .map(({ key, ...counts }) => ({ category: key, ...counts }));
+        const bookingsByHost = groupMeetings(meetings, meetingBookingCounts, meeting => meeting.host?.name)
+            .map(({ key, ...counts }) => ({ host: key, ...counts }));
+
+        // Attendees who most often don't turn up
+        const frequentNoShows = attendanceByAttendee(allBookings)
+            .filter(attendee => attendee.noShows > 0)
+            .sort((a, b) => b.noShows - a.noShows || a.email.localeCompare(b.email))
+            .slice(0, 10);
+
         // Recent bookings
         const recentBookings = bookings
             .sort((a, b) => new Date(b.bookedAt) - new Date(a.bookedAt))
             .slice(0, 10)
             .map(booking => {
                 const meeting = meetings.find(m => m.id === booking.meetingId);
+                // Viewers get the numbers, not the attendees' addresses
                 return {
-                    email: booking.email,
+                    ...(auth.admin.role !== 'viewer' && { email: booking.email }),
                     meetingTitle: meeting?.title || booking.meetingTitle,
                     bookedAt: booking.bookedAt
                 };
@@ -292,13 +1075,24 @@ async function getAdminStats(event) {
         const stats = {
             overview: {
                 totalBookings,
+                totalWaitlisted,
+                totalCancellations,
                 totalMeetings,
                 uniqueAttendees,
                 upcomingMeetings,
                 pastMeetings
             },
             popularMeetings,
+            atRiskMeetings,
             recentBookings,
+            bookingsByCategory,
+            bookingsByHost,
+            attendance: summarizeAttendance(allBookings),
+            attendanceByMeeting,
+            // Viewers get the numbers, not the attendees' addresses
+            ...(auth.admin.role !== 'viewer' && { frequentNoShows }),
+            // Booking attempts refused as likely abuse, across all meetings
+            rejectedBookings: summarizeRejections(await repository.rejections.list(), now),
             lastUpdated: new Date().toISOString()
         };
 
@@ -318,8 +1112,12 @@ async function getAdminStats(event) {
     }
 }
 
-exports.handler = async (event) => {
-    console.log('Event:', JSON.stringify(event, null, 2));
+exports.handler = withCors(async (event) => {
+    const path = event.path || event.requestContext?.path || '';
+    const isLogin = path.endsWith('/login');
+
+    // Never write passwords or session tokens to the logs
+    console.log('Event:', JSON.stringify(redactEvent(event), null, 2));
 
     // Handle CORS preflight
     if (event.httpMethod === 'OPTIONS') {
@@ -331,10 +1129,18 @@ exports.handler = async (event) => {
     }
 
     try {
-        const path = event.path || event.requestContext?.path || '';
-        
-        if (path.includes('/export')) {
+        if (isLogin) {
+            return await adminLogin(event);
+        } else if (path.includes('/export')) {
             return await exportBookings(event);
+        } else if (path.includes('/import')) {
+            return await importData(event);
+        } else if (path.includes('/trash')) {
+            return await getTrash(event);
+        } else if (path.includes('/audit')) {
+            return await getAuditLog(event);
+        } else if (path.includes('/templates')) {
+            return event.httpMethod === 'PUT' ? await updateTemplate(event) : await getTemplates(event);
         } else {
             // Default to admin stats
             return await getAdminStats(event);
@@ -347,4 +1153,4 @@ exports.handler = async (event) => {
             body: JSON.stringify({ error: 'Internal server error: ' + error.message })
         };
     }
-};
\ No newline at end of file
+});
\ No newline at end of file
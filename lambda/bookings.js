@@ -1,69 +1,119 @@
-const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./lib/repository');
+const { authenticateAdmin, canManageMeeting } = require('./lib/auth');
+const {
+    createCancelToken,
+    verifyCancelToken,
+    createCheckInToken,
+    verifyCheckInToken,
+    createBookingsToken,
+    verifyBookingsToken
+} = require('./lib/cancel-tokens');
+const { getNotifier } = require('./lib/notifications');
+const { validateAnswers, normalizeAnswers } = require('./lib/questions');
+const {
+    VERIFICATION_HOLD_MINUTES,
+    MAX_VERIFICATION_ATTEMPTS,
+    createHold,
+    checkVerificationCode,
+    isActiveHold,
+    seatsTaken,
+    releaseExpiredHolds,
+    withoutVerification
+} = require('./lib/holds');
+const { withCors } = require('./lib/cors');
+const { redactEvent } = require('./lib/redact');
+const { adminActor, attendeeActor, updateBookings } = require('./lib/audit');
+const { isTrashed, isPurgeDue, trashBooking, restoreBooking: restoreTrashedBooking } = require('./lib/trash');
+const { createChallenge, useChallenge } = require('./lib/challenge');
+const { validateAttendance, markAttendance } = require('./lib/check-in');
+const { registrationOpensAt, registrationClosesAt, registrationStatus } = require('./lib/registration');
+const { meetingStart } = require('./lib/timezone');
+const { meetingInterval, findOverlapping } = require('./lib/intervals');
+const {
+    BOOKINGS_PER_IP,
+    BOOKINGS_PER_EMAIL,
+    LINKS_PER_EMAIL,
+    clientIp,
+    isBlockedEmail,
+    consumeRateLimit,
+    recordRejection
+} = require('./lib/abuse');
+const { isConfirmedBooking, getWaitlist, promoteFromWaitlist } = require('./lib/waitlist');
 
-const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
-const BUCKET_NAME = process.env.BUCKET_NAME;
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const repository = getRepository();
+const notifier = getNotifier();
 
+// Access-Control-Allow-Origin is added per request by withCors
 const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Password',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
-// Helper function to get data from S3
-async function getS3Data(key) {
-    try {
-        const command = new GetObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: key
-        });
-        const result = await s3Client.send(command);
-        const bodyContents = await result.Body.transformToString();
-        return JSON.parse(bodyContents);
-    } catch (error) {
-        if (error.name === 'NoSuchKey') {
-            return null;
-        }
-        throw error;
-    }
-}
+// How long the emailed link to an attendee's bookings works for
+const BOOKINGS_LINK_MINUTES = Number(process.env.BOOKINGS_LINK_MINUTES) || 30;
 
-// Helper function to save data to S3
-async function saveS3Data(key, data) {
-    const command = new PutObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: key,
-        Body: JSON.stringify(data, null, 2),
-        ContentType: 'application/json'
-    });
-    await s3Client.send(command);
-}
+// A booking of this attendee's on another meeting running at the same time as this one, or
+// null. Only places actually held count: confirmed bookings and unexpired seat holds.
+async function findOverlappingBooking(email, meeting) {
+    const overlapping = findOverlapping(
+        meetingInterval(meeting),
+        (await repository.meetings.list()).filter(m => m.id !== meeting.id && !isTrashed(m) && m.status !== 'cancelled'),
+        meetingInterval
+    );
+    if (overlapping.length === 0) {
+        return null;
+    }
 
-// Validate admin password
-function validateAdminPassword(event) {
-    const password = event.headers?.['x-admin-password'] || 
-                    event.headers?.['X-Admin-Password'] ||
-                    (event.body ? JSON.parse(event.body).password : null);
-    return password === ADMIN_PASSWORD;
+    const bookingsByMeeting = await repository.bookings.listByMeetings(overlapping.map(m => m.id));
+    const address = email.toLowerCase();
+    for (const other of overlapping) {
+        const booking = bookingsByMeeting[other.id].find(b => b.email.toLowerCase() === address
+            && (isConfirmedBooking(b) || (b.holdFor === 'seat' && isActiveHold(b))));
+        if (booking) {
+            return { booking, meeting: other };
+        }
+    }
+    return null;
 }
 
-// Get all bookings (admin only)
+// Get all bookings (owners), or the bookings for an organiser's own meetings
 async function getAllBookings(event) {
-    if (!validateAdminPassword(event)) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
         return {
-            statusCode: 401,
+            statusCode: auth.statusCode,
             headers: corsHeaders,
-            body: JSON.stringify({ error: 'Invalid admin password' })
+            body: JSON.stringify({ error: auth.error })
         };
     }
 
     try {
-        const bookings = await getS3Data('bookings.json') || [];
+        // Trashed bookings, and the bookings of trashed meetings, are only listed in the trash
+        const meetings = await repository.meetings.list();
+        let bookings;
+        if (auth.admin.role === 'owner') {
+            const trashedMeetingIds = new Set(meetings.filter(isTrashed).map(m => m.id));
+            bookings = (await repository.bookings.list()).filter(b => !trashedMeetingIds.has(b.meetingId));
+        } else {
+            const ownMeetingIds = meetings.filter(m => !isTrashed(m) && canManageMeeting(auth.admin, m)).map(m => m.id);
+            bookings = Object.values(await repository.bookings.listByMeetings(ownMeetingIds)).flat();
+        }
+        bookings = bookings.filter(b => !isTrashed(b));
+
+        // Delivery status of the emails sent about each booking, oldest first
+        const notificationsByBooking = await repository.notifications.listByBookings(bookings.map(b => b.id));
+        const bookingsWithNotifications = bookings.map(booking => ({
+            ...withoutVerification(booking),
+            notifications: notificationsByBooking[booking.id]
+                .map(({ type, status, attempts, error, createdAt, sentAt }) => ({ type, status, attempts, error, createdAt, sentAt }))
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        }));
+
         return {
             statusCode: 200,
             headers: corsHeaders,
-            body: JSON.stringify(bookings)
+            body: JSON.stringify(bookingsWithNotifications)
         };
     } catch (error) {
         console.error('Error getting bookings:', error);
@@ -75,10 +125,62 @@ async function getAllBookings(event) {
     }
 }
 
+// A proof-of-work challenge for the booking form (public)
+async function getChallenge() {
+    return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify(createChallenge())
+    };
+}
+
+// Refuse booking attempts that look automated, returns the refusal or null. Cheap checks go
+// first so a bot that fails them doesn't use up anyone's rate limit.
+async function screenBooking(event, { email, website, challenge, nonce }) {
+    const refuse = async (reason, statusCode, error, headers = {}) => {
+        await recordRejection(repository, reason);
+        return {
+            statusCode,
+            headers: { ...corsHeaders, ...headers },
+            body: JSON.stringify({ error })
+        };
+    };
+
+    // The form's hidden website field is only ever filled in by bots
+    if (website) {
+        return refuse('honeypot', 400, 'Booking could not be completed');
+    }
+
+    if (isBlockedEmail(email)) {
+        return refuse('blockedDomain', 400, 'Please use a permanent email address');
+    }
+
+    const challengeError = await useChallenge(repository, challenge, nonce);
+    if (challengeError) {
+        return refuse('challenge', 400, challengeError);
+    }
+
+    const ip = clientIp(event);
+    const limits = [
+        ...(ip ? [['ip', ip, BOOKINGS_PER_IP, 'ipRateLimit']] : []),
+        ['email', email, BOOKINGS_PER_EMAIL, 'emailRateLimit']
+    ];
+    for (const [kind, value, limit, reason] of limits) {
+        const { allowed, retryAfterSeconds } = await consumeRateLimit(repository, kind, value, limit);
+        if (!allowed) {
+            return refuse(reason, 429, 'Too many booking attempts, please try again later', {
+                'Retry-After': String(retryAfterSeconds)
+            });
+        }
+    }
+
+    return null;
+}
+
 // Create a new booking
 async function createBooking(event) {
     try {
-        const { email, meetingId } = JSON.parse(event.body);
+        const { email, meetingId, waitlist, answers = {}, website, challenge, nonce } = JSON.parse(event.body);
         
         if (!email || !meetingId) {
             return {
@@ -98,13 +200,16 @@ async function createBooking(event) {
             };
         }
 
-        // Get existing bookings and meetings
-        const bookings = await getS3Data('bookings.json') || [];
-        const meetings = await getS3Data('meetings.json') || [];
-        
-        // Find the meeting
-        const meeting = meetings.find(m => m.id === meetingId);
-        if (!meeting) {
+        // Addresses differ only in case from the same person, so they are compared lower-cased
+        const address = email.toLowerCase();
+
+        const refusal = await screenBooking(event, { email, website, challenge, nonce });
+        if (refusal) {
+            return refusal;
+        }
+
+        const meeting = await repository.meetings.get(meetingId);
+        if (!meeting || isTrashed(meeting)) {
             return {
                 statusCode: 404,
                 headers: corsHeaders,
@@ -112,105 +217,983 @@ async function createBooking(event) {
             };
         }
 
-        // Check if user already booked this meeting
-        const existingBooking = bookings.find(b => b.email === email && b.meetingId === meetingId);
-        if (existingBooking) {
+        if (meeting.status === 'cancelled') {
             return {
                 statusCode: 400,
                 headers: corsHeaders,
-                body: JSON.stringify({ error: 'You have already booked this meeting' })
+                body: JSON.stringify({ error: 'This meeting has been cancelled' })
             };
         }
 
-        // Count current attendees for this meeting
-        const currentAttendees = bookings.filter(b => b.meetingId === meetingId).length;
-        
-        // Check maximum capacity
-        if (meeting.maxAttendees && currentAttendees >= meeting.maxAttendees) {
+        // Bookings are only taken inside the meeting's registration window
+        const registration = registrationStatus(meeting);
+        if (registration !== 'open') {
+            const opensAt = registrationOpensAt(meeting);
+            return {
+                statusCode: 403,
+                headers: corsHeaders,
+                body: JSON.stringify(registration === 'not-open' ? {
+                    error: 'Registration for this meeting has not opened yet',
+                    code: 'registrationNotOpen',
+                    registrationOpensAt: opensAt.toISOString()
+                } : {
+                    error: 'Registration for this meeting has closed',
+                    code: 'registrationClosed',
+                    registrationClosesAt: registrationClosesAt(meeting).toISOString()
+                })
+            };
+        }
+
+        // Answers to the meeting's registration questions
+        const answersError = validateAnswers(meeting.questions, answers);
+        if (answersError) {
             return {
                 statusCode: 400,
                 headers: corsHeaders,
-                body: JSON.stringify({ error: 'Meeting is at maximum capacity' })
+                body: JSON.stringify({ error: answersError })
+            };
+        }
+        const storedAnswers = normalizeAnswers(meeting.questions, answers);
+
+        // One person can't be in two places at once
+        const overlap = await findOverlappingBooking(email, meeting);
+        if (overlap) {
+            const { booking, meeting: other } = overlap;
+            return {
+                statusCode: 409,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: `You are already booked on ${other.title} on ${other.date} at ${other.time}, which runs at the same time as this meeting`,
+                    code: 'bookingConflict',
+                    conflictingBooking: {
+                        meetingId: other.id,
+                        meetingTitle: other.title,
+                        date: other.date,
+                        time: other.time,
+                        timeZone: other.timeZone,
+                        startsAt: meetingStart(other).toISOString(),
+                        duration: other.duration,
+                        status: booking.status || 'confirmed'
+                    }
+                })
             };
         }
 
-        // Create new booking
-        const newBooking = {
-            id: uuidv4(),
-            email,
-            meetingId,
-            bookedAt: new Date().toISOString(),
-            meetingTitle: meeting.title
+        // Checks run inside the update so they still hold if someone else books at the same moment
+        let response;
+        let createdBooking = null;
+        let verificationCode = null;
+        let promotedBookings = [];
+        await updateBookings(repository, meetingId, attendeeActor(email), bookings => {
+            createdBooking = null;
+            verificationCode = null;
+            promotedBookings = [];
+
+            // Seats from expired holds go to the waitlist before anyone new
+            if (releaseExpiredHolds(bookings).some(hold => hold.holdFor === 'seat')) {
+                promotedBookings = promoteFromWaitlist(bookings, meeting);
+            }
+
+            // Check if user already booked this meeting, cancelled, expired and trashed bookings can be made again
+            const existingBooking = bookings.find(b => b.email.toLowerCase() === address && b.meetingId === meetingId && !['cancelled', 'expired', 'deleted'].includes(b.status));
+            if (existingBooking) {
+                response = {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: existingBooking.status === 'waitlisted'
+                            ? 'You are already on the waitlist for this meeting'
+                            : existingBooking.status === 'pending'
+                                ? 'Check your email for the code to confirm this booking'
+                                : 'You have already booked this meeting'
+                    })
+                };
+                return false;
+            }
+
+            // Count current attendees for this meeting; unconfirmed holds keep their seats but aren't attendees yet
+            const currentAttendees = bookings.filter(b => b.meetingId === meetingId && isConfirmedBooking(b)).length;
+            const isFull = meeting.maxAttendees && seatsTaken(bookings, meetingId) >= meeting.maxAttendees;
+
+            // Attendees of meetings that require verification confirm a code before their booking counts
+            if (meeting.requireVerification && (!isFull || waitlist)) {
+                const id = uuidv4();
+                const hold = createHold(id, isFull ? 'waitlist' : 'seat');
+                const pendingBooking = {
+                    id,
+                    email,
+                    meetingId,
+                    ...hold.fields,
+                    meetingTitle: meeting.title,
+                    answers: storedAnswers
+                };
+
+                bookings.push(pendingBooking);
+                createdBooking = pendingBooking;
+                verificationCode = hold.code;
+
+                response = {
+                    statusCode: 201,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        message: isFull
+                            ? `This meeting is full. Enter the code we have emailed you within ${VERIFICATION_HOLD_MINUTES} minutes to join the waitlist.`
+                            : `Enter the code we have emailed you within ${VERIFICATION_HOLD_MINUTES} minutes to confirm your place. We are holding it for you until then.`,
+                        booking: withoutVerification(pendingBooking),
+                        verificationRequired: true,
+                        cancelToken: createCancelToken(id)
+                    })
+                };
+                return;
+            }
+            
+            // Full meetings only take waitlist entries, and only when asked for
+            if (isFull) {
+                if (!waitlist) {
+                    response = {
+                        statusCode: 400,
+                        headers: corsHeaders,
+                        body: JSON.stringify({
+                            error: 'Meeting is at maximum capacity',
+                            waitlistAvailable: true
+                        })
+                    };
+                    return false;
+                }
+
+                const waitlistEntry = {
+                    id: uuidv4(),
+                    email,
+                    meetingId,
+                    status: 'waitlisted',
+                    waitlistedAt: new Date().toISOString(),
+                    meetingTitle: meeting.title,
+                    answers: storedAnswers
+                };
+                const cancelToken = createCancelToken(waitlistEntry.id);
+
+                bookings.push(waitlistEntry);
+                createdBooking = waitlistEntry;
+                const waitlistPosition = getWaitlist(bookings, meetingId).length;
+
+                response = {
+                    statusCode: 201,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        message: `This meeting is full, you are number ${waitlistPosition} on the waitlist. We will book you in automatically if a spot opens up.`,
+                        booking: waitlistEntry,
+                        waitlistPosition,
+                        cancelToken
+                    })
+                };
+                return;
+            }
+
+            // Create new booking
+            const newBooking = {
+                id: uuidv4(),
+                email,
+                meetingId,
+                status: 'confirmed',
+                bookedAt: new Date().toISOString(),
+                meetingTitle: meeting.title,
+                answers: storedAnswers
+            };
+            const cancelToken = createCancelToken(newBooking.id);
+
+            bookings.push(newBooking);
+            createdBooking = newBooking;
+
+            response = {
+                statusCode: 201,
+                headers: corsHeaders,
+                body: JSON.stringify({ 
+                    message: 'Thank you! Your place is booked. Add the meeting to your calendar to keep it up to date if anything changes.',
+                    booking: newBooking,
+                    attendeeCount: currentAttendees + 1,
+                    cancelToken,
+                    checkInToken: createCheckInToken(newBooking.id)
+                })
+            };
+        });
+
+        if (createdBooking) {
+            if (createdBooking.status === 'pending') {
+                await notifier.notify('bookingVerification', createdBooking, meeting, {
+                    verificationCode,
+                    holdMinutes: VERIFICATION_HOLD_MINUTES
+                });
+            } else {
+                const type = createdBooking.status === 'waitlisted' ? 'waitlistConfirmation' : 'bookingConfirmation';
+                await notifier.notify(type, createdBooking, meeting);
+            }
+            await notifier.notifyAll('bookingConfirmation', promotedBookings, meeting);
+        }
+
+        return response;
+    } catch (error) {
+        console.error('Error creating booking:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to create booking: ' + error.message })
         };
+    }
+}
+
+// Confirm a pending booking with the code emailed to the attendee (public)
+async function verifyBooking(event) {
+    try {
+        const { bookingId, code } = JSON.parse(event.body || '{}');
+        if (!bookingId || !code) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'bookingId and code are required' })
+            };
+        }
+
+        const storedBooking = await repository.bookings.get(bookingId);
+        if (!storedBooking) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Booking not found' })
+            };
+        }
+        const meeting = await repository.meetings.get(storedBooking.meetingId);
+        if (!meeting || isTrashed(meeting)) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Meeting not found' })
+            };
+        }
+
+        if (meeting.status === 'cancelled') {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'This meeting has been cancelled' })
+            };
+        }
+
+        let response;
+        let verifiedBooking = null;
+        let promotedBookings = [];
+        await updateBookings(repository, storedBooking.meetingId, attendeeActor(storedBooking.email), bookings => {
+            verifiedBooking = null;
+            promotedBookings = [];
+
+            const released = releaseExpiredHolds(bookings);
+            if (released.some(hold => hold.holdFor === 'seat')) {
+                promotedBookings = promoteFromWaitlist(bookings, meeting);
+            }
+
+            const booking = bookings.find(b => b.id === bookingId);
+            if (!booking) {
+                response = {
+                    statusCode: 404,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Booking not found' })
+                };
+                return released.length ? undefined : false;
+            }
+
+            if (booking.status === 'expired') {
+                response = {
+                    statusCode: 410,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'This hold has expired. Please book again.' })
+                };
+                return released.length ? undefined : false;
+            }
+
+            if (booking.status !== 'pending') {
+                response = {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'This booking does not need verifying' })
+                };
+                return released.length ? undefined : false;
+            }
+
+            // Wrong codes are counted so the six digits can't be guessed
+            if (!checkVerificationCode(booking, code)) {
+                booking.verification.attempts++;
+                const attemptsLeft = MAX_VERIFICATION_ATTEMPTS - booking.verification.attempts;
+                if (attemptsLeft <= 0) {
+                    booking.status = 'expired';
+                    booking.expiredAt = new Date().toISOString();
+                    delete booking.verification;
+                    if (booking.holdFor === 'seat') {
+                        promotedBookings = promoteFromWaitlist(bookings, meeting);
+                    }
+                }
+                response = {
+                    statusCode: attemptsLeft > 0 ? 400 : 410,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: attemptsLeft > 0
+                            ? `That code is not right. ${attemptsLeft} ${attemptsLeft === 1 ? 'try' : 'tries'} left.`
+                            : 'Too many wrong codes. Please book again.'
+                    })
+                };
+                return;
+            }
+
+            const now = new Date().toISOString();
+            delete booking.verification;
+            booking.verifiedAt = now;
+
+            // A held seat is theirs; a waitlist hold takes a seat only if one has come free since
+            const meetingFull = meeting.maxAttendees && seatsTaken(bookings, meeting.id) >= meeting.maxAttendees;
+            if (booking.holdFor === 'seat' || !meetingFull) {
+                booking.status = 'confirmed';
+                booking.bookedAt = now;
+            } else {
+                booking.status = 'waitlisted';
+                booking.waitlistedAt = now;
+            }
+            verifiedBooking = booking;
+
+            const attendeeCount = bookings.filter(b => b.meetingId === meeting.id && isConfirmedBooking(b)).length;
+            response = {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    message: booking.status === 'confirmed'
+                        ? 'Your booking is confirmed'
+                        : `Your email is confirmed and you are number ${getWaitlist(bookings, meeting.id).length} on the waitlist`,
+                    booking: withoutVerification(booking),
+                    ...(booking.status === 'confirmed' && { attendeeCount, checkInToken: createCheckInToken(booking.id) }),
+                    cancelToken: createCancelToken(booking.id)
+                })
+            };
+        });
 
-        bookings.push(newBooking);
-        await saveS3Data('bookings.json', bookings);
+        if (verifiedBooking) {
+            const type = verifiedBooking.status === 'waitlisted' ? 'waitlistConfirmation' : 'bookingConfirmation';
+            await notifier.notify(type, verifiedBooking, meeting);
+        }
+        await notifier.notifyAll('bookingConfirmation', promotedBookings, meeting);
 
+        return response;
+    } catch (error) {
+        console.error('Error verifying booking:', error);
         return {
-            statusCode: 201,
+            statusCode: 500,
             headers: corsHeaders,
-            body: JSON.stringify({ 
-                message: 'Thank you! An invite will be sent for this meeting nearer the event date. Thanks for submitting.',
-                booking: newBooking,
-                attendeeCount: currentAttendees + 1
-            })
+            body: JSON.stringify({ error: 'Failed to verify booking' })
         };
+    }
+}
+
+// Cancel a booking with the token issued when it was made (public)
+async function cancelBooking(event) {
+    try {
+        const { token } = JSON.parse(event.body || '{}');
+        const bookingId = verifyCancelToken(token);
+        if (!bookingId) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Invalid cancellation link' })
+            };
+        }
+
+        const storedBooking = await repository.bookings.get(bookingId);
+        if (!storedBooking) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Booking not found' })
+            };
+        }
+        const meeting = await repository.meetings.get(storedBooking.meetingId);
+
+        let response;
+        let cancelledBooking = null;
+        let promotedBookings = [];
+        await updateBookings(repository, storedBooking.meetingId, attendeeActor(storedBooking.email), bookings => {
+            cancelledBooking = null;
+            promotedBookings = [];
+
+            const booking = bookings.find(b => b.id === bookingId);
+            if (!booking || isTrashed(booking)) {
+                response = {
+                    statusCode: 404,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Booking not found' })
+                };
+                return false;
+            }
+
+            // The attendee has already been told a trashed meeting is cancelled
+            if (meeting && isTrashed(meeting)) {
+                response = {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'This meeting has been cancelled' })
+                };
+                return false;
+            }
+
+            if (booking.status === 'cancelled') {
+                response = {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'This booking has already been cancelled' })
+                };
+                return false;
+            }
+
+            if (booking.status === 'expired') {
+                response = {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'This booking was never confirmed and has expired' })
+                };
+                return false;
+            }
+
+            // Keep the record so reports can count drop-outs
+            const wasConfirmed = isConfirmedBooking(booking) || (booking.holdFor === 'seat' && isActiveHold(booking));
+            booking.previousStatus = booking.status || 'confirmed';
+            booking.status = 'cancelled';
+            booking.cancelledAt = new Date().toISOString();
+            booking.cancelledBy = 'attendee';
+            delete booking.verification;
+
+            if (wasConfirmed && meeting) {
+                promotedBookings = promoteFromWaitlist(bookings, meeting);
+            }
+            cancelledBooking = booking;
+
+            // Only echo back what the token holder already knows
+            response = {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    message: 'Your booking has been cancelled',
+                    meetingTitle: booking.meetingTitle
+                })
+            };
+        });
+
+        if (cancelledBooking && meeting) {
+            await notifier.notify('bookingCancellation', cancelledBooking, meeting);
+            await notifier.notifyAll('bookingConfirmation', promotedBookings, meeting);
+        }
+
+        return response;
     } catch (error) {
-        console.error('Error creating booking:', error);
+        console.error('Error cancelling booking:', error);
         return {
             statusCode: 500,
             headers: corsHeaders,
-            body: JSON.stringify({ error: 'Failed to create booking: ' + error.message })
+            body: JSON.stringify({ error: 'Failed to cancel booking' })
         };
     }
 }
 
-// Delete a booking (admin only)
+// Move a booking to the trash (owners, or the organiser of its meeting). Its seat is freed
+// straight away and it can be restored until it is purged.
 async function deleteBooking(event) {
-    if (!validateAdminPassword(event)) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
         return {
-            statusCode: 401,
+            statusCode: auth.statusCode,
             headers: corsHeaders,
-            body: JSON.stringify({ error: 'Invalid admin password' })
+            body: JSON.stringify({ error: auth.error })
         };
     }
 
     try {
         const bookingId = event.pathParameters.id;
-        const bookings = await getS3Data('bookings.json') || [];
-        
-        const bookingIndex = bookings.findIndex(b => b.id === bookingId);
-        if (bookingIndex === -1) {
+        const storedBooking = await repository.bookings.get(bookingId);
+        if (!storedBooking) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Booking not found' })
+            };
+        }
+        const meeting = await repository.meetings.get(storedBooking.meetingId);
+
+        // Bookings left behind by a deleted meeting can only be cleaned up by an owner
+        if (meeting ? !canManageMeeting(auth.admin, meeting) : auth.admin.role !== 'owner') {
+            return {
+                statusCode: 403,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'You can only remove bookings for your own meetings' })
+            };
+        }
+
+        if (meeting && isTrashed(meeting)) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'This booking\'s meeting is in the trash' })
+            };
+        }
+
+        let response;
+        let deletedBooking = null;
+        let promotedBookings = [];
+        await updateBookings(repository, storedBooking.meetingId, adminActor(auth.admin), bookings => {
+            deletedBooking = null;
+            promotedBookings = [];
+
+            const booking = bookings.find(b => b.id === bookingId);
+            if (!booking || isTrashed(booking)) {
+                response = {
+                    statusCode: 404,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Booking not found' })
+                };
+                return false;
+            }
+
+            const heldSeat = isConfirmedBooking(booking) || (booking.holdFor === 'seat' && isActiveHold(booking));
+            trashBooking(booking, auth.admin);
+            deletedBooking = booking;
+
+            // A freed spot goes to the first person on the waitlist
+            if (heldSeat && meeting) {
+                promotedBookings = promoteFromWaitlist(bookings, meeting);
+            }
+
+            response = {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ 
+                    message: 'Booking moved to the trash',
+                    deletedBooking: withoutVerification(deletedBooking),
+                    promotedBookings
+                })
+            };
+        });
+
+        // Attendees whose booking an admin removes are told, unless they had already cancelled or never confirmed
+        if (deletedBooking && meeting) {
+            if (!['cancelled', 'pending', 'expired'].includes(deletedBooking.statusBeforeDelete)) {
+                await notifier.notify('bookingCancellation', deletedBooking, meeting);
+            }
+            await notifier.notifyAll('bookingConfirmation', promotedBookings, meeting);
+        }
+
+        return response;
+    } catch (error) {
+        console.error('Error deleting booking:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to delete booking' })
+        };
+    }
+}
+
+// Take a booking back out of the trash with the status it had (owners, or the organiser of
+// its meeting). A booking that held a seat can only come back while there is one free.
+async function restoreBooking(event) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const bookingId = event.pathParameters?.id;
+        const storedBooking = bookingId && await repository.bookings.get(bookingId);
+        if (!storedBooking || !isTrashed(storedBooking)) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Booking not found in the trash' })
+            };
+        }
+        if (isPurgeDue(storedBooking)) {
+            return {
+                statusCode: 410,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'This booking has been in the trash too long to restore' })
+            };
+        }
+        const meeting = await repository.meetings.get(storedBooking.meetingId);
+        if (!meeting) {
             return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Meeting not found' })
+            };
+        }
+        if (!canManageMeeting(auth.admin, meeting)) {
+            return {
+                statusCode: 403,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'You can only restore bookings for your own meetings' })
+            };
+        }
+        if (isTrashed(meeting)) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Restore the meeting first' })
+            };
+        }
+
+        let response;
+        let restoredBooking = null;
+        await updateBookings(repository, meeting.id, adminActor(auth.admin), bookings => {
+            restoredBooking = null;
+
+            const booking = bookings.find(b => b.id === bookingId);
+            if (!booking || !isTrashed(booking)) {
+                response = {
+                    statusCode: 404,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Booking not found in the trash' })
+                };
+                return false;
+            }
+
+            // The attendee may have booked again since, and must not end up with two bookings
+            const email = booking.email.toLowerCase();
+            const activeBooking = bookings.find(b => b.email.toLowerCase() === email && !['cancelled', 'expired', 'deleted'].includes(b.status));
+            if (activeBooking) {
+                response = {
+                    statusCode: 409,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: `${activeBooking.email} already has a booking for this meeting, so this one cannot be restored` })
+                };
+                return false;
+            }
+
+            const needsSeat = booking.statusBeforeDelete === 'confirmed' ||
+                (booking.statusBeforeDelete === 'pending' && booking.holdFor === 'seat');
+            if (needsSeat && meeting.maxAttendees && seatsTaken(bookings, meeting.id) >= meeting.maxAttendees) {
+                response = {
+                    statusCode: 409,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'The meeting is full, so this booking cannot be restored' })
+                };
+                return false;
+            }
+
+            restoreTrashedBooking(booking);
+            restoredBooking = booking;
+            response = {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    message: 'Booking restored',
+                    booking: withoutVerification(booking)
+                })
+            };
+        });
+
+        // Attendees who were told their booking was cancelled hear that it is back
+        if (restoredBooking && ['confirmed', 'waitlisted'].includes(restoredBooking.status)) {
+            const type = restoredBooking.status === 'waitlisted' ? 'waitlistConfirmation' : 'bookingConfirmation';
+            await notifier.notify(type, restoredBooking, meeting);
+        }
+
+        return response;
+    } catch (error) {
+        console.error('Error restoring booking:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to restore booking' })
+        };
+    }
+}
+
+const ATTENDANCE_MESSAGES = {
+    'present': 'is checked in',
+    'no-show': 'is marked as a no-show',
+    'late-cancel': 'is marked as a late cancel'
+};
+
+// Set a booking's attendance for the admin, answering as the API does
+async function setAttendance(admin, bookingId, attendance) {
+    const storedBooking = bookingId && await repository.bookings.get(bookingId);
+    if (!storedBooking || isTrashed(storedBooking)) {
+        return {
+            statusCode: 404,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Booking not found' })
+        };
+    }
+    const meeting = await repository.meetings.get(storedBooking.meetingId);
+    if (!meeting || isTrashed(meeting)) {
+        return {
+            statusCode: 404,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Meeting not found' })
+        };
+    }
+    if (!canManageMeeting(admin, meeting)) {
+        return {
+            statusCode: 403,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'You can only check in attendees of your own meetings' })
+        };
+    }
+
+    let response;
+    await updateBookings(repository, meeting.id, adminActor(admin), bookings => {
+        const booking = bookings.find(b => b.id === bookingId);
+        if (!booking || isTrashed(booking)) {
+            response = {
                 statusCode: 404,
                 headers: corsHeaders,
                 body: JSON.stringify({ error: 'Booking not found' })
             };
+            return false;
+        }
+
+        const validationError = validateAttendance(booking, meeting, attendance);
+        if (validationError) {
+            response = {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: validationError })
+            };
+            return false;
+        }
+
+        // Scanning the same code twice changes nothing
+        const unchanged = (booking.attendance || null) === attendance;
+        if (!unchanged) {
+            markAttendance(booking, attendance, admin);
         }
+        response = {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                message: !attendance ? `Attendance cleared for ${booking.email}`
+                    : unchanged && attendance === 'present' ? `${booking.email} is already checked in`
+                    : `${booking.email} ${ATTENDANCE_MESSAGES[attendance]}`,
+                booking: withoutVerification(booking),
+                meetingTitle: meeting.title
+            })
+        };
+        return unchanged ? false : undefined;
+    });
+    return response;
+}
+
+// Set or clear a booking's attendance (owners, or the organiser of its meeting). The body is
+// { attendance }: present, no-show, late-cancel, or null to clear it.
+async function updateAttendance(event) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const { attendance } = JSON.parse(event.body || '{}');
+        return await setAttendance(auth.admin, event.pathParameters?.id, attendance === undefined ? null : attendance);
+    } catch (error) {
+        console.error('Error updating attendance:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to update attendance' })
+        };
+    }
+}
 
-        const deletedBooking = bookings.splice(bookingIndex, 1)[0];
-        await saveS3Data('bookings.json', bookings);
+// Check in the attendee whose check-in code was scanned (owners, or the organiser of their
+// meeting). The body is { token }, from the attendee's confirmation.
+async function checkInBooking(event) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const { token } = JSON.parse(event.body || '{}');
+        const bookingId = verifyCheckInToken(token);
+        if (!bookingId) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Invalid check-in code' })
+            };
+        }
+        return await setAttendance(auth.admin, bookingId, 'present');
+    } catch (error) {
+        console.error('Error checking in booking:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to check in' })
+        };
+    }
+}
+
+// Email an attendee a link to their own bookings (public). The reply is the same whether or
+// not the address has any bookings, so it can't be used to find out who has booked.
+async function requestBookingsLink(event) {
+    try {
+        const { email, challenge, nonce } = JSON.parse(event.body || '{}');
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (typeof email !== 'string' || !emailRegex.test(email.trim())) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Please enter a valid email address' })
+            };
+        }
+
+        const challengeError = await useChallenge(repository, challenge, nonce);
+        if (challengeError) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: challengeError })
+            };
+        }
+
+        const address = email.trim().toLowerCase();
+        const ip = clientIp(event);
+        const limits = [
+            ...(ip ? [['linkIp', ip, BOOKINGS_PER_IP]] : []),
+            ['linkEmail', address, LINKS_PER_EMAIL]
+        ];
+        for (const [kind, value, limit] of limits) {
+            const { allowed, retryAfterSeconds } = await consumeRateLimit(repository, kind, value, limit);
+            if (!allowed) {
+                return {
+                    statusCode: 429,
+                    headers: { ...corsHeaders, 'Retry-After': String(retryAfterSeconds) },
+                    body: JSON.stringify({ error: 'Too many requests for a link, please try again later' })
+                };
+            }
+        }
+
+        const hasBookings = (await repository.bookings.listByEmail(address)).some(b => !isTrashed(b));
+        if (hasBookings) {
+            const expiresAt = new Date(Date.now() + BOOKINGS_LINK_MINUTES * 60 * 1000);
+            await notifier.notifyAddress('bookingsLink', address, {
+                bookingsToken: createBookingsToken(address, expiresAt),
+                linkMinutes: BOOKINGS_LINK_MINUTES
+            });
+        }
 
         return {
             statusCode: 200,
             headers: corsHeaders,
-            body: JSON.stringify({ 
-                message: 'Booking deleted successfully',
-                deletedBooking
+            body: JSON.stringify({
+                message: `If ${address} has any bookings, we have emailed it a link to them. The link works for ${BOOKINGS_LINK_MINUTES} minutes.`
             })
         };
     } catch (error) {
-        console.error('Error deleting booking:', error);
+        console.error('Error sending bookings link:', error);
         return {
             statusCode: 500,
             headers: corsHeaders,
-            body: JSON.stringify({ error: 'Failed to delete booking' })
+            body: JSON.stringify({ error: 'Failed to send the link' })
         };
     }
 }
 
-exports.handler = async (event) => {
-    console.log('Event:', JSON.stringify(event, null, 2));
+// What an attendee sees of one of their bookings. Bookings they can still cancel carry the
+// same cancellation token as the link in their confirmation email.
+function attendeeBookingView(booking, meeting, now) {
+    const status = booking.status || 'confirmed';
+    const meetingCancelled = meeting.status === 'cancelled' || isTrashed(meeting);
+    const upcoming = meetingStart(meeting) > now;
+    const cancellable = upcoming && !meetingCancelled && ['confirmed', 'waitlisted', 'pending'].includes(status);
+
+    return {
+        id: booking.id,
+        meetingId: meeting.id,
+        status,
+        bookedAt: booking.bookedAt,
+        waitlistedAt: booking.waitlistedAt,
+        holdExpiresAt: booking.holdExpiresAt,
+        cancelledAt: booking.cancelledAt,
+        attendance: booking.attendance || null,
+        answers: booking.answers || {},
+        meeting: {
+            title: meeting.title,
+            date: meeting.date,
+            time: meeting.time,
+            timeZone: meeting.timeZone,
+            startsAt: meetingStart(meeting).toISOString(),
+            duration: meeting.duration,
+            location: meeting.location,
+            cancelled: meetingCancelled
+        },
+        cancelToken: cancellable ? createCancelToken(booking.id) : null,
+        checkInToken: upcoming && !meetingCancelled && status === 'confirmed' ? createCheckInToken(booking.id) : null
+    };
+}
+
+// The bookings of the attendee a bookings link was sent to, upcoming soonest first and past
+// latest first (public, with the token from the link). Nothing about anyone else is returned.
+async function getMyBookings(event) {
+    try {
+        const { token } = JSON.parse(event.body || '{}');
+        const link = verifyBookingsToken(token);
+        if (!link) {
+            return {
+                statusCode: 401,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'This link is invalid or has expired, please ask for a new one', code: 'invalidBookingsLink' })
+            };
+        }
+
+        // Expired holds were never bookings as far as the attendee is concerned
+        const bookings = (await repository.bookings.listByEmail(link.email))
+            .filter(b => !isTrashed(b) && b.status !== 'expired');
+        const meetings = new Map((await repository.meetings.list()).map(m => [m.id, m]));
+
+        const now = new Date();
+        const views = bookings
+            .filter(b => meetings.has(b.meetingId))
+            .map(b => attendeeBookingView(b, meetings.get(b.meetingId), now));
+        const byStart = (a, b) => new Date(a.meeting.startsAt) - new Date(b.meeting.startsAt);
+
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                email: link.email,
+                expiresAt: link.expiresAt.toISOString(),
+                upcoming: views.filter(v => new Date(v.meeting.startsAt) > now).sort(byStart),
+                past: views.filter(v => !(new Date(v.meeting.startsAt) > now)).sort((a, b) => byStart(b, a))
+            })
+        };
+    } catch (error) {
+        console.error('Error getting attendee bookings:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to get your bookings' })
+        };
+    }
+}
+
+exports.handler = withCors(async (event) => {
+    // Never write session tokens, cancellation tokens or codes to the logs
+    console.log('Event:', JSON.stringify(redactEvent(event), null, 2));
 
     // Handle CORS preflight
     if (event.httpMethod === 'OPTIONS') {
@@ -222,11 +1205,43 @@ exports.handler = async (event) => {
     }
 
     try {
+        const path = event.path || event.requestContext?.path || '';
+
         switch (event.httpMethod) {
             case 'GET':
+                if (path.endsWith('/challenge')) {
+                    return await getChallenge();
+                }
                 return await getAllBookings(event);
             case 'POST':
+                if (path.endsWith('/cancel')) {
+                    return await cancelBooking(event);
+                }
+                if (path.endsWith('/verify')) {
+                    return await verifyBooking(event);
+                }
+                if (path.endsWith('/restore')) {
+                    return await restoreBooking(event);
+                }
+                if (path.endsWith('/check-in')) {
+                    return await checkInBooking(event);
+                }
+                if (path.endsWith('/link')) {
+                    return await requestBookingsLink(event);
+                }
+                if (path.endsWith('/mine')) {
+                    return await getMyBookings(event);
+                }
                 return await createBooking(event);
+            case 'PUT':
+                if (path.endsWith('/attendance')) {
+                    return await updateAttendance(event);
+                }
+                return {
+                    statusCode: 405,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Method not allowed' })
+                };
             case 'DELETE':
                 return await deleteBooking(event);
             default:
@@ -244,4 +1259,4 @@ exports.handler = async (event) => {
             body: JSON.stringify({ error: 'Internal server error: ' + error.message })
         };
     }
-};
\ No newline at end of file
+});
\ No newline at end of file
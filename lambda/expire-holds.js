@@ -0,0 +1,49 @@
+const { getRepository } = require('./lib/repository');
+const { getNotifier } = require('./lib/notifications');
+const { releaseExpiredHolds } = require('./lib/holds');
+const { systemActor, updateBookings } = require('./lib/audit');
+const { isTrashed } = require('./lib/trash');
+const { promoteFromWaitlist } = require('./lib/waitlist');
+
+const repository = getRepository();
+const notifier = getNotifier();
+
+// Expire unverified holds that have run out and give their seats to the waitlist. Bookings
+// and verifications also release expired holds as they go; this catches meetings nobody
+// is booking at the moment so the seats show as free.
+async function expireHolds({ now = new Date() } = {}) {
+    const meetings = (await repository.meetings.list()).filter(meeting => !isTrashed(meeting));
+    const bookingsByMeeting = await repository.bookings.listByMeetings(meetings.map(m => m.id));
+
+    const summary = { expired: 0, promoted: 0 };
+    for (const meeting of meetings) {
+        if (!bookingsByMeeting[meeting.id].some(b => b.status === 'pending')) {
+            continue;
+        }
+
+        let expired = [];
+        let promotedBookings = [];
+        await updateBookings(repository, meeting.id, systemActor('expire-holds'), bookings => {
+            expired = releaseExpiredHolds(bookings, now);
+            promotedBookings = expired.some(hold => hold.holdFor === 'seat') ? promoteFromWaitlist(bookings, meeting, now) : [];
+            if (expired.length === 0) {
+                return false;
+            }
+        });
+
+        summary.expired += expired.length;
+        summary.promoted += promotedBookings.length;
+        await notifier.notifyAll('bookingConfirmation', promotedBookings, meeting);
+    }
+
+    return summary;
+}
+
+// Invoked by the ExpireHoldsSchedule rule, not through the API
+exports.handler = async () => {
+    const summary = await expireHolds();
+    console.log('Expired holds:', JSON.stringify(summary));
+    return summary;
+};
+
+exports.expireHolds = expireHolds;
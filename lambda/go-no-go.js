@@ -0,0 +1,64 @@
+const { getRepository } = require('./lib/repository');
+const { getNotifier } = require('./lib/notifications');
+const { GO_NO_GO_HOURS_BEFORE, isDecisionDue } = require('./lib/attendance');
+const { systemActor, auditEntry, recordAudit } = require('./lib/audit');
+const { isTrashed } = require('./lib/trash');
+const { isConfirmedBooking } = require('./lib/waitlist');
+
+const repository = getRepository();
+const notifier = getNotifier();
+
+// Decide every meeting whose cutoff has passed: confirmed when it has minAttendees confirmed
+// bookings, otherwise cancelled. Attendees are told either way; a cancelled meeting's
+// waitlist is told too. Bookings are kept so the outcome stays in the reports.
+async function evaluateMeetings({ now = new Date(), hoursBefore = GO_NO_GO_HOURS_BEFORE } = {}) {
+    const due = (await repository.meetings.list()).filter(meeting => !isTrashed(meeting) && isDecisionDue(meeting, now, hoursBefore));
+
+    const summary = { confirmed: 0, cancelled: 0 };
+    if (due.length === 0) {
+        return summary;
+    }
+
+    const bookingsByMeeting = await repository.bookings.listByMeetings(due.map(m => m.id));
+    for (const meeting of due) {
+        const bookings = bookingsByMeeting[meeting.id];
+        const confirmedBookings = bookings.filter(isConfirmedBooking);
+        const status = confirmedBookings.length >= meeting.minAttendees ? 'confirmed' : 'cancelled';
+
+        // Another run may have got here first
+        const decided = await repository.meetings.update(meeting.id, current => {
+            if (current.status) {
+                return false;
+            }
+            return {
+                ...current,
+                status,
+                decidedAt: now.toISOString(),
+                // Calendars only drop the event when its sequence goes up
+                ...(status === 'cancelled' && { sequence: (current.sequence || 0) + 1 })
+            };
+        });
+        if (!decided) {
+            continue;
+        }
+        await recordAudit(repository, auditEntry(systemActor('go-no-go'), 'meeting.update', { before: meeting, after: decided, now }));
+
+        summary[status]++;
+        if (status === 'confirmed') {
+            await notifier.notifyAll('meetingConfirmed', confirmedBookings, decided);
+        } else {
+            await notifier.notifyAll('meetingNotRunning', bookings.filter(b => isConfirmedBooking(b) || b.status === 'waitlisted'), decided);
+        }
+    }
+
+    return summary;
+}
+
+// Invoked by the GoNoGoSchedule rule, not through the API
+exports.handler = async () => {
+    const summary = await evaluateMeetings();
+    console.log('Go/no-go decisions:', JSON.stringify(summary));
+    return summary;
+};
+
+exports.evaluateMeetings = evaluateMeetings;
@@ -0,0 +1,126 @@
+// Limits on the public booking endpoint and on requests for bookings links. Each client IP and
+// each email address gets a number of attempts per window, counted in the rateLimits
+// collection so every Lambda instance sees the same totals. Keys are hashed so the store never
+// holds raw IPs or emails. Each key is its own partition (its own object on S3) holding only
+// the current window, so clients never contend with each other and nothing piles up. Refused
+// bookings are counted per day and reason for the admin dashboard.
+const crypto = require('crypto');
+
+const RATE_LIMIT_WINDOW_MINUTES = Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 60;
+const BOOKINGS_PER_IP = Number(process.env.BOOKINGS_PER_IP) || 20;
+const BOOKINGS_PER_EMAIL = Number(process.env.BOOKINGS_PER_EMAIL) || 10;
+// Emailed links to an attendee's bookings, per address
+const LINKS_PER_EMAIL = Number(process.env.LINKS_PER_EMAIL) || 5;
+
+const REJECTION_REASONS = ['honeypot', 'challenge', 'blockedDomain', 'ipRateLimit', 'emailRateLimit'];
+
+// Well-known throwaway inbox providers, blocked unless BLOCK_DISPOSABLE_EMAILS is "false"
+const DISPOSABLE_EMAIL_DOMAINS = [
+    '10minutemail.com',
+    'discard.email',
+    'dispostable.com',
+    'fakeinbox.com',
+    'getnada.com',
+    'guerrillamail.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mintemail.com',
+    'mohmal.com',
+    'sharklasers.com',
+    'temp-mail.org',
+    'tempmail.com',
+    'throwawaymail.com',
+    'trashmail.com',
+    'yopmail.com'
+];
+
+// Source IP as API Gateway saw it, or null outside API Gateway
+function clientIp(event) {
+    return event.requestContext?.identity?.sourceIp || null;
+}
+
+// The built-in list plus any extra domains in BLOCKED_EMAIL_DOMAINS (comma separated)
+function blockedEmailDomains() {
+    const extra = (process.env.BLOCKED_EMAIL_DOMAINS || '')
+        .split(',')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean);
+    return process.env.BLOCK_DISPOSABLE_EMAILS === 'false' ? extra : [...DISPOSABLE_EMAIL_DOMAINS, ...extra];
+}
+
+// Subdomains of a blocked domain are blocked too
+function isBlockedEmail(email) {
+    const domain = String(email).split('@').pop().trim().toLowerCase();
+    return blockedEmailDomains().some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+}
+
+function hashKey(kind, value) {
+    const digest = crypto.createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex');
+    return `${kind}:${digest.slice(0, 32)}`;
+}
+
+// Count one attempt for a client against its limit. Returns { allowed, retryAfterSeconds }.
+async function consumeRateLimit(repository, kind, value, limit, now = new Date()) {
+    const windowMs = RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+    const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+    const key = hashKey(kind, value);
+
+    let result;
+    await repository.rateLimits.update(key, records => {
+        let record = records.find(r => r.windowStart === windowStart);
+        if (!record) {
+            // Finished windows are dropped by returning only this one. expiresAt lets DynamoDB's
+            // TTL clear out keys that go quiet; on S3 a lifecycle rule does the same.
+            record = { id: 'window', key, windowStart, count: 0, expiresAt: Math.ceil((windowStart + windowMs) / 1000) };
+        }
+        if (record.count >= limit) {
+            result = { allowed: false, retryAfterSeconds: Math.ceil((windowStart + windowMs - now.getTime()) / 1000) };
+            return false;
+        }
+        record.count++;
+        result = { allowed: true };
+        return [record];
+    });
+    return result;
+}
+
+// Count a refused booking attempt. Never throws: the refusal stands either way.
+async function recordRejection(repository, reason, now = new Date()) {
+    try {
+        await repository.rejections.record(now.toISOString().slice(0, 10), reason);
+    } catch (error) {
+        console.error('Error recording rejected booking:', error);
+    }
+}
+
+// Refused attempts today and over the last seven days, with the week's split by reason
+function summarizeRejections(counters, now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    const weekStart = new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const summary = {
+        today: 0,
+        last7Days: 0,
+        byReason: Object.fromEntries(REJECTION_REASONS.map(reason => [reason, 0]))
+    };
+    counters.filter(counter => counter.day >= weekStart).forEach(counter => {
+        summary.last7Days += counter.count;
+        summary.byReason[counter.reason] = (summary.byReason[counter.reason] || 0) + counter.count;
+        if (counter.day === today) {
+            summary.today += counter.count;
+        }
+    });
+    return summary;
+}
+
+module.exports = {
+    BOOKINGS_PER_IP,
+    BOOKINGS_PER_EMAIL,
+    LINKS_PER_EMAIL,
+    REJECTION_REASONS,
+    clientIp,
+    isBlockedEmail,
+    consumeRateLimit,
+    recordRejection,
+    summarizeRejections
+};
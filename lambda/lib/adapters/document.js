@@ -0,0 +1,130 @@
+// Keeps each collection as one JSON array (meetings.json, bookings.json, ...) in any store that
+// offers getJson/updateJson. Used for the S3 bucket and for local files or memory.
+//
+// Collections marked documentPerPartition keep each partition in its own array instead
+// (auditLog/2031-01-01.json), so a write only reads and rewrites its own partition. Listing
+// them needs the store's listKeys. Records written to <collection>.json before a collection
+// was split are still read from there.
+function createDocumentAdapter(collections, store) {
+    const documentKey = collection => `${collection}.json`;
+    const partitionKeyOf = collection => collections[collection].partitionKey;
+    const isSplit = collection => !!collections[collection].documentPerPartition;
+    const partitionDocumentKey = (collection, value) => `${collection}/${encodeURIComponent(value)}.json`;
+
+    async function list(collection) {
+        if (!isSplit(collection)) {
+            return store.getJson(documentKey(collection), []);
+        }
+        const keys = await store.listKeys(`${collection}/`);
+        const partitions = await Promise.all(keys.map(key => store.getJson(key, [])));
+        return (await store.getJson(documentKey(collection), [])).concat(...partitions);
+    }
+
+    // The document a record is written to
+    function documentOf(collection, item) {
+        return isSplit(collection) ? partitionDocumentKey(collection, item[partitionKeyOf(collection)]) : documentKey(collection);
+    }
+
+    async function get(collection, id) {
+        const items = await list(collection);
+        return items.find(item => item.id === id) || null;
+    }
+
+    async function create(collection, item) {
+        await store.updateJson(documentOf(collection, item), items => {
+            if (items.some(existing => existing.id === item.id)) {
+                throw new Error(`${collection} item ${item.id} already exists`);
+            }
+            items.push(item);
+        });
+        return item;
+    }
+
+    // Insert or replace without any checks, for imports and migrations
+    async function put(collection, item) {
+        await store.updateJson(documentOf(collection, item), items => {
+            const index = items.findIndex(existing => existing.id === item.id);
+            if (index === -1) {
+                items.push(item);
+            } else {
+                items[index] = item;
+            }
+        });
+        return item;
+    }
+
+    async function update(collection, id, mutator) {
+        if (isSplit(collection)) {
+            throw new Error(`Use updatePartition for ${collection}`);
+        }
+        let updated = null;
+        await store.updateJson(documentKey(collection), async items => {
+            updated = null;
+            const index = items.findIndex(item => item.id === id);
+            if (index === -1) {
+                return false;
+            }
+
+            const result = await mutator(structuredClone(items[index]));
+            if (result === false) {
+                return false;
+            }
+            items[index] = updated = result;
+        });
+        return updated;
+    }
+
+    async function remove(collection, id) {
+        if (isSplit(collection)) {
+            throw new Error(`Use updatePartition for ${collection}`);
+        }
+        let removed = null;
+        await store.updateJson(documentKey(collection), items => {
+            const index = items.findIndex(item => item.id === id);
+            if (index === -1) {
+                removed = null;
+                return false;
+            }
+            removed = items.splice(index, 1)[0];
+        });
+        return removed;
+    }
+
+    async function listPartitions(collection, values) {
+        const partitionKey = partitionKeyOf(collection);
+        if (isSplit(collection)) {
+            const legacy = await store.getJson(documentKey(collection), []);
+            const partitions = await Promise.all(values.map(value => store.getJson(partitionDocumentKey(collection, value), [])));
+            return Object.fromEntries(values.map((value, i) => [
+                value,
+                legacy.filter(item => item[partitionKey] === value).concat(partitions[i])
+            ]));
+        }
+        const items = await list(collection);
+        return Object.fromEntries(values.map(value => [value, items.filter(item => item[partitionKey] === value)]));
+    }
+
+    async function updatePartition(collection, value, mutator) {
+        const partitionKey = partitionKeyOf(collection);
+        if (isSplit(collection)) {
+            return store.updateJson(partitionDocumentKey(collection, value), mutator);
+        }
+        let partition;
+        await store.updateJson(documentKey(collection), async items => {
+            partition = items.filter(item => item[partitionKey] === value);
+            const result = await mutator(partition);
+            if (result === false) {
+                return false;
+            }
+            if (result !== undefined) {
+                partition = result;
+            }
+            return items.filter(item => item[partitionKey] !== value).concat(partition);
+        });
+        return partition;
+    }
+
+    return { list, get, create, put, update, remove, listPartitions, updatePartition };
+}
+
+module.exports = { createDocumentAdapter };
@@ -0,0 +1,303 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+    DynamoDBDocumentClient,
+    GetCommand,
+    PutCommand,
+    DeleteCommand,
+    QueryCommand,
+    ScanCommand,
+    TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+
+// One table per collection, named <prefix>-<collection>, one item per record. Partitioned
+// collections (bookings) are keyed by partition key + id, so a meeting's bookings come back
+// from a single strongly consistent query, and have an id-index GSI for lookups by id.
+// Each partition holds a version item that every partition update checks and bumps, which
+// gives the same optimistic concurrency as the S3 ETags.
+//
+// A change too big for one transaction is written in several. The first claims the version
+// and marks the partition as mid-write, the rest check that claim still holds, and the last
+// clears the mark. Other writers wait for the mark to clear so nobody builds on half a change;
+// one older than WRITE_LOCK_MS is taken to belong to a writer that died.
+const VERSION_ITEM_ID = '#version';
+const MAX_RETRIES = 8;
+const MAX_TRANSACTION_ITEMS = 100;
+const WRITE_LOCK_MS = 60 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Bookkeeping attributes the rest of the app never sees
+function toRecord(item) {
+    if (!item) {
+        return null;
+    }
+    const { revision, ...record } = item;
+    return record;
+}
+
+function isConditionFailure(error) {
+    return error.name === 'ConditionalCheckFailedException' ||
+        (error.name === 'TransactionCanceledException' &&
+            (error.CancellationReasons || []).some(reason => reason?.Code === 'ConditionalCheckFailed'));
+}
+
+function createDynamoDbAdapter(collections, {
+    tablePrefix = process.env.DYNAMODB_TABLE_PREFIX,
+    client = DynamoDBDocumentClient.from(
+        new DynamoDBClient({
+            region: process.env.AWS_REGION || 'us-east-1',
+            ...(process.env.DYNAMODB_ENDPOINT && { endpoint: process.env.DYNAMODB_ENDPOINT })
+        }),
+        { marshallOptions: { removeUndefinedValues: true } }
+    )
+} = {}) {
+    const tableName = collection => `${tablePrefix}-${collection}`;
+    const partitionKeyOf = collection => collections[collection].partitionKey;
+    const keyOf = (collection, item) => {
+        const partitionKey = partitionKeyOf(collection);
+        return partitionKey ? { [partitionKey]: item[partitionKey], id: item.id } : { id: item.id };
+    };
+
+    async function collectPages(Command, params) {
+        const items = [];
+        let ExclusiveStartKey;
+        do {
+            const result = await client.send(new Command({ ...params, ExclusiveStartKey }));
+            items.push(...result.Items);
+            ExclusiveStartKey = result.LastEvaluatedKey;
+        } while (ExclusiveStartKey);
+        return items;
+    }
+
+    async function list(collection) {
+        const items = await collectPages(ScanCommand, { TableName: tableName(collection) });
+        return items.filter(item => item.id !== VERSION_ITEM_ID).map(toRecord);
+    }
+
+    async function get(collection, id) {
+        if (!partitionKeyOf(collection)) {
+            const result = await client.send(new GetCommand({
+                TableName: tableName(collection),
+                Key: { id },
+                ConsistentRead: true
+            }));
+            return toRecord(result.Item);
+        }
+
+        const result = await client.send(new QueryCommand({
+            TableName: tableName(collection),
+            IndexName: 'id-index',
+            KeyConditionExpression: 'id = :id',
+            ExpressionAttributeValues: { ':id': id }
+        }));
+        return toRecord(result.Items[0]);
+    }
+
+    async function create(collection, item) {
+        await client.send(new PutCommand({
+            TableName: tableName(collection),
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(id)'
+        }));
+        return item;
+    }
+
+    // Insert or replace without any checks, for imports and migrations
+    async function put(collection, item) {
+        await client.send(new PutCommand({
+            TableName: tableName(collection),
+            Item: item
+        }));
+        return item;
+    }
+
+    // Single-item read-modify-write guarded by a revision number
+    async function update(collection, id, mutator) {
+        if (partitionKeyOf(collection)) {
+            throw new Error(`Use updatePartition for ${collection}`);
+        }
+
+        for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+            const result = await client.send(new GetCommand({
+                TableName: tableName(collection),
+                Key: { id },
+                ConsistentRead: true
+            }));
+            if (!result.Item) {
+                return null;
+            }
+
+            const revision = result.Item.revision || 0;
+            const updated = await mutator(toRecord(result.Item));
+            if (updated === false) {
+                return null;
+            }
+
+            try {
+                await client.send(new PutCommand({
+                    TableName: tableName(collection),
+                    Item: { ...updated, id, revision: revision + 1 },
+                    ConditionExpression: revision
+                        ? 'revision = :revision'
+                        : 'attribute_exists(id) AND attribute_not_exists(revision)',
+                    ...(revision && { ExpressionAttributeValues: { ':revision': revision } })
+                }));
+                return updated;
+            } catch (error) {
+                if (!isConditionFailure(error)) {
+                    throw error;
+                }
+                await sleep(Math.random() * 25 * 2 ** Math.min(attempt, 5));
+            }
+        }
+
+        throw new Error(`Too many concurrent updates to ${collection} ${id}, please try again`);
+    }
+
+    async function remove(collection, id) {
+        const existing = partitionKeyOf(collection) ? await get(collection, id) : { id };
+        if (!existing) {
+            return null;
+        }
+
+        const result = await client.send(new DeleteCommand({
+            TableName: tableName(collection),
+            Key: keyOf(collection, existing),
+            ReturnValues: 'ALL_OLD'
+        }));
+        return toRecord(result.Attributes);
+    }
+
+    async function readPartition(collection, value) {
+        const partitionKey = partitionKeyOf(collection);
+        const items = await collectPages(QueryCommand, {
+            TableName: tableName(collection),
+            KeyConditionExpression: '#pk = :value',
+            ExpressionAttributeNames: { '#pk': partitionKey },
+            ExpressionAttributeValues: { ':value': value },
+            ConsistentRead: true
+        });
+
+        const versionItem = items.find(item => item.id === VERSION_ITEM_ID);
+        return {
+            items: items.filter(item => item.id !== VERSION_ITEM_ID).map(toRecord),
+            version: versionItem ? versionItem.version : 0,
+            writingSince: versionItem?.writingSince || null
+        };
+    }
+
+    async function listPartitions(collection, values) {
+        const partitions = await Promise.all(values.map(value => readPartition(collection, value)));
+        return Object.fromEntries(values.map((value, i) => [value, partitions[i].items]));
+    }
+
+    // The version item, guarded by the version read before the change
+    function versionPut(table, partitionKey, value, version, next, fields = {}) {
+        return {
+            Put: {
+                TableName: table,
+                Item: { [partitionKey]: value, id: VERSION_ITEM_ID, version: next, ...fields },
+                ConditionExpression: version ? 'version = :version' : 'attribute_not_exists(id)',
+                ...(version && { ExpressionAttributeValues: { ':version': version } })
+            }
+        };
+    }
+
+    // Write changes larger than one transaction in several, see the note at the top. Only the
+    // first can lose a race; after that the partition is ours until the mark is cleared.
+    async function writeInChunks(table, partitionKey, value, version, changes) {
+        const next = version + 1;
+        const perTransaction = MAX_TRANSACTION_ITEMS - 1;
+        const chunks = [];
+        for (let i = 0; i < changes.length; i += perTransaction) {
+            chunks.push(changes.slice(i, i + perTransaction));
+        }
+
+        await client.send(new TransactWriteCommand({
+            TransactItems: [versionPut(table, partitionKey, value, version, next, { writingSince: Date.now() }), ...chunks[0]]
+        }));
+        for (let i = 1; i < chunks.length; i++) {
+            const last = i === chunks.length - 1;
+            const guard = last
+                ? versionPut(table, partitionKey, value, next, next)
+                : {
+                    ConditionCheck: {
+                        TableName: table,
+                        Key: { [partitionKey]: value, id: VERSION_ITEM_ID },
+                        ConditionExpression: 'version = :version',
+                        ExpressionAttributeValues: { ':version': next }
+                    }
+                };
+            try {
+                await client.send(new TransactWriteCommand({ TransactItems: [guard, ...chunks[i]] }));
+            } catch (error) {
+                if (isConditionFailure(error)) {
+                    throw new Error(`Lost the write on ${table} ${value} part way through, please check it and try again`);
+                }
+                throw error;
+            }
+        }
+    }
+
+    async function updatePartition(collection, value, mutator) {
+        const partitionKey = partitionKeyOf(collection);
+        const table = tableName(collection);
+
+        for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+            const { items, version, writingSince } = await readPartition(collection, value);
+            if (writingSince && Date.now() - writingSince < WRITE_LOCK_MS) {
+                await sleep(100 * (attempt + 1));
+                continue;
+            }
+            const before = new Map(items.map(item => [item.id, JSON.stringify(item)]));
+
+            const current = structuredClone(items);
+            const result = await mutator(current);
+            if (result === false) {
+                return current;
+            }
+            const updated = result === undefined ? current : result;
+
+            // Only changed and removed items are written
+            const puts = updated.filter(item => before.get(item.id) !== JSON.stringify(item));
+            const keptIds = new Set(updated.map(item => item.id));
+            const deletes = items.filter(item => !keptIds.has(item.id));
+            if (puts.length === 0 && deletes.length === 0) {
+                return updated;
+            }
+            if (puts.some(item => item[partitionKey] !== value)) {
+                throw new Error(`${collection} items cannot move out of ${partitionKey} ${value}`);
+            }
+
+            const changes = [
+                ...puts.map(item => ({ Put: { TableName: table, Item: item } })),
+                ...deletes.map(item => ({ Delete: { TableName: table, Key: keyOf(collection, item) } }))
+            ];
+
+            try {
+                if (changes.length < MAX_TRANSACTION_ITEMS) {
+                    await client.send(new TransactWriteCommand({
+                        TransactItems: [versionPut(table, partitionKey, value, version, version + 1), ...changes]
+                    }));
+                } else {
+                    await writeInChunks(table, partitionKey, value, version, changes);
+                }
+                return updated;
+            } catch (error) {
+                if (!isConditionFailure(error)) {
+                    throw error;
+                }
+                console.warn(`Write conflict on ${collection} ${value}, retrying (attempt ${attempt + 1}/${MAX_RETRIES})`);
+                await sleep(Math.random() * 25 * 2 ** Math.min(attempt, 5));
+            }
+        }
+
+        throw new Error(`Too many concurrent updates to ${collection} ${value}, please try again`);
+    }
+
+    return { list, get, create, put, update, remove, listPartitions, updatePartition };
+}
+
+module.exports = { createDynamoDbAdapter };
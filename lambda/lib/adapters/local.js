@@ -0,0 +1,73 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// JSON document store for local development and tests. Keeps documents in memory, or as files
+// under dir when one is given. Updates to the same document are queued one after another,
+// which is all the locking a single process needs.
+function createLocalStore({ dir } = {}) {
+    const documents = new Map();
+    const queues = new Map();
+
+    async function read(key) {
+        if (!dir) {
+            return documents.has(key) ? structuredClone(documents.get(key)) : null;
+        }
+        try {
+            return JSON.parse(await fs.readFile(path.join(dir, key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function write(key, data) {
+        if (!dir) {
+            documents.set(key, structuredClone(data));
+            return;
+        }
+        await fs.mkdir(path.dirname(path.join(dir, key)), { recursive: true });
+        await fs.writeFile(path.join(dir, key), JSON.stringify(data, null, 2));
+    }
+
+    async function getJson(key, defaultValue = null) {
+        return (await read(key)) ?? defaultValue;
+    }
+
+    // Same contract as storage.updateJson: edit in place, return a replacement, or false to skip
+    function updateJson(key, mutator, defaultValue = []) {
+        const run = (queues.get(key) || Promise.resolve()).then(async () => {
+            const current = (await read(key)) ?? structuredClone(defaultValue);
+            const result = await mutator(current);
+            if (result === false) {
+                return current;
+            }
+
+            const updated = result === undefined ? current : result;
+            await write(key, updated);
+            return updated;
+        });
+        queues.set(key, run.catch(() => {}));
+        return run;
+    }
+
+    // Keys under a prefix ending in "/", which on disk is a directory
+    async function listKeys(prefix) {
+        if (!dir) {
+            return [...documents.keys()].filter(key => key.startsWith(prefix));
+        }
+        try {
+            return (await fs.readdir(path.join(dir, prefix))).map(name => `${prefix}${name}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    return { getJson, updateJson, listKeys };
+}
+
+module.exports = { createLocalStore };
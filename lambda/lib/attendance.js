@@ -0,0 +1,30 @@
+// Minimum-attendee go/no-go. A meeting with minAttendees is decided once, GO_NO_GO_HOURS_BEFORE
+// hours before it starts: its status becomes confirmed when enough people have booked, or
+// cancelled when they haven't. Meetings without a minimum always run and are never decided.
+const { meetingStart } = require('./timezone');
+
+const GO_NO_GO_HOURS_BEFORE = Number(process.env.GO_NO_GO_HOURS_BEFORE) || 24;
+
+// When the decision is made, or null for meetings that don't need one
+function decisionTime(meeting, hoursBefore = GO_NO_GO_HOURS_BEFORE) {
+    if (!meeting.minAttendees) {
+        return null;
+    }
+    return new Date(meetingStart(meeting).getTime() - hoursBefore * 60 * 60 * 1000);
+}
+
+// Undecided meetings whose cutoff has passed but which haven't started yet
+function isDecisionDue(meeting, now = new Date(), hoursBefore = GO_NO_GO_HOURS_BEFORE) {
+    const decideAt = decisionTime(meeting, hoursBefore);
+    return !!decideAt && !meeting.status && decideAt <= now && meetingStart(meeting) > now;
+}
+
+// How many more confirmed bookings an undecided meeting needs to run, 0 when it has enough
+function attendeesNeeded(meeting, confirmedCount) {
+    if (!meeting.minAttendees || meeting.status) {
+        return 0;
+    }
+    return Math.max(0, meeting.minAttendees - confirmedCount);
+}
+
+module.exports = { GO_NO_GO_HOURS_BEFORE, decisionTime, isDecisionDue, attendeesNeeded };
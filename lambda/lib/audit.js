@@ -0,0 +1,158 @@
+// Append-only trail of every change to meetings, series and bookings: who made it, what it
+// was, the record before and after, and when. Entries are grouped by day and never updated
+// or removed. Booking changes are found by comparing a meeting's bookings before and after
+// an update, so every write through updateBookings is covered however it changes them.
+const { v4: uuidv4 } = require('uuid');
+
+// Entries per write, well inside DynamoDB's 100-item transactions
+const APPEND_CHUNK_SIZE = 50;
+
+function adminActor(admin) {
+    return { type: 'admin', id: admin.id, username: admin.username, role: admin.role };
+}
+
+function attendeeActor(email) {
+    return { type: 'attendee', email };
+}
+
+// Scheduled jobs
+function systemActor(name) {
+    return { type: 'system', name };
+}
+
+// Bookings are snapshotted without their verification code hash
+function snapshot(record) {
+    if (!record) {
+        return null;
+    }
+    const { verification, ...rest } = record;
+    return rest;
+}
+
+function auditEntry(actor, action, { before = null, after = null, now = new Date() }) {
+    const record = after || before;
+    const entityType = action.split('.')[0];
+    return {
+        id: uuidv4(),
+        day: now.toISOString().slice(0, 10),
+        at: now.toISOString(),
+        actor,
+        action,
+        entityId: record.id,
+        meetingId: entityType === 'meeting' ? record.id : record.meetingId || null,
+        email: entityType === 'booking' ? record.email : null,
+        before: snapshot(before),
+        after: snapshot(after)
+    };
+}
+
+// Name a booking change after what happened to it
+function bookingAction(before, after) {
+    if (!before) {
+        return 'booking.create';
+    }
+    if (!after) {
+        return 'booking.purge';
+    }
+    if (after.deletedAt && !before.deletedAt) {
+        return 'booking.delete';
+    }
+    if (before.deletedAt && !after.deletedAt) {
+        return 'booking.restore';
+    }
+    if ((after.attendance || null) !== (before.attendance || null)) {
+        return 'booking.attendance';
+    }
+    if (after.status !== before.status) {
+        if (after.status === 'cancelled') {
+            return 'booking.cancel';
+        }
+        if (after.status === 'expired') {
+            return 'booking.expire';
+        }
+        if (before.status === 'pending') {
+            return 'booking.verify';
+        }
+        if (before.status === 'waitlisted' && after.status === 'confirmed') {
+            return 'booking.promote';
+        }
+    }
+    return 'booking.update';
+}
+
+// Entries for the bookings that were added, changed or removed between two versions of a
+// meeting's bookings
+function bookingChanges(actor, beforeBookings, afterBookings, now = new Date()) {
+    const before = new Map(beforeBookings.map(b => [b.id, b]));
+    const after = new Map(afterBookings.map(b => [b.id, b]));
+    const entries = [];
+
+    afterBookings.forEach(booking => {
+        const previous = before.get(booking.id);
+        if (previous && JSON.stringify(snapshot(previous)) === JSON.stringify(snapshot(booking))) {
+            return;
+        }
+        entries.push(auditEntry(actor, bookingAction(previous, booking), { before: previous, after: booking, now }));
+    });
+    beforeBookings
+        .filter(booking => !after.has(booking.id))
+        .forEach(booking => entries.push(auditEntry(actor, 'booking.purge', { before: booking, now })));
+
+    return entries;
+}
+
+// Append entries to the log. The change they describe has already been made, so a failure
+// here is logged rather than thrown.
+async function recordAudit(repository, entries) {
+    const byDay = {};
+    [].concat(entries).filter(Boolean).forEach(entry => {
+        (byDay[entry.day] = byDay[entry.day] || []).push(entry);
+    });
+
+    for (const [day, dayEntries] of Object.entries(byDay)) {
+        for (let i = 0; i < dayEntries.length; i += APPEND_CHUNK_SIZE) {
+            try {
+                await repository.auditLog.append(day, dayEntries.slice(i, i + APPEND_CHUNK_SIZE));
+            } catch (error) {
+                console.error(`Error writing ${dayEntries.length} audit entries:`, error);
+            }
+        }
+    }
+}
+
+// repository.bookings.updateForMeeting with every change it makes recorded against actor
+async function updateBookings(repository, meetingId, actor, mutator) {
+    let entries = [];
+    const result = await repository.bookings.updateForMeeting(meetingId, async bookings => {
+        const before = structuredClone(bookings);
+        const outcome = await mutator(bookings);
+        entries = outcome === false ? [] : bookingChanges(actor, before, outcome === undefined ? bookings : outcome);
+        return outcome;
+    });
+    await recordAudit(repository, entries);
+    return result;
+}
+
+// Entries matching the filters, newest first. Emails match case-insensitively. Each day's
+// entries are stored in the order they were made, which settles ties on the timestamp.
+function filterAuditEntries(entries, { meetingId, email, from, to } = {}) {
+    const wantedEmail = email ? email.trim().toLowerCase() : null;
+    return [...entries].reverse()
+        .filter(entry => !meetingId || entry.meetingId === meetingId)
+        .filter(entry => !wantedEmail || (entry.email || '').toLowerCase() === wantedEmail ||
+            (entry.actor.email || '').toLowerCase() === wantedEmail)
+        .filter(entry => !from || entry.day >= from)
+        .filter(entry => !to || entry.day <= to)
+        .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+module.exports = {
+    adminActor,
+    attendeeActor,
+    systemActor,
+    auditEntry,
+    bookingChanges,
+    recordAudit,
+    updateBookings,
+    filterAuditEntries
+};
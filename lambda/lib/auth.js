@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getRepository } = require('./repository');
+
+const scrypt = promisify(crypto.scrypt);
+
+// owner: everything. organiser: creates meetings and manages only their own, with those
+// meetings' bookings. viewer: read-only access to the dashboard statistics.
+const ROLES = ['owner', 'organiser', 'viewer'];
+
+const SESSION_TTL_SECONDS = 60 * 60;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Names a client might use to put credentials in the URL, which ends up in access logs
+const QUERY_CREDENTIAL_PARAMS = ['password', 'token', 'access_token', 'authorization'];
+
+function normaliseUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+// Accounts created before roles existed had full access
+function roleOf(admin) {
+    return admin.role || 'owner';
+}
+
+// Meetings from before createdBy was recorded belong to owners only
+function canManageMeeting(admin, meeting) {
+    return admin.role === 'owner' || (admin.role === 'organiser' && meeting.createdBy === admin.id);
+}
+
+// Hash a password for storage as scrypt$N$r$p$salt$key
+async function hashPassword(password) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64url'), key.toString('base64url')].join('$');
+}
+
+async function verifyPassword(password, storedHash) {
+    const [scheme, N, r, p, salt, key] = String(storedHash).split('$');
+    if (scheme !== 'scrypt' || !key) {
+        return false;
+    }
+
+    const expected = Buffer.from(key, 'base64url');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Unknown usernames are checked against this so they take as long as wrong passwords
+let dummyHash;
+async function getDummyHash() {
+    if (!dummyHash) {
+        dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return dummyHash;
+}
+
+function sign(data) {
+    const secret = process.env.ADMIN_SESSION_SECRET;
+    if (!secret) {
+        throw new Error('ADMIN_SESSION_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// HS256 JWT carrying the admin's username and role. A role change applies from the next login.
+function createSessionToken(admin) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const header = encodeSegment({ alg: 'HS256', typ: 'JWT' });
+    const payload = encodeSegment({
+        sub: admin.id,
+        name: admin.username,
+        role: roleOf(admin),
+        iat: issuedAt,
+        exp: issuedAt + SESSION_TTL_SECONDS
+    });
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// Returns the token claims when the signature and expiry check out, otherwise null
+function verifySessionToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return null;
+    }
+
+    try {
+        if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') {
+            return null;
+        }
+        const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+        return claims.exp > Date.now() / 1000 ? claims : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getHeader(event, name) {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+// Shared check for admin-only endpoints. Returns { admin } for a valid session with one of
+// allowedRoles, otherwise { statusCode, error } for the handler to send back.
+function authenticateAdmin(event, allowedRoles = ROLES) {
+    const query = event.queryStringParameters || {};
+    if (QUERY_CREDENTIAL_PARAMS.some(param => query[param] !== undefined)) {
+        return { statusCode: 400, error: 'Credentials must be sent in the Authorization header, not the URL' };
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(getHeader(event, 'authorization') || '');
+    if (!match) {
+        return { statusCode: 401, error: 'Admin login required' };
+    }
+
+    const claims = verifySessionToken(match[1]);
+    if (!claims || !ROLES.includes(claims.role)) {
+        return { statusCode: 401, error: 'Your session has expired, please log in again' };
+    }
+
+    if (!allowedRoles.includes(claims.role)) {
+        return { statusCode: 403, error: 'Your account does not have permission to do this' };
+    }
+
+    return { admin: { id: claims.sub, username: claims.name, role: claims.role } };
+}
+
+// Check a username and password, counting failures towards a temporary lockout. Returns
+// { token, expiresAt, admin } on success, otherwise { statusCode, error }.
+async function loginAdmin(username, password) {
+    const repository = getRepository();
+    const id = normaliseUsername(username);
+    const admin = id ? await repository.admins.get(id) : null;
+
+    if (admin?.lockedUntil && new Date(admin.lockedUntil) > new Date()) {
+        const minutes = Math.ceil((new Date(admin.lockedUntil) - new Date()) / 60000);
+        return { statusCode: 429, error: `Too many failed attempts, try again in ${minutes} minute${minutes === 1 ? '' : 's'}` };
+    }
+
+    const passwordMatches = await verifyPassword(password || '', admin ? admin.passwordHash : await getDummyHash());
+    if (!admin || !passwordMatches) {
+        if (admin) {
+            await repository.admins.update(id, current => {
+                const failedAttempts = (current.failedAttempts || 0) + 1;
+                if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+                    return {
+                        ...current,
+                        failedAttempts: 0,
+                        lockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60000).toISOString()
+                    };
+                }
+                return { ...current, failedAttempts };
+            });
+        }
+        return { statusCode: 401, error: 'Invalid username or password' };
+    }
+
+    const loggedIn = await repository.admins.update(id, current => ({
+        ...current,
+        failedAttempts: 0,
+        lockedUntil: null,
+        lastLoginAt: new Date().toISOString()
+    }));
+
+    const token = createSessionToken(loggedIn);
+    return {
+        token,
+        expiresAt: new Date(verifySessionToken(token).exp * 1000).toISOString(),
+        admin: { id: loggedIn.id, username: loggedIn.username, role: roleOf(loggedIn) }
+    };
+}
+
+module.exports = {
+    ROLES,
+    normaliseUsername,
+    roleOf,
+    canManageMeeting,
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    verifySessionToken,
+    authenticateAdmin,
+    loginAdmin
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+function sign(value) {
+    return crypto
+        .createHmac('sha256', process.env.CANCEL_TOKEN_SECRET)
+        .update(value)
+        .digest('base64url');
+}
+
+// Returns the booking ID when the token was signed for purpose, otherwise null
+function verify(token, purpose) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return null;
+    }
+
+    const [bookingId, signature] = token.split('.');
+    const expected = sign(`${purpose}${bookingId}`);
+    const given = Buffer.from(signature || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+        return null;
+    }
+    return bookingId;
+}
+
+// Sign a booking ID so the attendee can later cancel it without an account
+function createCancelToken(bookingId) {
+    return `${bookingId}.${sign(bookingId)}`;
+}
+
+function verifyCancelToken(token) {
+    return verify(token, '');
+}
+
+// Sign a booking ID for the attendee's check-in code. It is signed differently from the
+// cancellation link, so neither can be used as the other.
+function createCheckInToken(bookingId) {
+    return `${bookingId}.${sign(`check-in:${bookingId}`)}`;
+}
+
+function verifyCheckInToken(token) {
+    return verify(token, 'check-in:');
+}
+
+// Sign an email address for the link to that attendee's bookings, good until expiresAt. The
+// address and expiry travel in the token, so no session is stored.
+function createBookingsToken(email, expiresAt) {
+    const payload = Buffer.from(JSON.stringify({ email: email.trim().toLowerCase(), exp: expiresAt.getTime() })).toString('base64url');
+    return `${payload}.${sign(`bookings:${payload}`)}`;
+}
+
+// Returns { email, expiresAt } for a valid link that hasn't run out, otherwise null
+function verifyBookingsToken(token, now = new Date()) {
+    const payload = verify(token, 'bookings:');
+    if (!payload) {
+        return null;
+    }
+    try {
+        const { email, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (typeof email !== 'string' || !(exp > now.getTime())) {
+            return null;
+        }
+        return { email, expiresAt: new Date(exp) };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    createCancelToken,
+    verifyCancelToken,
+    createCheckInToken,
+    verifyCheckInToken,
+    createBookingsToken,
+    verifyBookingsToken
+};
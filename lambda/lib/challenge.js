@@ -0,0 +1,92 @@
+// Proof-of-work challenges for the public booking form. GET /bookings/challenge hands out a
+// signed challenge; the browser searches for a nonce whose SHA-256 of "challenge:nonce" starts
+// with BOOKING_POW_DIFFICULTY zero bits and sends both with the booking. That takes a browser
+// a moment but makes filling meetings from a script slow. The signature and timestamp say the
+// challenge is ours and recent; each one is then marked as used in the rateLimits collection
+// until it expires, so a solution can't be sent again. A difficulty of 0 turns the check off.
+const crypto = require('crypto');
+
+const BOOKING_POW_DIFFICULTY = Number(process.env.BOOKING_POW_DIFFICULTY || 14);
+const CHALLENGE_TTL_MINUTES = 10;
+
+// Derived from the cancel token secret so there's no other secret to manage
+function sign(data) {
+    return crypto
+        .createHmac('sha256', process.env.CANCEL_TOKEN_SECRET)
+        .update(`challenge:${data}`)
+        .digest('base64url');
+}
+
+function createChallenge(now = new Date(), difficulty = BOOKING_POW_DIFFICULTY) {
+    const data = `${now.getTime()}.${difficulty}.${crypto.randomBytes(12).toString('base64url')}`;
+    return { challenge: `${data}.${sign(data)}`, difficulty };
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+function solves(challenge, nonce, difficulty) {
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    return leadingZeroBits(hash) >= difficulty;
+}
+
+// Returns an error message when the challenge or its solution don't check out, or null
+function verifyChallenge(challenge, nonce, now = new Date(), difficulty = BOOKING_POW_DIFFICULTY) {
+    if (difficulty <= 0) {
+        return null;
+    }
+    if (typeof challenge !== 'string' || (typeof nonce !== 'string' && typeof nonce !== 'number')) {
+        return 'Please reload the page and try again';
+    }
+
+    const parts = challenge.split('.');
+    const signature = parts.pop();
+    const data = parts.join('.');
+    const expected = Buffer.from(sign(data));
+    const given = Buffer.from(signature || '');
+    if (parts.length !== 3 || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'Please reload the page and try again';
+    }
+
+    const [issuedAt, issuedDifficulty] = parts.map(Number);
+    if (now.getTime() - issuedAt > CHALLENGE_TTL_MINUTES * 60 * 1000 || issuedDifficulty < difficulty) {
+        return 'The booking form has expired, please try again';
+    }
+    if (!solves(challenge, String(nonce), issuedDifficulty)) {
+        return 'Please reload the page and try again';
+    }
+    return null;
+}
+
+// Verify a challenge and mark it as used. Returns an error message, or null when the challenge
+// is good and hadn't been used before.
+async function useChallenge(repository, challenge, nonce, now = new Date(), difficulty = BOOKING_POW_DIFFICULTY) {
+    const error = verifyChallenge(challenge, nonce, now, difficulty);
+    if (error || difficulty <= 0) {
+        return error;
+    }
+
+    const key = `challenge:${crypto.createHash('sha256').update(challenge).digest('hex').slice(0, 32)}`;
+    const issuedAt = Number(challenge.split('.')[0]);
+    let claimed = false;
+    await repository.rateLimits.update(key, records => {
+        claimed = records.length === 0;
+        if (!claimed) {
+            return false;
+        }
+        // Kept until the challenge would have expired anyway
+        return [{ id: 'used', key, expiresAt: Math.ceil((issuedAt + CHALLENGE_TTL_MINUTES * 60 * 1000) / 1000) }];
+    });
+    return claimed ? null : 'This booking form has already been sent, please reload the page and try again';
+}
+
+module.exports = { BOOKING_POW_DIFFICULTY, createChallenge, verifyChallenge, useChallenge, solves };
@@ -0,0 +1,65 @@
+// Who came to a meeting. From CHECK_IN_OPENS_MINUTES before it starts, admins mark each
+// confirmed booking present or a no-show, or a late cancel for someone who dropped out too
+// late for their place to be filled (cancelled bookings can be marked that too). The
+// attendance rate is the share of marked bookings that were present.
+const { meetingStart } = require('./timezone');
+
+const ATTENDANCE_STATUSES = ['present', 'no-show', 'late-cancel'];
+const CHECK_IN_OPENS_MINUTES = 60;
+
+function checkInOpensAt(meeting) {
+    return new Date(meetingStart(meeting).getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000);
+}
+
+// Returns an error message when a booking can't be given this attendance, or null. An
+// attendance of null clears it.
+function validateAttendance(booking, meeting, attendance, now = new Date()) {
+    if (attendance !== null && !ATTENDANCE_STATUSES.includes(attendance)) {
+        return `Attendance must be one of ${ATTENDANCE_STATUSES.join(', ')}, or null to clear it`;
+    }
+    const confirmed = !booking.status || booking.status === 'confirmed';
+    if (attendance !== null && !confirmed && !(attendance === 'late-cancel' && booking.status === 'cancelled')) {
+        return 'Only confirmed bookings can be checked in, and cancelled ones marked as late cancels';
+    }
+    if (checkInOpensAt(meeting) > now) {
+        return `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the meeting starts`;
+    }
+    return null;
+}
+
+// Record attendance on a booking in place, or clear it when attendance is null
+function markAttendance(booking, attendance, admin, now = new Date()) {
+    if (attendance === null) {
+        delete booking.attendance;
+        delete booking.attendanceMarkedAt;
+        delete booking.attendanceMarkedBy;
+        return;
+    }
+    booking.attendance = attendance;
+    booking.attendanceMarkedAt = now.toISOString();
+    booking.attendanceMarkedBy = admin.username;
+}
+
+// How many of the bookings were marked each way, and the attendance rate as a whole
+// percentage, null when none have been marked
+function summarizeAttendance(bookings) {
+    const count = status => bookings.filter(b => b.attendance === status).length;
+    const present = count('present');
+    const noShows = count('no-show');
+    const lateCancels = count('late-cancel');
+    const marked = present + noShows + lateCancels;
+    return {
+        present,
+        noShows,
+        lateCancels,
+        attendanceRate: marked > 0 ? Math.round(present / marked * 100) : null
+    };
+}
+
+module.exports = {
+    ATTENDANCE_STATUSES,
+    CHECK_IN_OPENS_MINUTES,
+    validateAttendance,
+    markAttendance,
+    summarizeAttendance
+};
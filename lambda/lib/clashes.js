@@ -0,0 +1,39 @@
+// Meetings that want the same room at the same time. Locations are compared ignoring case and
+// surrounding spaces; meetings without one never clash, and trashed and cancelled meetings
+// leave the room free.
+const { meetingInterval, intervalsOverlap } = require('./intervals');
+const { isTrashed } = require('./trash');
+
+function locationKey(meeting) {
+    return (meeting.location || '').trim().toLowerCase();
+}
+
+// The meetings among others at the same location as any of these while they run
+function locationClashes(meetings, others) {
+    const ids = new Set(meetings.map(m => m.id));
+    const located = meetings.filter(locationKey);
+    if (located.length === 0) {
+        return [];
+    }
+    return others.filter(other => !ids.has(other.id)
+        && !isTrashed(other)
+        && other.status !== 'cancelled'
+        && located.some(m => locationKey(m) === locationKey(other)
+            && intervalsOverlap(meetingInterval(m), meetingInterval(other))));
+}
+
+// What a clashing meeting is, for telling the admin about it
+function clashSummary(meeting) {
+    return {
+        id: meeting.id,
+        title: meeting.title,
+        date: meeting.date,
+        time: meeting.time,
+        timeZone: meeting.timeZone,
+        startsAt: meeting.startsAt,
+        duration: meeting.duration,
+        location: meeting.location
+    };
+}
+
+module.exports = { locationClashes, clashSummary };
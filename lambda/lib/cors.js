@@ -0,0 +1,44 @@
+// Origins allowed to call the API from a browser come from ALLOWED_ORIGINS, a comma-separated
+// list such as "https://d123.cloudfront.net,https://bookings.example.com". Unset or "*"
+// allows any origin, which is what local development wants.
+function allowedOrigins() {
+    return (process.env.ALLOWED_ORIGINS || '*')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+function requestOrigin(event) {
+    const headers = event.headers || {};
+    const name = Object.keys(headers).find(key => key.toLowerCase() === 'origin');
+    return name ? headers[name] : null;
+}
+
+// The Access-Control-Allow-Origin value for a request, or null when its origin isn't allowed
+function allowOriginFor(event) {
+    const origins = allowedOrigins();
+    if (origins.includes('*')) {
+        return '*';
+    }
+    const origin = requestOrigin(event);
+    return origin && origins.includes(origin) ? origin : null;
+}
+
+// Wrap an API handler so every response, preflights included, only names an allowed origin.
+// Browsers on any other site can't read the responses or get past the preflight.
+function withCors(handler) {
+    return async (event) => {
+        const response = await handler(event);
+        const headers = { ...response.headers };
+        const allowOrigin = allowOriginFor(event);
+        if (allowOrigin) {
+            headers['Access-Control-Allow-Origin'] = allowOrigin;
+        }
+        if (allowOrigin !== '*') {
+            headers.Vary = 'Origin';
+        }
+        return { ...response, headers };
+    };
+}
+
+module.exports = { allowedOrigins, allowOriginFor, withCors };
@@ -0,0 +1,117 @@
+// CSV as RFC 4180 describes it: comma separated fields, records ending in CRLF (or a bare LF
+// from spreadsheets that write them), and fields in double quotes wherever they hold commas,
+// quotes or line breaks, with a quote inside one written twice.
+
+// Spreadsheets run text starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Parse CSV text into records of { line, fields }, line being where the record starts in the
+// file. Blank lines are skipped. Returns { records } or { error } naming the line at fault.
+function parseCSV(text) {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const records = [];
+    let fields = [];
+    let field = '';
+    let line = 1;
+    let recordLine = 1;
+    let quoted = false;
+    let quoteLine = 0;
+    // Whether the current field has been closed by its quote and must end here
+    let closed = false;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+        closed = false;
+    };
+    const endRecord = () => {
+        endField();
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+                closed = true;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === ',') {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+            line++;
+            recordLine = line;
+        } else if (closed) {
+            return { error: `Line ${line}: a quoted field must end at its closing quote` };
+        } else if (char === '"') {
+            if (field !== '') {
+                return { error: `Line ${line}: quotes must surround the whole field` };
+            }
+            quoted = true;
+            quoteLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        return { error: `Line ${quoteLine}: a quoted field is never closed` };
+    }
+    if (fields.length > 0 || field !== '' || closed) {
+        endRecord();
+    }
+    return { records };
+}
+
+// One field of a record. Text that a spreadsheet would take for a formula, such as an
+// attendee's answer of =HYPERLINK(...), is written with a leading ' so it shows as typed.
+function formatField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A field as it was before formatField guarded it, so an export can be imported again
+function readField(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Rows (objects keyed by column name) as CSV text with a header row, CRLF line endings and
+// every column that appears in any row, in the order they first appear
+function formatCSV(rows) {
+    if (!rows || rows.length === 0) {
+        return '';
+    }
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return [
+        columns.map(formatField).join(','),
+        ...rows.map(row => columns.map(column => formatField(row[column])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCSV, readField, formatCSV };
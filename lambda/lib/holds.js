@@ -0,0 +1,75 @@
+// Bookings for meetings with requireVerification start as pending holds. A hold keeps a seat,
+// or a place in the queue for the waitlist, for VERIFICATION_HOLD_MINUTES while the attendee
+// enters the one-time code emailed to them. Holds that aren't confirmed in time expire and
+// give the seat back. Pending holds never count towards currentAttendees.
+const crypto = require('crypto');
+
+const VERIFICATION_HOLD_MINUTES = Number(process.env.VERIFICATION_HOLD_MINUTES) || 30;
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+function hashCode(bookingId, code) {
+    return crypto.createHash('sha256').update(`${bookingId}:${code}`).digest('hex');
+}
+
+// A new six-digit code and the fields that turn a booking into a hold. Only the code's hash
+// is stored; the code itself goes out by email.
+function createHold(bookingId, holdFor, now = new Date()) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    return {
+        code,
+        fields: {
+            status: 'pending',
+            holdFor,
+            heldAt: now.toISOString(),
+            holdExpiresAt: new Date(now.getTime() + VERIFICATION_HOLD_MINUTES * 60 * 1000).toISOString(),
+            verification: { codeHash: hashCode(bookingId, code), attempts: 0 }
+        }
+    };
+}
+
+function checkVerificationCode(booking, code) {
+    if (!booking.verification || typeof code !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(booking.verification.codeHash);
+    const given = Buffer.from(hashCode(booking.id, code.trim()));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isActiveHold(booking, now = new Date()) {
+    return booking.status === 'pending' && new Date(booking.holdExpiresAt) > now;
+}
+
+// Confirmed bookings plus unexpired seat holds: what counts against maxAttendees
+function seatsTaken(bookings, meetingId, now = new Date()) {
+    return bookings.filter(b => b.meetingId === meetingId && (
+        !b.status || b.status === 'confirmed' || (b.holdFor === 'seat' && isActiveHold(b, now))
+    )).length;
+}
+
+// Mark holds that have run out as expired, returns them
+function releaseExpiredHolds(bookings, now = new Date()) {
+    const expired = bookings.filter(b => b.status === 'pending' && !isActiveHold(b, now));
+    expired.forEach(hold => {
+        hold.status = 'expired';
+        hold.expiredAt = now.toISOString();
+        delete hold.verification;
+    });
+    return expired;
+}
+
+// A booking as it can be shown outside storage, without its code hash
+function withoutVerification({ verification, ...booking }) {
+    return booking;
+}
+
+module.exports = {
+    VERIFICATION_HOLD_MINUTES,
+    MAX_VERIFICATION_ATTEMPTS,
+    createHold,
+    checkVerificationCode,
+    isActiveHold,
+    seatsTaken,
+    releaseExpiredHolds,
+    withoutVerification
+};
@@ -0,0 +1,91 @@
+// RFC 5545 iCalendar output for meetings. Each meeting keeps one UID for its whole life and
+// a SEQUENCE that goes up whenever its calendar details change, so a calendar that imported
+// an earlier copy replaces it rather than adding a second event.
+const { meetingStart } = require('./timezone');
+
+const PRODUCT_ID = "-//Pete's Booking App//Meetings//EN";
+const UID_DOMAIN = 'petes-booking-app';
+
+// Escape TEXT values (section 3.3.11)
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (section 3.1)
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+// 20300107T180000Z
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function meetingUid(meetingId) {
+    return `${meetingId}@${UID_DOMAIN}`;
+}
+
+// A VEVENT for a meeting. Cancelled and trashed meetings keep their UID with STATUS:CANCELLED.
+function meetingEvent(meeting, { cancelled = meeting.status === 'cancelled' || !!meeting.deletedAt } = {}) {
+    const start = meetingStart(meeting);
+    const end = new Date(start.getTime() + (parseInt(meeting.duration) || 0) * 60000);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${meetingUid(meeting.id)}`,
+        `SEQUENCE:${meeting.sequence || 0}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(meeting.title)}`
+    ];
+    if (meeting.description) {
+        lines.push(`DESCRIPTION:${escapeText(meeting.description)}`);
+    }
+    if (meeting.location) {
+        lines.push(`LOCATION:${escapeText(meeting.location)}`);
+    }
+    const lastModified = meeting.cancelledAt || meeting.deletedAt || meeting.updatedAt || meeting.createdAt;
+    if (lastModified) {
+        lines.push(`LAST-MODIFIED:${formatUtc(new Date(lastModified))}`);
+    }
+    lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+    return lines;
+}
+
+// A complete VCALENDAR. method is PUBLISH for downloads and feeds, CANCEL for a single
+// cancelled meeting.
+function buildCalendar(eventLines, { name, method = 'PUBLISH' } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`
+    ];
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+    lines.push(...eventLines, 'END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { meetingUid, meetingEvent, buildCalendar };
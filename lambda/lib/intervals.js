@@ -0,0 +1,35 @@
+// Time intervals for telling whether two meetings run at the same time. An interval is
+// { start, end } in milliseconds since the epoch and includes its start but not its end, so a
+// meeting ending at 11:00 doesn't clash with one starting at 11:00.
+const { meetingStart } = require('./timezone');
+
+const MINUTE_MS = 60 * 1000;
+
+// The time a meeting takes up, or null when its start can't be read
+function meetingInterval(meeting) {
+    const start = meetingStart(meeting).getTime();
+    if (isNaN(start)) {
+        return null;
+    }
+    const duration = parseInt(meeting.duration);
+    return { start, end: start + (duration > 0 ? duration : 0) * MINUTE_MS };
+}
+
+// Whether two intervals share any time. An interval with no length overlaps those it falls
+// inside, or one starting at the same moment.
+function intervalsOverlap(a, b) {
+    if (!a || !b) {
+        return false;
+    }
+    if (a.start === b.start) {
+        return true;
+    }
+    return a.start < b.end && b.start < a.end;
+}
+
+// The items whose intervals overlap the given one, in the order given
+function findOverlapping(interval, items, intervalOf) {
+    return items.filter(item => intervalsOverlap(interval, intervalOf(item)));
+}
+
+module.exports = { meetingInterval, intervalsOverlap, findOverlapping };
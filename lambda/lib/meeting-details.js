@@ -0,0 +1,80 @@
+// What a meeting is and who runs it, for attendees browsing the listing: a category from a
+// fixed list, free-form tags, and a host profile of { name, bio }. All three are optional.
+
+const CATEGORIES = ['workshop', 'talk', 'class', 'social', 'meetup', 'other'];
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_HOST_NAME_LENGTH = 100;
+const MAX_HOST_BIO_LENGTH = 1000;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Tags given as a list or as one comma-separated string
+function tagList(tags) {
+    return Array.isArray(tags) ? tags : String(tags).split(',');
+}
+
+// Returns an error message for an invalid category, tags or host, or null
+function validateMeetingDetails({ category, tags, host }) {
+    if (!isBlank(category) && !CATEGORIES.includes(category)) {
+        return `Category must be one of ${CATEGORIES.join(', ')}`;
+    }
+
+    if (!isBlank(tags)) {
+        const list = tagList(tags);
+        if (list.some(tag => typeof tag !== 'string' || tag.trim().length > MAX_TAG_LENGTH)) {
+            return `Tags must be text of at most ${MAX_TAG_LENGTH} characters`;
+        }
+        if (normalizeTags(list).length > MAX_TAGS) {
+            return `A meeting can have at most ${MAX_TAGS} tags`;
+        }
+    }
+
+    if (!isBlank(host)) {
+        if (typeof host !== 'object' || Array.isArray(host)) {
+            return 'Host must have a name and may have a bio';
+        }
+        const name = typeof host.name === 'string' ? host.name.trim() : '';
+        const bio = isBlank(host.bio) ? '' : host.bio;
+        // A host with neither is the same as no host
+        if (name || bio) {
+            if (!name || name.length > MAX_HOST_NAME_LENGTH) {
+                return `The host needs a name of at most ${MAX_HOST_NAME_LENGTH} characters`;
+            }
+            if (typeof bio !== 'string' || bio.trim().length > MAX_HOST_BIO_LENGTH) {
+                return `The host bio must be text of at most ${MAX_HOST_BIO_LENGTH} characters`;
+            }
+        }
+    }
+
+    return null;
+}
+
+function normalizeCategory(category) {
+    return isBlank(category) ? null : category;
+}
+
+// Tags as stored: trimmed, without blanks, and each one once whatever its case
+function normalizeTags(tags) {
+    if (isBlank(tags)) {
+        return [];
+    }
+    const seen = new Set();
+    return tagList(tags)
+        .map(tag => tag.trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+}
+
+function normalizeHost(host) {
+    const name = host && typeof host.name === 'string' ? host.name.trim() : '';
+    return name ? { name, bio: host.bio ? host.bio.trim() : '' } : null;
+}
+
+module.exports = { CATEGORIES, validateMeetingDetails, normalizeCategory, normalizeTags, normalizeHost };
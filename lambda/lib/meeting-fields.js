@@ -0,0 +1,40 @@
+// Checks on the fields every meeting needs, whether it is created, edited or imported
+const { DEFAULT_TIME_ZONE, isValidTimeZone, zonedTimeToUtc } = require('./timezone');
+const { validateRegistrationWindow } = require('./registration');
+
+// Validate meeting fields shared by create, update and import, returns an error message or null
+function validateMeetingFields({ title, date, time, timeZone, duration, minAttendees, maxAttendees, registrationOpensHoursBefore, registrationClosesHoursBefore }) {
+    // Validate required fields
+    if (!title || !date || !time || !duration) {
+        return 'Title, date, time, and duration are required';
+    }
+
+    // Validate duration format (should be in minutes)
+    if (isNaN(duration) || duration <= 0) {
+        return 'Duration must be a positive number (in minutes)';
+    }
+
+    // Validate min/max attendees
+    if (minAttendees && maxAttendees && parseInt(minAttendees) > parseInt(maxAttendees)) {
+        return 'Minimum attendees cannot be greater than maximum attendees';
+    }
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+        return 'Time zone must be an IANA time zone name, such as Europe/London';
+    }
+
+    const windowError = validateRegistrationWindow({ registrationOpensHoursBefore, registrationClosesHoursBefore });
+    if (windowError) {
+        return windowError;
+    }
+
+    // Validate date format
+    const meetingDate = zonedTimeToUtc(date, time, timeZone || DEFAULT_TIME_ZONE);
+    if (isNaN(meetingDate.getTime())) {
+        return 'Invalid date or time format';
+    }
+
+    return null;
+}
+
+module.exports = { validateMeetingFields };
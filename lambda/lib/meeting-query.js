@@ -0,0 +1,136 @@
+// Filtering, sorting and paging for the public meeting listing. Pages are cut with a cursor
+// naming the last meeting of the previous page by its sort key, so meetings added or removed
+// meanwhile don't shift later pages.
+const { meetingStart } = require('./timezone');
+const { CATEGORIES } = require('./meeting-details');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WHEN_VALUES = ['upcoming', 'past'];
+const SORT_ORDERS = ['date', '-date', 'title', '-title'];
+const MAX_PAGE_SIZE = 100;
+
+// The listing's query parameters as { query }, or { error } describing the first bad one.
+// The archive (when=past) lists the latest meetings first unless asked otherwise.
+function parseMeetingQuery(params = {}) {
+    const { when, from, to, q, category, tags, sort, limit, cursor } = params;
+
+    if (when !== undefined && !WHEN_VALUES.includes(when)) {
+        return { error: 'when must be upcoming or past' };
+    }
+    if ([from, to].some(date => date && (!DATE_PATTERN.test(date) || isNaN(new Date(date).getTime())))) {
+        return { error: 'Dates must be in YYYY-MM-DD format' };
+    }
+    if (from && to && from > to) {
+        return { error: 'The start date must not be after the end date' };
+    }
+    if (category !== undefined && !CATEGORIES.includes(category)) {
+        return { error: `Category must be one of ${CATEGORIES.join(', ')}` };
+    }
+    if (sort !== undefined && !SORT_ORDERS.includes(sort)) {
+        return { error: `Sort must be one of ${SORT_ORDERS.join(', ')}` };
+    }
+    const pageSize = limit === undefined ? null : Number(limit);
+    if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+        return { error: `Limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+
+    const query = {
+        when: when || null,
+        from: from || null,
+        to: to || null,
+        words: (q || '').toLowerCase().split(/\s+/).filter(Boolean),
+        category: category || null,
+        tags: (tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean),
+        sort: sort || (when === 'past' ? '-date' : 'date'),
+        limit: pageSize,
+        after: null
+    };
+
+    if (cursor) {
+        const after = decodeCursor(cursor);
+        if (!after || after.sort !== query.sort) {
+            return { error: 'Invalid cursor, start again from the first page' };
+        }
+        query.after = after.key;
+    }
+    return { query };
+}
+
+function encodeCursor(sort, key) {
+    return Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { sort, key } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const valid = typeof sort === 'string' && Array.isArray(key) && key.length === 2 && key.every(part => typeof part === 'string');
+        return valid ? { sort, key } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// What a meeting is ordered by, with its id to break ties. Meetings without a readable start
+// time sort before the rest.
+function sortKey(meeting, sort) {
+    const start = meetingStart(meeting);
+    if (sort.endsWith('date')) {
+        return [isNaN(start.getTime()) ? '' : start.toISOString(), meeting.id];
+    }
+    return [String(meeting.title).toLowerCase(), meeting.id];
+}
+
+function compareKeys(a, b, sort) {
+    const order = sort.startsWith('-') ? -1 : 1;
+    return order * (a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+}
+
+function matchesQuery(meeting, query, now) {
+    const start = meetingStart(meeting);
+    if (query.when === 'upcoming' && !(start > now)) {
+        return false;
+    }
+    if (query.when === 'past' && start > now) {
+        return false;
+    }
+    if ((query.from && meeting.date < query.from) || (query.to && meeting.date > query.to)) {
+        return false;
+    }
+    if (query.words.length > 0) {
+        const text = [meeting.title, meeting.description, meeting.location, meeting.host?.name, ...(meeting.tags || [])].join(' ').toLowerCase();
+        if (!query.words.every(word => text.includes(word))) {
+            return false;
+        }
+    }
+    if (query.category && meeting.category !== query.category) {
+        return false;
+    }
+    // Any one of the tags will do
+    if (query.tags.length > 0 && !(meeting.tags || []).some(tag => query.tags.includes(tag.toLowerCase()))) {
+        return false;
+    }
+    return true;
+}
+
+// The meetings matching the query, sorted, from the cursor on: { meetings, total, nextCursor },
+// total counting every match and nextCursor null on the last page
+function queryMeetings(meetings, query, now = new Date()) {
+    const matching = meetings
+        .filter(meeting => matchesQuery(meeting, query, now))
+        .map(meeting => ({ meeting, key: sortKey(meeting, query.sort) }))
+        .sort((a, b) => compareKeys(a.key, b.key, query.sort));
+
+    const remaining = query.after
+        ? matching.filter(({ key }) => compareKeys(key, query.after, query.sort) > 0)
+        : matching;
+    const page = query.limit ? remaining.slice(0, query.limit) : remaining;
+    const last = page[page.length - 1];
+
+    return {
+        meetings: page.map(({ meeting }) => meeting),
+        total: matching.length,
+        nextCursor: page.length < remaining.length ? encodeCursor(query.sort, last.key) : null
+    };
+}
+
+module.exports = { SORT_ORDERS, MAX_PAGE_SIZE, parseMeetingQuery, queryMeetings };
@@ -0,0 +1,58 @@
+// Builds a raw RFC 5322 email with an optional set of attachments. SES and SMTP are both
+// handed the same bytes, so what the local transport writes out is exactly what gets sent.
+const crypto = require('crypto');
+
+// Non-ASCII header values go out as RFC 2047 encoded words
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function base64Lines(content) {
+    return Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function part(contentType, content, extraHeaders = []) {
+    return [
+        `Content-Type: ${contentType}`,
+        'Content-Transfer-Encoding: base64',
+        ...extraHeaders,
+        '',
+        base64Lines(content)
+    ].join('\r\n');
+}
+
+// message: { from, to, subject, text, attachments: [{ filename, contentType, content }] }
+function buildMimeMessage({ from, to, subject, text, attachments = [] }) {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${String(from).split('@').pop().replace(/[<>\s]/g, '')}>`,
+        'MIME-Version: 1.0'
+    ];
+    const body = part('text/plain; charset=utf-8', text);
+
+    if (attachments.length === 0) {
+        return [...headers, body].join('\r\n') + '\r\n';
+    }
+
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [body, ...attachments.map(attachment => part(
+        `${attachment.contentType}; name="${attachment.filename}"`,
+        attachment.content,
+        [`Content-Disposition: attachment; filename="${attachment.filename}"`]
+    ))];
+
+    return [
+        ...headers,
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        '',
+        ...parts.map(p => `--${boundary}\r\n${p}`),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+module.exports = { buildMimeMessage };
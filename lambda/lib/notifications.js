@@ -0,0 +1,245 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./repository');
+const { DEFAULT_TEMPLATES, renderTemplate } = require('./templates');
+const { meetingEvent, buildCalendar } = require('./ical');
+const { createCancelToken, createCheckInToken } = require('./cancel-tokens');
+const { DEFAULT_TIME_ZONE, meetingStart } = require('./timezone');
+
+const MAX_ATTEMPTS = 3;
+// Emails notifyAll sends at once, to stay well inside the transport's send rate
+const SEND_CONCURRENCY = 10;
+// Emails notifyAll couldn't send are retried for this long, after that the news is stale
+const RETRY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Emails that carry the meeting as an .ics attachment, and the iCalendar METHOD to use
+const CALENDAR_METHODS = {
+    bookingConfirmation: 'PUBLISH',
+    meetingChanged: 'PUBLISH',
+    meetingCancelled: 'CANCEL',
+    meetingConfirmed: 'PUBLISH',
+    meetingNotRunning: 'CANCEL'
+};
+
+// EMAIL_TRANSPORT picks how email leaves: local (default, nothing is delivered), ses or smtp
+function createTransport(kind = process.env.EMAIL_TRANSPORT || 'local') {
+    switch (kind) {
+        case 'local':
+            return require('./transports/local').createLocalTransport({ dir: process.env.EMAIL_OUTBOX_DIR });
+        case 'ses':
+            return require('./transports/ses').createSesTransport();
+        case 'smtp':
+            return require('./transports/smtp').createSmtpTransport();
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${kind}`);
+    }
+}
+
+function formatMeetingTime(meeting) {
+    const start = meetingStart(meeting);
+    if (isNaN(start.getTime())) {
+        return `${meeting.date} ${meeting.time}`;
+    }
+    return start.toLocaleString('en-US', {
+        timeZone: meeting.timeZone || DEFAULT_TIME_ZONE,
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sends templated emails about bookings. Every send is retried with backoff and recorded
+// against the booking, sent or failed, so admins can see what each attendee was told. Emails
+// to many bookings at once get one attempt each and are retried later by retryFailed.
+function createNotifier({ repository, transport, from, appUrl, apiUrl, retryDelayMs = 500 }) {
+    async function loadTemplate(type) {
+        const saved = await repository.templates.get(type);
+        return saved ? { ...DEFAULT_TEMPLATES[type], ...saved } : DEFAULT_TEMPLATES[type];
+    }
+
+    function placeholders(booking, meeting, values) {
+        return {
+            meetingTitle: meeting.title,
+            meetingTime: formatMeetingTime(meeting),
+            duration: meeting.duration,
+            location: meeting.location || 'To be confirmed',
+            description: meeting.description || '',
+            minAttendees: meeting.minAttendees || '',
+            email: booking.email,
+            cancelUrl: appUrl ? `${appUrl}?cancel=${encodeURIComponent(createCancelToken(booking.id))}` : '',
+            checkInUrl: appUrl ? `${appUrl}?checkin=${encodeURIComponent(createCheckInToken(booking.id))}` : '',
+            calendarUrl: apiUrl ? `${apiUrl}/meetings/${meeting.id}/calendar` : '',
+            verifyUrl: appUrl && values.verificationCode
+                ? `${appUrl}?verify=${encodeURIComponent(booking.id)}&code=${encodeURIComponent(values.verificationCode)}`
+                : ''
+        };
+    }
+
+    function calendarAttachments(type, meeting) {
+        const method = CALENDAR_METHODS[type];
+        if (!method) {
+            return [];
+        }
+        return [{
+            filename: 'invite.ics',
+            contentType: `text/calendar; charset=utf-8; method=${method}`,
+            content: buildCalendar(meetingEvent(meeting, { cancelled: method === 'CANCEL' }), { method })
+        }];
+    }
+
+    // Try the transport up to maxAttempts times in all with backoff, noting each outcome on notification
+    async function deliver(message, notification, maxAttempts = MAX_ATTEMPTS) {
+        while (notification.attempts < maxAttempts) {
+            notification.attempts++;
+            try {
+                const { messageId } = await transport.send(message);
+                Object.assign(notification, { status: 'sent', messageId, sentAt: new Date().toISOString(), error: null });
+                return;
+            } catch (error) {
+                notification.error = error.message;
+                if (notification.attempts < maxAttempts) {
+                    await sleep(retryDelayMs * 2 ** (notification.attempts - 1));
+                }
+            }
+        }
+    }
+
+    function newNotification(type, booking) {
+        return {
+            id: uuidv4(),
+            bookingId: booking.id,
+            meetingId: booking.meetingId,
+            type,
+            to: booking.email,
+            status: 'failed',
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // Render and send one email about a booking, carrying on from notification's attempts
+    async function send(type, booking, meeting, values, notification, maxAttempts) {
+        try {
+            const { subject, text } = renderTemplate(await loadTemplate(type), { ...placeholders(booking, meeting, values), ...values });
+            const message = { from, to: booking.email, subject, text, attachments: calendarAttachments(type, meeting) };
+            notification.subject = subject;
+
+            await deliver(message, notification, maxAttempts);
+        } catch (error) {
+            notification.error = error.message;
+        }
+
+        if (notification.status === 'failed') {
+            console.error(`Failed to send ${type} email for booking ${booking.id}:`, notification.error);
+        }
+        return notification;
+    }
+
+    async function record(notification) {
+        try {
+            await repository.notifications.record(notification);
+        } catch (error) {
+            console.error('Error recording notification:', error);
+        }
+    }
+
+    // Send one email about a booking and record the outcome. Never throws: a failed email
+    // shouldn't undo the booking change that caused it.
+    async function notify(type, booking, meeting, values = {}) {
+        const notification = await send(type, booking, meeting, values, newNotification(type, booking), MAX_ATTEMPTS);
+        await record(notification);
+        return notification;
+    }
+
+    // The same kind of email to each booking, SEND_CONCURRENCY at a time. This runs inside API
+    // requests, so each email gets a single attempt and the ones that fail are marked for
+    // retryFailed rather than held up by backoff here. Outcomes are recorded one after the
+    // other so they don't fight over the same document.
+    async function notifyAll(type, bookings, meeting, values = {}) {
+        const results = [];
+        for (let i = 0; i < bookings.length; i += SEND_CONCURRENCY) {
+            results.push(...await Promise.all(bookings.slice(i, i + SEND_CONCURRENCY).map(async booking => {
+                const notification = await send(type, booking, meeting, values, newNotification(type, booking), 1);
+                if (notification.status === 'failed') {
+                    Object.assign(notification, { retry: true, values });
+                }
+                return notification;
+            })));
+        }
+        for (const notification of results) {
+            await record(notification);
+        }
+        return results;
+    }
+
+    // Send again the emails notifyAll couldn't, with the rest of their attempts and backoff.
+    // Called on a schedule. Returns how many were retried and how many went out.
+    async function retryFailed(now = new Date()) {
+        const due = (await repository.notifications.list()).filter(n => n.retry && n.status === 'failed');
+        const summary = { retried: 0, sent: 0 };
+
+        for (const pending of due) {
+            const notification = { ...pending, retry: false };
+            const [booking, meeting] = now - new Date(pending.createdAt) > RETRY_WINDOW_MS
+                ? []
+                : await Promise.all([repository.bookings.get(pending.bookingId), repository.meetings.get(pending.meetingId)]);
+            if (booking && meeting) {
+                await send(pending.type, booking, meeting, pending.values || {}, notification, MAX_ATTEMPTS);
+                summary.retried++;
+                summary.sent += notification.status === 'sent' ? 1 : 0;
+            }
+            delete notification.values;
+
+            try {
+                await repository.notifications.replace(notification);
+            } catch (error) {
+                console.error('Error recording notification:', error);
+            }
+        }
+        return summary;
+    }
+
+    // Send an email to an address rather than about one booking, such as the link to an
+    // attendee's bookings. Nothing is recorded, there's no booking to record it against.
+    async function notifyAddress(type, to, values = {}) {
+        const notification = { type, to, status: 'failed', attempts: 0 };
+        try {
+            const bookingsUrl = appUrl && values.bookingsToken ? `${appUrl}?bookings=${encodeURIComponent(values.bookingsToken)}` : '';
+            const { subject, text } = renderTemplate(await loadTemplate(type), { email: to, bookingsUrl, ...values });
+            await deliver({ from, to, subject, text, attachments: [] }, notification);
+        } catch (error) {
+            notification.error = error.message;
+        }
+        if (notification.status === 'failed') {
+            console.error(`Failed to send ${type} email:`, notification.error);
+        }
+        return notification;
+    }
+
+    return { transport, notify, notifyAll, notifyAddress, retryFailed };
+}
+
+let defaultNotifier;
+
+// Shared instance for the handlers, built from the environment on first use
+function getNotifier() {
+    if (!defaultNotifier) {
+        defaultNotifier = createNotifier({
+            repository: getRepository(),
+            transport: createTransport(),
+            from: process.env.EMAIL_FROM || 'bookings@example.com',
+            appUrl: process.env.APP_URL,
+            apiUrl: process.env.API_URL
+        });
+    }
+    return defaultNotifier;
+}
+
+module.exports = { MAX_ATTEMPTS, createTransport, createNotifier, getNotifier };
@@ -0,0 +1,152 @@
+// Registration questions a meeting asks on top of the attendee's email. A meeting keeps its
+// questions as a list of { id, label, type, required, maxLength, options }; bookings keep
+// the answers as an object keyed by question id.
+const { v4: uuidv4 } = require('uuid');
+
+const QUESTION_TYPES = ['text', 'select', 'checkbox'];
+const MAX_QUESTIONS = 20;
+const DEFAULT_MAX_LENGTH = 500;
+const MAX_TEXT_LENGTH = 2000;
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Returns an error message for an invalid list of questions, or null
+function validateQuestions(questions) {
+    if (!Array.isArray(questions)) {
+        return 'Questions must be a list';
+    }
+    if (questions.length > MAX_QUESTIONS) {
+        return `A meeting can ask at most ${MAX_QUESTIONS} questions`;
+    }
+
+    const ids = new Set();
+    for (const question of questions) {
+        if (!question || typeof question.label !== 'string' || !question.label.trim() || question.label.length > 200) {
+            return 'Every question needs a label of at most 200 characters';
+        }
+        const label = question.label.trim();
+        if (!QUESTION_TYPES.includes(question.type)) {
+            return `${label}: type must be one of ${QUESTION_TYPES.join(', ')}`;
+        }
+        if (question.id !== undefined) {
+            if (!ID_PATTERN.test(question.id) || ids.has(question.id)) {
+                return `${label}: question ids must be unique letters, numbers, - or _`;
+            }
+            ids.add(question.id);
+        }
+        if (question.type === 'text' && question.maxLength !== undefined && question.maxLength !== null && question.maxLength !== '') {
+            const maxLength = Number(question.maxLength);
+            if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_TEXT_LENGTH) {
+                return `${label}: max length must be between 1 and ${MAX_TEXT_LENGTH}`;
+            }
+        }
+        if (question.type === 'select') {
+            const options = question.options;
+            if (!Array.isArray(options) || options.length === 0 || options.length > 50) {
+                return `${label}: a select needs between 1 and 50 options`;
+            }
+            if (options.some(option => typeof option !== 'string' || !option.trim() || option.length > 100)) {
+                return `${label}: options must be text of at most 100 characters`;
+            }
+            if (new Set(options.map(option => option.trim())).size !== options.length) {
+                return `${label}: options must be different from each other`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// Questions as stored on the meeting. New questions are given an id; existing ones keep
+// theirs so answers already given still line up.
+function normalizeQuestions(questions = []) {
+    return questions.map(question => {
+        const normalized = {
+            id: question.id || uuidv4().slice(0, 8),
+            label: question.label.trim(),
+            type: question.type,
+            required: !!question.required
+        };
+        if (question.type === 'text') {
+            normalized.maxLength = question.maxLength ? Number(question.maxLength) : DEFAULT_MAX_LENGTH;
+        }
+        if (question.type === 'select') {
+            normalized.options = question.options.map(option => option.trim());
+        }
+        return normalized;
+    });
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+}
+
+// Returns an error message when answers don't satisfy the questions, or null
+function validateAnswers(questions = [], answers = {}) {
+    if (typeof answers !== 'object' || answers === null || Array.isArray(answers)) {
+        return 'Answers must be an object keyed by question id';
+    }
+
+    for (const question of questions) {
+        const value = answers[question.id];
+
+        if (question.type === 'checkbox') {
+            if (value !== undefined && typeof value !== 'boolean') {
+                return `${question.label} must be ticked or left unticked`;
+            }
+            if (question.required && value !== true) {
+                return `${question.label} must be ticked`;
+            }
+            continue;
+        }
+
+        if (isBlank(value)) {
+            if (question.required) {
+                return `${question.label} is required`;
+            }
+            continue;
+        }
+        if (typeof value !== 'string') {
+            return `${question.label} must be text`;
+        }
+        if (question.type === 'text' && value.trim().length > (question.maxLength || DEFAULT_MAX_LENGTH)) {
+            return `${question.label} must be at most ${question.maxLength || DEFAULT_MAX_LENGTH} characters`;
+        }
+        if (question.type === 'select' && !question.options.includes(value)) {
+            return `${question.label} must be one of the listed options`;
+        }
+    }
+
+    return null;
+}
+
+// Answers as stored on the booking: only the meeting's questions, text on one line
+function normalizeAnswers(questions = [], answers = {}) {
+    const normalized = {};
+    for (const question of questions) {
+        const value = answers[question.id];
+        if (question.type === 'checkbox') {
+            normalized[question.id] = value === true;
+        } else if (!isBlank(value)) {
+            normalized[question.id] = question.type === 'text' ? value.trim().replace(/\s*[\r\n]+\s*/g, ' ') : value;
+        }
+    }
+    return normalized;
+}
+
+// An answer as it reads in reports
+function formatAnswer(question, value) {
+    if (question.type === 'checkbox') {
+        return value === true ? 'Yes' : value === false ? 'No' : '';
+    }
+    return value === undefined || value === null ? '' : String(value);
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    validateQuestions,
+    normalizeQuestions,
+    validateAnswers,
+    normalizeAnswers,
+    formatAnswer
+};
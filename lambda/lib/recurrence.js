@@ -0,0 +1,157 @@
+// Expands a meeting series' recurrence rule into occurrence dates. Dates are plain
+// YYYY-MM-DD calendar dates and all arithmetic is done in UTC so no time zone or
+// daylight saving change can shift an occurrence onto a different day.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_OCCURRENCES = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value) {
+    if (!DATE_PATTERN.test(value || '')) {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) || formatDate(date) !== value ? null : date;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    const next = new Date(date);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next;
+}
+
+// Returns an error message for an invalid rule, or null
+function validateRecurrence(recurrence, startDate) {
+    if (!recurrence || typeof recurrence !== 'object') {
+        return 'Recurrence must be an object';
+    }
+    if (!FREQUENCIES.includes(recurrence.frequency)) {
+        return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+    }
+
+    const interval = recurrence.interval === undefined ? 1 : Number(recurrence.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+        return 'Recurrence interval must be a whole number of at least 1';
+    }
+
+    if (recurrence.frequency === 'weekly' && recurrence.weekdays !== undefined) {
+        const weekdays = recurrence.weekdays;
+        if (!Array.isArray(weekdays) || weekdays.length === 0 ||
+            !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            return 'Recurrence weekdays must be a list of day numbers from 0 (Sunday) to 6 (Saturday)';
+        }
+    }
+
+    const hasUntil = recurrence.until !== undefined && recurrence.until !== null && recurrence.until !== '';
+    const hasCount = recurrence.count !== undefined && recurrence.count !== null && recurrence.count !== '';
+    if (hasUntil === hasCount) {
+        return 'A series needs either an end date (until) or a number of occurrences (count)';
+    }
+    if (hasUntil) {
+        const until = parseDate(recurrence.until);
+        if (!until) {
+            return 'Recurrence end date must be in YYYY-MM-DD format';
+        }
+        if (until < parseDate(startDate)) {
+            return 'Recurrence end date cannot be before the first meeting';
+        }
+    }
+    if (hasCount) {
+        const count = Number(recurrence.count);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+            return `Recurrence count must be between 1 and ${MAX_OCCURRENCES}`;
+        }
+    }
+
+    if (recurrence.exceptions !== undefined &&
+        (!Array.isArray(recurrence.exceptions) || !recurrence.exceptions.every(parseDate))) {
+        return 'Recurrence exceptions must be a list of YYYY-MM-DD dates';
+    }
+
+    if (!parseDate(startDate)) {
+        return 'Invalid date or time format';
+    }
+    const { dates, truncated } = expand(startDate, recurrence);
+    if (truncated) {
+        return `A series can have at most ${MAX_OCCURRENCES} occurrences`;
+    }
+    if (dates.length === 0) {
+        return 'This recurrence rule does not produce any meetings';
+    }
+
+    return null;
+}
+
+// Candidate dates in order, before until/count/exceptions are applied
+function* candidateDates(start, { frequency, interval, weekdays }) {
+    if (frequency === 'daily') {
+        for (let date = start; ; date = addDays(date, interval)) {
+            yield date;
+        }
+    }
+
+    if (frequency === 'weekly') {
+        const days = [...new Set(weekdays || [start.getUTCDay()])].sort((a, b) => a - b);
+        const weekStart = addDays(start, -start.getUTCDay());
+        for (let week = weekStart; ; week = addDays(week, 7 * interval)) {
+            for (const day of days) {
+                const date = addDays(week, day);
+                if (date >= start) {
+                    yield date;
+                }
+            }
+        }
+    }
+
+    if (frequency === 'monthly') {
+        // Months without the start's day of the month (the 31st in April) are skipped
+        const dayOfMonth = start.getUTCDate();
+        for (let months = 0; ; months += interval) {
+            const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, dayOfMonth));
+            if (date.getUTCDate() === dayOfMonth) {
+                yield date;
+            }
+        }
+    }
+}
+
+// Walks the rule up to one past MAX_OCCURRENCES so validation can tell when a series is too long
+function expand(startDate, recurrence) {
+    const start = parseDate(startDate);
+    const until = recurrence.until ? parseDate(recurrence.until) : null;
+    const count = recurrence.count ? Number(recurrence.count) : null;
+    const exceptions = new Set(recurrence.exceptions || []);
+    const rule = {
+        frequency: recurrence.frequency,
+        interval: recurrence.interval === undefined ? 1 : Number(recurrence.interval),
+        weekdays: recurrence.weekdays
+    };
+
+    const dates = [];
+    let generated = 0;
+    for (const date of candidateDates(start, rule)) {
+        if ((until && date > until) || (count && generated >= count)) {
+            return { dates, truncated: false };
+        }
+        if (++generated > MAX_OCCURRENCES) {
+            return { dates, truncated: true };
+        }
+
+        const value = formatDate(date);
+        if (!exceptions.has(value)) {
+            dates.push(value);
+        }
+    }
+}
+
+// Occurrence dates for a validated rule. As in iCalendar, dates listed in exceptions
+// still count towards count, they just don't produce a meeting.
+function generateOccurrenceDates(startDate, recurrence) {
+    return expand(startDate, recurrence).dates;
+}
+
+module.exports = { FREQUENCIES, MAX_OCCURRENCES, validateRecurrence, generateOccurrenceDates };
@@ -0,0 +1,55 @@
+// API Gateway events as they can safely go to CloudWatch: session tokens, passwords,
+// cancellation tokens and verification codes are replaced with [redacted].
+const REDACTED = '[redacted]';
+
+const SECRET_HEADERS = ['authorization', 'cookie', 'x-api-key', 'x-admin-password'];
+const SECRET_FIELDS = ['password', 'currentPassword', 'newPassword', 'token', 'access_token', 'code'];
+
+function redactHeaders(headers) {
+    if (!headers) {
+        return headers;
+    }
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+        name,
+        SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : value
+    ]));
+}
+
+function redactFields(values) {
+    if (!values) {
+        return values;
+    }
+    return Object.fromEntries(Object.entries(values).map(([name, value]) => [
+        name,
+        SECRET_FIELDS.includes(name) ? REDACTED : value
+    ]));
+}
+
+// Bodies that aren't a JSON object are dropped entirely, there's no telling what is in them
+function redactBody(body) {
+    if (!body) {
+        return body;
+    }
+    try {
+        const parsed = JSON.parse(body);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            return JSON.stringify(redactFields(parsed));
+        }
+    } catch (error) {
+        // fall through
+    }
+    return REDACTED;
+}
+
+function redactEvent(event) {
+    return {
+        ...event,
+        headers: redactHeaders(event.headers),
+        multiValueHeaders: redactHeaders(event.multiValueHeaders),
+        queryStringParameters: redactFields(event.queryStringParameters),
+        multiValueQueryStringParameters: redactFields(event.multiValueQueryStringParameters),
+        body: redactBody(event.body)
+    };
+}
+
+module.exports = { redactEvent };
@@ -0,0 +1,53 @@
+// Booking windows. A meeting takes bookings from registrationOpensHoursBefore hours before it
+// starts (from when it is created if that isn't set) until registrationClosesHoursBefore
+// hours before it starts (its start if that isn't set). Admins adding attendees by import
+// aren't held to the window.
+const { meetingStart } = require('./timezone');
+
+// Returns an error message for window settings that aren't whole numbers of hours, or that
+// would close registration before it opens, or null
+function validateRegistrationWindow({ registrationOpensHoursBefore: opens, registrationClosesHoursBefore: closes }) {
+    for (const value of [opens, closes]) {
+        if (value !== undefined && value !== null && value !== '' && !/^\d+$/.test(String(value))) {
+            return 'Registration opening and closing times must be whole numbers of hours before the meeting';
+        }
+    }
+    if (opens !== undefined && opens !== null && opens !== '' && parseInt(opens) <= (parseInt(closes) || 0)) {
+        return 'Registration must open before it closes';
+    }
+    return null;
+}
+
+// The stored form of a setting: a number of hours, or null when it isn't set
+function normalizeWindowHours(value) {
+    return value === undefined || value === null || value === '' ? null : parseInt(value);
+}
+
+// When bookings open, or null for meetings that take them from the start
+function registrationOpensAt(meeting) {
+    if (meeting.registrationOpensHoursBefore === undefined || meeting.registrationOpensHoursBefore === null) {
+        return null;
+    }
+    return new Date(meetingStart(meeting).getTime() - meeting.registrationOpensHoursBefore * 60 * 60 * 1000);
+}
+
+function registrationClosesAt(meeting) {
+    return new Date(meetingStart(meeting).getTime() - (meeting.registrationClosesHoursBefore || 0) * 60 * 60 * 1000);
+}
+
+// not-open, open or closed
+function registrationStatus(meeting, now = new Date()) {
+    const opensAt = registrationOpensAt(meeting);
+    if (opensAt && opensAt > now) {
+        return 'not-open';
+    }
+    return registrationClosesAt(meeting) > now ? 'open' : 'closed';
+}
+
+module.exports = {
+    validateRegistrationWindow,
+    normalizeWindowHours,
+    registrationOpensAt,
+    registrationClosesAt,
+    registrationStatus
+};
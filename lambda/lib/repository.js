@@ -0,0 +1,184 @@
+const { createDocumentAdapter } = require('./adapters/document');
+
+// Collections and how they are keyed. Bookings are grouped by meeting so that everything a
+// booking decision depends on (capacity, duplicates, waitlist order) can be read and written
+// as one unit. On S3 and local files, documentPerPartition keeps each partition in its own
+// document so that a write touches only that partition.
+const COLLECTIONS = {
+    meetings: {},
+    bookings: { partitionKey: 'meetingId' },
+    bookingEmails: { partitionKey: 'email', documentPerPartition: true },
+    admins: {},
+    series: {},
+    cancelledMeetings: {},
+    notifications: { partitionKey: 'bookingId' },
+    templates: {},
+    rateLimits: { partitionKey: 'key', documentPerPartition: true },
+    rejections: { partitionKey: 'day' },
+    auditLog: { partitionKey: 'day', documentPerPartition: true }
+};
+
+// STORAGE_BACKEND picks the adapter: s3 (default), dynamodb or local
+function createAdapter(backend = process.env.STORAGE_BACKEND || 's3') {
+    switch (backend) {
+        case 's3':
+            return createDocumentAdapter(COLLECTIONS, require('./storage'));
+        case 'dynamodb':
+            return require('./adapters/dynamodb').createDynamoDbAdapter(COLLECTIONS);
+        case 'local': {
+            const { createLocalStore } = require('./adapters/local');
+            return createDocumentAdapter(COLLECTIONS, createLocalStore({ dir: process.env.LOCAL_DATA_DIR }));
+        }
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+    }
+}
+
+function createRepository(adapter) {
+    const emailOf = booking => (booking.email || '').toLowerCase();
+
+    // Record which meetings these bookings' addresses have bookings for, skipping addresses
+    // already known to have one there
+    async function indexBookingEmails(meetingId, bookings, knownEmails = new Set()) {
+        const emails = new Set(bookings.map(emailOf).filter(email => email && !knownEmails.has(email)));
+        for (const email of emails) {
+            await adapter.updatePartition('bookingEmails', email, entries => {
+                if (entries.some(entry => entry.meetingId === meetingId)) {
+                    return false;
+                }
+                entries.push({ id: meetingId, email, meetingId });
+            });
+        }
+    }
+
+    return {
+        meetings: {
+            list: () => adapter.list('meetings'),
+            get: id => adapter.get('meetings', id),
+            create: meeting => adapter.create('meetings', meeting),
+            put: meeting => adapter.put('meetings', meeting),
+            // mutator gets a copy of the meeting and returns the new version, or false to leave it
+            update: (id, mutator) => adapter.update('meetings', id, mutator),
+            remove: id => adapter.remove('meetings', id)
+        },
+        bookings: {
+            list: () => adapter.list('bookings'),
+            get: id => adapter.get('bookings', id),
+            put: async booking => {
+                await adapter.put('bookings', booking);
+                await indexBookingEmails(booking.meetingId, [booking]);
+                return booking;
+            },
+            listByMeeting: async meetingId => (await adapter.listPartitions('bookings', [meetingId]))[meetingId],
+            // Map of meetingId to that meeting's bookings
+            listByMeetings: meetingIds => adapter.listPartitions('bookings', meetingIds),
+            // Every booking made with an address, in any case, read through the bookingEmails index
+            // rather than a scan of all bookings
+            listByEmail: async email => {
+                const address = email.toLowerCase();
+                const entries = await adapter.listPartitions('bookingEmails', [address]);
+                const meetingIds = entries[address].map(entry => entry.meetingId);
+                const byMeeting = await adapter.listPartitions('bookings', meetingIds);
+                return meetingIds.flatMap(meetingId => byMeeting[meetingId].filter(b => emailOf(b) === address));
+            },
+            // Read-modify-write of all bookings for one meeting, with the storage.updateJson
+            // contract. Addresses new to the meeting are added to the bookingEmails index after.
+            updateForMeeting: async (meetingId, mutator) => {
+                let knownEmails;
+                const bookings = await adapter.updatePartition('bookings', meetingId, current => {
+                    knownEmails = new Set(current.map(emailOf));
+                    return mutator(current);
+                });
+                await indexBookingEmails(meetingId, bookings, knownEmails);
+                return bookings;
+            },
+            // Add existing bookings to the bookingEmails index, for data written before it existed
+            indexEmails: async bookings => {
+                const byMeeting = new Map();
+                bookings.forEach(b => byMeeting.set(b.meetingId, [...(byMeeting.get(b.meetingId) || []), b]));
+                for (const [meetingId, meetingBookings] of byMeeting) {
+                    await indexBookingEmails(meetingId, meetingBookings);
+                }
+            }
+        },
+        // Admin accounts, keyed by lower-cased username
+        admins: {
+            list: () => adapter.list('admins'),
+            get: id => adapter.get('admins', id),
+            put: admin => adapter.put('admins', admin),
+            update: (id, mutator) => adapter.update('admins', id, mutator)
+        },
+        // Recurring meeting series. Each occurrence is an ordinary meeting with a seriesId.
+        series: {
+            list: () => adapter.list('series'),
+            get: id => adapter.get('series', id),
+            create: series => adapter.create('series', series),
+            update: (id, mutator) => adapter.update('series', id, mutator),
+            remove: id => adapter.remove('series', id)
+        },
+        // Last copy of each deleted meeting, so calendars that have it can be told it's cancelled
+        cancelledMeetings: {
+            list: () => adapter.list('cancelledMeetings'),
+            get: id => adapter.get('cancelledMeetings', id),
+            put: meeting => adapter.put('cancelledMeetings', meeting)
+        },
+        // Delivery record of every email sent about a booking, grouped by booking
+        notifications: {
+            // Map of bookingId to that booking's notifications
+            listByBookings: bookingIds => adapter.listPartitions('notifications', bookingIds),
+            list: () => adapter.list('notifications'),
+            record: notification => adapter.updatePartition('notifications', notification.bookingId, notifications => {
+                notifications.push(notification);
+            }),
+            // Overwrite a recorded notification with a later outcome
+            replace: notification => adapter.updatePartition('notifications', notification.bookingId, notifications =>
+                notifications.map(n => n.id === notification.id ? notification : n)
+            )
+        },
+        // Email templates that have been edited, keyed by template type
+        templates: {
+            list: () => adapter.list('templates'),
+            get: type => adapter.get('templates', type),
+            put: template => adapter.put('templates', template)
+        },
+        // Booking attempts in the current window, one partition per hashed client key, and the
+        // proof-of-work challenges already used
+        rateLimits: {
+            // Read-modify-write of one key's windows, with the storage.updateJson contract
+            update: (key, mutator) => adapter.updatePartition('rateLimits', key, mutator)
+        },
+        // Refused booking attempts, one counter per day and reason
+        rejections: {
+            list: () => adapter.list('rejections'),
+            record: (day, reason) => adapter.updatePartition('rejections', day, counters => {
+                const counter = counters.find(c => c.reason === reason);
+                if (counter) {
+                    counter.count++;
+                } else {
+                    counters.push({ id: reason, day, reason, count: 1 });
+                }
+            })
+        },
+        // Append-only trail of changes, grouped by day. There is deliberately no update or remove.
+        auditLog: {
+            list: () => adapter.list('auditLog'),
+            // Map of day (YYYY-MM-DD) to that day's entries
+            listByDays: days => adapter.listPartitions('auditLog', days),
+            append: (day, entries) => adapter.updatePartition('auditLog', day, current => {
+                current.push(...entries);
+            })
+        }
+    };
+}
+
+let defaultRepository;
+
+// Shared instance for the handlers, built from the environment on first use
+function getRepository() {
+    if (!defaultRepository) {
+        defaultRepository = createRepository(createAdapter());
+    }
+    return defaultRepository;
+}
+
+module.exports = { COLLECTIONS, createAdapter, createRepository, getRepository };
@@ -0,0 +1,110 @@
+const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+// S3_ENDPOINT points the client at a local S3 stand-in for tests
+const s3Client = new S3Client({
+    region: process.env.AWS_REGION || 'us-east-1',
+    ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT, forcePathStyle: true })
+});
+const BUCKET_NAME = process.env.BUCKET_NAME;
+const MAX_RETRIES = 8;
+
+// Errors S3 returns when a conditional write loses a race
+const CONFLICT_ERRORS = ['PreconditionFailed', 'ConditionalRequestConflict'];
+
+function isConflict(error) {
+    return CONFLICT_ERRORS.includes(error.name) ||
+        error.$metadata?.httpStatusCode === 412 ||
+        error.$metadata?.httpStatusCode === 409;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Read a JSON object together with its ETag, data is null when the key does not exist
+async function readJson(key) {
+    try {
+        const command = new GetObjectCommand({
+            Bucket: BUCKET_NAME,
+            Key: key
+        });
+        const result = await s3Client.send(command);
+        const bodyContents = await result.Body.transformToString();
+        return { data: JSON.parse(bodyContents), etag: result.ETag };
+    } catch (error) {
+        if (error.name === 'NoSuchKey') {
+            return { data: null, etag: null };
+        }
+        throw error;
+    }
+}
+
+// Read a JSON object, falling back to defaultValue when it does not exist
+async function getJson(key, defaultValue = null) {
+    const { data } = await readJson(key);
+    return data ?? defaultValue;
+}
+
+// Write only if the object is still at the ETag we read, or still absent when etag is null
+async function putJsonIfUnchanged(key, data, etag) {
+    const command = new PutObjectCommand({
+        Bucket: BUCKET_NAME,
+        Key: key,
+        Body: JSON.stringify(data, null, 2),
+        ContentType: 'application/json',
+        ...(etag ? { IfMatch: etag } : { IfNoneMatch: '*' })
+    });
+    await s3Client.send(command);
+}
+
+// Read-modify-write with optimistic concurrency. The mutator edits the data in place (or
+// returns a replacement) and is re-run against fresh data whenever another writer got in
+// first, so any checks it makes (capacity, duplicates) hold at the moment of the write.
+// Returning false skips the write.
+async function updateJson(key, mutator, defaultValue = []) {
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        const { data, etag } = await readJson(key);
+        const current = data ?? structuredClone(defaultValue);
+
+        const result = await mutator(current);
+        if (result === false) {
+            return current;
+        }
+
+        const updated = result === undefined ? current : result;
+        try {
+            await putJsonIfUnchanged(key, updated, etag);
+            return updated;
+        } catch (error) {
+            if (!isConflict(error)) {
+                throw error;
+            }
+            console.warn(`Write conflict on ${key}, retrying (attempt ${attempt + 1}/${MAX_RETRIES})`);
+            await sleep(Math.random() * 25 * 2 ** Math.min(attempt, 5));
+        }
+    }
+
+    throw new Error(`Too many concurrent updates to ${key}, please try again`);
+}
+
+// Every key under a prefix, for collections kept as one object per partition
+async function listKeys(prefix) {
+    const keys = [];
+    let ContinuationToken;
+    do {
+        const result = await s3Client.send(new ListObjectsV2Command({
+            Bucket: BUCKET_NAME,
+            Prefix: prefix,
+            ContinuationToken
+        }));
+        keys.push(...(result.Contents || []).map(object => object.Key));
+        ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return keys;
+}
+
+module.exports = {
+    getJson,
+    updateJson,
+    listKeys
+};
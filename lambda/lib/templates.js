@@ -0,0 +1,173 @@
+// Email templates. Owners can replace the subject and text of any of these from the admin
+// dashboard; what they save is kept in the templates collection and these defaults apply
+// until then. {{name}} placeholders are filled from PLACEHOLDERS, unknown names are left blank.
+
+const PLACEHOLDERS = {
+    meetingTitle: 'Meeting title',
+    meetingTime: 'Date and time in the meeting\'s time zone',
+    duration: 'Length in minutes',
+    location: 'Location, or "To be confirmed"',
+    description: 'Meeting description',
+    email: 'Attendee email address',
+    cancelUrl: 'Link the attendee can use to cancel',
+    checkInUrl: 'Link to the attendee\'s check-in code, to show at the door',
+    calendarUrl: 'Link to the meeting\'s .ics file',
+    hoursBefore: 'Hours until the meeting starts (reminders)',
+    minAttendees: 'Bookings the meeting needs to run',
+    verificationCode: 'One-time code that confirms a booking (verification)',
+    verifyUrl: 'Link that confirms a booking (verification)',
+    holdMinutes: 'Minutes a place is held while waiting for verification',
+    bookingsUrl: 'Link to the attendee\'s own bookings (bookings link)',
+    linkMinutes: 'Minutes the bookings link works for (bookings link)'
+};
+
+const DEFAULT_TEMPLATES = {
+    bookingVerification: {
+        name: 'Booking verification',
+        subject: 'Confirm your booking for {{meetingTitle}}',
+        text: [
+            'Enter this code to confirm your booking for {{meetingTitle}} on {{meetingTime}}:',
+            '',
+            '{{verificationCode}}',
+            '',
+            'Or follow this link: {{verifyUrl}}',
+            '',
+            'We will hold your place for {{holdMinutes}} minutes. If you did not book, you can ignore this email.'
+        ].join('\n')
+    },
+    bookingConfirmation: {
+        name: 'Booking confirmation',
+        subject: 'Booked: {{meetingTitle}}',
+        text: [
+            'Your place is booked.',
+            '',
+            '{{meetingTitle}}',
+            'When: {{meetingTime}} ({{duration}} minutes)',
+            'Where: {{location}}',
+            '',
+            'The attached invite adds it to your calendar: {{calendarUrl}}',
+            '',
+            'On the day, show your check-in code at the door: {{checkInUrl}}',
+            '',
+            'If your plans change, you can cancel here: {{cancelUrl}}'
+        ].join('\n')
+    },
+    waitlistConfirmation: {
+        name: 'Waitlist confirmation',
+        subject: 'On the waitlist: {{meetingTitle}}',
+        text: [
+            '{{meetingTitle}} on {{meetingTime}} is full, so you are on the waitlist.',
+            '',
+            'We will book you in automatically and email you if a place opens up.',
+            '',
+            'To leave the waitlist: {{cancelUrl}}'
+        ].join('\n')
+    },
+    bookingCancellation: {
+        name: 'Booking cancelled',
+        subject: 'Cancelled: your booking for {{meetingTitle}}',
+        text: [
+            'Your booking for {{meetingTitle}} on {{meetingTime}} has been cancelled.',
+            '',
+            'If this is a mistake you are welcome to book again.'
+        ].join('\n')
+    },
+    meetingChanged: {
+        name: 'Meeting changed',
+        subject: 'Updated: {{meetingTitle}}',
+        text: [
+            'The details of a meeting you are booked on have changed.',
+            '',
+            '{{meetingTitle}}',
+            'When: {{meetingTime}} ({{duration}} minutes)',
+            'Where: {{location}}',
+            '',
+            'The attached invite updates your calendar: {{calendarUrl}}',
+            '',
+            'If you can no longer make it, you can cancel here: {{cancelUrl}}'
+        ].join('\n')
+    },
+    meetingCancelled: {
+        name: 'Meeting cancelled',
+        subject: 'Cancelled: {{meetingTitle}}',
+        text: [
+            'Sorry, {{meetingTitle}} on {{meetingTime}} has been cancelled and your booking removed.',
+            '',
+            'The attached update removes it from your calendar.'
+        ].join('\n')
+    },
+    meetingConfirmed: {
+        name: 'Meeting going ahead',
+        subject: 'Going ahead: {{meetingTitle}}',
+        text: [
+            'Good news: enough people have booked, so {{meetingTitle}} is going ahead.',
+            '',
+            'When: {{meetingTime}} ({{duration}} minutes)',
+            'Where: {{location}}',
+            '',
+            'If you can no longer make it, please cancel so someone else can have your place: {{cancelUrl}}'
+        ].join('\n')
+    },
+    meetingNotRunning: {
+        name: 'Meeting not running',
+        subject: 'Cancelled: {{meetingTitle}}',
+        text: [
+            'Sorry, {{meetingTitle}} on {{meetingTime}} needed at least {{minAttendees}} bookings to run, so it has been cancelled.',
+            '',
+            'The attached update removes it from your calendar.'
+        ].join('\n')
+    },
+    reminder: {
+        name: 'Reminder',
+        subject: 'Reminder: {{meetingTitle}}',
+        text: [
+            'A reminder that {{meetingTitle}} starts in about {{hoursBefore}} hours.',
+            '',
+            'When: {{meetingTime}} ({{duration}} minutes)',
+            'Where: {{location}}',
+            '',
+            'Your check-in code for the door: {{checkInUrl}}',
+            '',
+            'If you can no longer make it, please cancel so someone else can have your place: {{cancelUrl}}'
+        ].join('\n')
+    },
+    bookingsLink: {
+        name: 'Bookings link',
+        subject: 'Your bookings',
+        text: [
+            'Follow this link to see your bookings, cancel them or add them to your calendar:',
+            '',
+            '{{bookingsUrl}}',
+            '',
+            'The link works for {{linkMinutes}} minutes. If you did not ask for it, you can ignore this email.'
+        ].join('\n')
+    }
+};
+
+const TEMPLATE_TYPES = Object.keys(DEFAULT_TEMPLATES);
+
+// Returns an error message for an invalid template edit, or null
+function validateTemplate({ subject, text }) {
+    if (typeof subject !== 'string' || !subject.trim() || typeof text !== 'string' || !text.trim()) {
+        return 'Subject and text are required';
+    }
+    if (subject.length > 200 || text.length > 10000) {
+        return 'Subject must be at most 200 characters and text at most 10000';
+    }
+    return null;
+}
+
+function render(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        values[name] === undefined || values[name] === null ? '' : String(values[name]));
+}
+
+// Fill in a template's subject and text. Subjects are kept to one line.
+function renderTemplate(template, values) {
+    return {
+        subject: render(template.subject, values).replace(/[\r\n]+/g, ' '),
+        text: render(template.text, values)
+    };
+}
+
+module.exports = { PLACEHOLDERS, DEFAULT_TEMPLATES, TEMPLATE_TYPES, validateTemplate, renderTemplate };
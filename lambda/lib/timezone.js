@@ -0,0 +1,83 @@
+// Meeting times are entered as a wall-clock date and time in the meeting's IANA time zone
+// and stored alongside the absolute instant they name (startsAt, in UTC). Conversions use
+// the Intl time zone database, so daylight saving changes are handled per date.
+
+// Meetings saved before time zones were recorded were read by the Lambda, which runs in UTC
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = {};
+
+function getFormatter(timeZone) {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    return formatters[timeZone];
+}
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// How far ahead of UTC the zone's clocks are at the given instant, in milliseconds
+function zoneOffset(instant, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(instant)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+// The instant a wall-clock date and time happens in timeZone. A time that happens twice when
+// the clocks go back takes the first; one skipped when they go forward moves on by the jump
+// (01:30 becomes 02:30).
+function zonedTimeToUtc(date, time, timeZone) {
+    if (!DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(time || '')) {
+        return new Date(NaN);
+    }
+
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    if (new Date(wallClock).toISOString().slice(0, 10) !== date) {
+        return new Date(NaN);
+    }
+
+    // Offsets a day either side; zones don't change offset twice within two days
+    const before = zoneOffset(wallClock - DAY_MS, timeZone);
+    const after = zoneOffset(wallClock + DAY_MS, timeZone);
+    const matches = [wallClock - before, wallClock - after]
+        .filter(instant => instant + zoneOffset(instant, timeZone) === wallClock);
+    return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - before);
+}
+
+// When a meeting starts. Uses the stored instant, or works it out for older meetings.
+function meetingStart(meeting) {
+    if (meeting.startsAt) {
+        return new Date(meeting.startsAt);
+    }
+    return zonedTimeToUtc(meeting.date, meeting.time, meeting.timeZone || DEFAULT_TIME_ZONE);
+}
+
+module.exports = { DEFAULT_TIME_ZONE, isValidTimeZone, zonedTimeToUtc, meetingStart };
@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { buildMimeMessage } = require('../mime');
+
+// Development and test transport. Nothing is delivered: messages are kept in memory and,
+// when dir is set, written out as .eml files that any mail client can open.
+function createLocalTransport({ dir } = {}) {
+    const sent = [];
+
+    return {
+        sent,
+
+        async send(message) {
+            const messageId = crypto.randomUUID();
+            const raw = buildMimeMessage(message);
+            sent.push({ ...message, messageId, raw });
+
+            if (dir) {
+                await fs.mkdir(dir, { recursive: true });
+                await fs.writeFile(path.join(dir, `${Date.now()}-${messageId}.eml`), raw);
+            } else {
+                console.log(`Email (not sent, local transport): ${message.subject}`);
+            }
+            return { messageId };
+        }
+    };
+}
+
+module.exports = { createLocalTransport };
@@ -0,0 +1,19 @@
+const { SESClient, SendRawEmailCommand } = require('@aws-sdk/client-ses');
+const { buildMimeMessage } = require('../mime');
+
+// Amazon SES. The From address (or its domain) must be verified in the account, and while
+// the account is in the SES sandbox so must every recipient.
+function createSesTransport({ client = new SESClient({}) } = {}) {
+    return {
+        async send(message) {
+            const result = await client.send(new SendRawEmailCommand({
+                Source: message.from,
+                Destinations: [message.to],
+                RawMessage: { Data: Buffer.from(buildMimeMessage(message)) }
+            }));
+            return { messageId: result.MessageId };
+        }
+    };
+}
+
+module.exports = { createSesTransport };
@@ -0,0 +1,44 @@
+// Deleted meetings, series and bookings go to the trash rather than away. They are marked
+// with deletedAt, left out of everything else, and can be restored for TRASH_RETENTION_DAYS.
+// After that the scheduled purge-trash function removes them for good.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+function isTrashed(record) {
+    return !!record.deletedAt;
+}
+
+// When a trashed record is due to be purged
+function purgeTime(record, retentionDays = TRASH_RETENTION_DAYS) {
+    return new Date(new Date(record.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+}
+
+function isPurgeDue(record, now = new Date(), retentionDays = TRASH_RETENTION_DAYS) {
+    return isTrashed(record) && purgeTime(record, retentionDays) <= now;
+}
+
+// Move a booking to the trash in place. Its status becomes 'deleted' so no count or waitlist
+// includes it, and the status it had is kept to restore.
+function trashBooking(booking, admin, now = new Date()) {
+    booking.statusBeforeDelete = booking.status || 'confirmed';
+    booking.status = 'deleted';
+    booking.deletedAt = now.toISOString();
+    booking.deletedBy = admin.username;
+}
+
+// Take a booking back out of the trash in place, with the status it had
+function restoreBooking(booking, now = new Date()) {
+    booking.status = booking.statusBeforeDelete;
+    booking.restoredAt = now.toISOString();
+    delete booking.statusBeforeDelete;
+    delete booking.deletedAt;
+    delete booking.deletedBy;
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    isTrashed,
+    purgeTime,
+    isPurgeDue,
+    trashBooking,
+    restoreBooking
+};
@@ -0,0 +1,39 @@
+// Which bookings hold a place at a meeting and who is waiting for one. Shared by the API
+// handlers and the scheduled functions so they all count attendees and promote in the same way.
+const { seatsTaken } = require('./holds');
+
+// Bookings created before the waitlist existed have no status and count as confirmed
+function isConfirmedBooking(booking) {
+    return !booking.status || booking.status === 'confirmed';
+}
+
+// Waitlist entries for a meeting in the order they joined
+function getWaitlist(bookings, meetingId) {
+    return bookings
+        .filter(b => b.meetingId === meetingId && b.status === 'waitlisted')
+        .sort((a, b) => new Date(a.waitlistedAt) - new Date(b.waitlistedAt));
+}
+
+// Move people from the front of the waitlist into free spots, returns the promoted entries.
+// Nobody is promoted onto a cancelled meeting, its waitlist has already been told it won't run.
+function promoteFromWaitlist(bookings, meeting, now = new Date()) {
+    if (meeting.status === 'cancelled') {
+        return [];
+    }
+    const freeSpots = meeting.maxAttendees ? meeting.maxAttendees - seatsTaken(bookings, meeting.id, now) : Infinity;
+    if (freeSpots <= 0) {
+        return [];
+    }
+
+    const promotedAt = now.toISOString();
+    return getWaitlist(bookings, meeting.id)
+        .slice(0, freeSpots)
+        .map(entry => {
+            entry.status = 'confirmed';
+            entry.bookedAt = promotedAt;
+            entry.promotedAt = promotedAt;
+            return entry;
+        });
+}
+
+module.exports = { isConfirmedBooking, getWaitlist, promoteFromWaitlist };
@@ -1,64 +1,77 @@
-const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./lib/repository');
+const { authenticateAdmin, canManageMeeting } = require('./lib/auth');
+const { validateRecurrence, generateOccurrenceDates } = require('./lib/recurrence');
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc, meetingStart } = require('./lib/timezone');
+const { validateMeetingFields } = require('./lib/meeting-fields');
+const { meetingEvent, buildCalendar } = require('./lib/ical');
+const { getNotifier } = require('./lib/notifications');
+const { decisionTime, attendeesNeeded } = require('./lib/attendance');
+const { validateQuestions, normalizeQuestions } = require('./lib/questions');
+const { isActiveHold, seatsTaken } = require('./lib/holds');
+const { withCors } = require('./lib/cors');
+const { redactEvent } = require('./lib/redact');
+const { adminActor, auditEntry, recordAudit, updateBookings } = require('./lib/audit');
+const { isTrashed, isPurgeDue } = require('./lib/trash');
+const { normalizeWindowHours, registrationOpensAt, registrationClosesAt, registrationStatus } = require('./lib/registration');
+const { parseMeetingQuery, queryMeetings } = require('./lib/meeting-query');
+const { validateMeetingDetails, normalizeCategory, normalizeTags, normalizeHost } = require('./lib/meeting-details');
+const { locationClashes, clashSummary } = require('./lib/clashes');
+const { isConfirmedBooking, getWaitlist, promoteFromWaitlist } = require('./lib/waitlist');
 
-const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
-const BUCKET_NAME = process.env.BUCKET_NAME;
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const repository = getRepository();
+const notifier = getNotifier();
 
+// Access-Control-Allow-Origin is added per request by withCors
 const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Password',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    // Paging through the listing reads these
+    'Access-Control-Expose-Headers': 'X-Next-Cursor, X-Total-Count',
 };
 
-// Helper function to get data from S3
-async function getS3Data(key) {
-    try {
-        const command = new GetObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: key
-        });
-        const result = await s3Client.send(command);
-        const bodyContents = await result.Body.transformToString();
-        return JSON.parse(bodyContents);
-    } catch (error) {
-        if (error.name === 'NoSuchKey') {
-            return null;
-        }
-        throw error;
-    }
-}
+// Edits and deletes of a series occurrence apply to that one meeting or the whole series
+const SCOPES = ['occurrence', 'series'];
 
-// Helper function to save data to S3
-async function saveS3Data(key, data) {
-    const command = new PutObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: key,
-        Body: JSON.stringify(data, null, 2),
-        ContentType: 'application/json'
-    });
-    await s3Client.send(command);
+// Changes to these bump the meeting's calendar SEQUENCE so attendees' calendars update
+const CALENDAR_FIELDS = ['title', 'description', 'startsAt', 'duration', 'location'];
+
+// Details shared by every occurrence of a series. The date is per occurrence.
+const SERIES_FIELDS = ['title', 'description', 'time', 'timeZone', 'duration', 'minAttendees', 'maxAttendees', 'location', 'questions', 'requireVerification', 'registrationOpensHoursBefore', 'registrationClosesHoursBefore', 'category', 'tags', 'host'];
+
+// Changes to these can make a meeting clash with another at the same location
+const CLASH_FIELDS = ['startsAt', 'duration', 'location'];
+
+// Other meetings at the same location as any of these while they run
+async function findLocationClashes(meetings) {
+    return locationClashes(meetings, await repository.meetings.list());
 }
 
-// Validate admin password
-function validateAdminPassword(event) {
-    const password = event.headers?.['x-admin-password'] || 
-                    event.headers?.['X-Admin-Password'] ||
-                    (event.body ? JSON.parse(event.body).password : null);
-    return password === ADMIN_PASSWORD;
+// Why a meeting can't go where it was asked to, for a 409. Sending allowConflicts saves it anyway.
+function locationClash(clashes) {
+    const names = clashes.map(m => `${m.title} (${m.date} ${m.time})`).join(', ');
+    return {
+        error: `${clashes[0].location} is already in use at that time by ${names}`,
+        code: 'locationConflict',
+        conflicts: clashes.map(clashSummary)
+    };
 }
 
 // Get attendee count for each meeting
 async function getAttendeeCountsForMeetings(meetings) {
     try {
-        const bookings = await getS3Data('bookings.json') || [];
+        const bookingsByMeeting = await repository.bookings.listByMeetings(meetings.map(m => m.id));
         
         return meetings.map(meeting => {
-            const attendeeCount = bookings.filter(b => b.meetingId === meeting.id).length;
+            const bookings = bookingsByMeeting[meeting.id];
+            const attendeeCount = bookings.filter(b => b.meetingId === meeting.id && isConfirmedBooking(b)).length;
+            // Seats held for unverified bookings aren't attendees yet, but aren't free either
+            const heldSeats = bookings.filter(b => b.holdFor === 'seat' && isActiveHold(b)).length;
             return {
                 ...meeting,
                 currentAttendees: attendeeCount,
-                spotsRemaining: meeting.maxAttendees ? meeting.maxAttendees - attendeeCount : null
+                spotsRemaining: meeting.maxAttendees ? Math.max(meeting.maxAttendees - attendeeCount - heldSeats, 0) : null,
+                waitlistCount: getWaitlist(bookings, meeting.id).length
             };
         });
     } catch (error) {
@@ -66,20 +79,63 @@ async function getAttendeeCountsForMeetings(meetings) {
         return meetings.map(meeting => ({
             ...meeting,
             currentAttendees: 0,
-            spotsRemaining: meeting.maxAttendees || null
+            spotsRemaining: meeting.maxAttendees || null,
+            waitlistCount: 0
         }));
     }
 }
 
-// Get all meetings with attendee counts
-async function getAllMeetings() {
+// Get meetings with attendee counts, soonest first. Query parameters narrow the listing: when
+// (upcoming or past), from and to (YYYY-MM-DD), q to search the title, description, location,
+// host and tags, category, tags, sort (date, -date, title or -title) and limit. The body is
+// the page of meetings; X-Next-Cursor, passed back as cursor, fetches the next one and
+// X-Total-Count counts every match.
+async function getAllMeetings(event) {
+    const { query, error } = parseMeetingQuery(event.queryStringParameters || {});
+    if (error) {
+        return {
+            statusCode: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ error })
+        };
+    }
+
     try {
-        const meetings = await getS3Data('meetings.json') || [];
-        const meetingsWithCounts = await getAttendeeCountsForMeetings(meetings);
+        const now = new Date();
+        const listing = queryMeetings((await repository.meetings.list()).filter(meeting => !isTrashed(meeting)), query, now);
+        // Meetings from before time zones were recorded get the zone they were read in
+        const meetings = listing.meetings.map(meeting => {
+            const start = meetingStart(meeting);
+            const decideAt = decisionTime(meeting);
+            const valid = !isNaN(start.getTime());
+            return {
+                ...meeting,
+                timeZone: meeting.timeZone || DEFAULT_TIME_ZONE,
+                startsAt: valid ? start.toISOString() : null,
+                decisionAt: decideAt && !isNaN(decideAt.getTime()) ? decideAt.toISOString() : null,
+                // Whether the booking form takes bookings now, and when that changes
+                registrationStatus: valid ? registrationStatus(meeting, now) : 'closed',
+                registrationOpensAt: valid ? registrationOpensAt(meeting)?.toISOString() || null : null,
+                registrationClosesAt: valid ? registrationClosesAt(meeting).toISOString() : null
+            };
+        });
+        let meetingsWithCounts = (await getAttendeeCountsForMeetings(meetings)).map(meeting => ({
+            ...meeting,
+            attendeesNeeded: attendeesNeeded(meeting, meeting.currentAttendees)
+        }));
+
+        // Who runs each meeting is only shown to signed-in admins
+        if (authenticateAdmin(event).error) {
+            meetingsWithCounts = meetingsWithCounts.map(({ createdBy, ...meeting }) => meeting);
+        }
         
         return {
             statusCode: 200,
-            headers: corsHeaders,
+            headers: {
+                ...corsHeaders,
+                'X-Total-Count': String(listing.total),
+                ...(listing.nextCursor && { 'X-Next-Cursor': listing.nextCursor })
+            },
             body: JSON.stringify(meetingsWithCounts)
         };
     } catch (error) {
@@ -92,66 +148,33 @@ async function getAllMeetings() {
     }
 }
 
-// Create a new meeting (admin only)
+// Create a new meeting (owners and organisers). With a recurrence rule this creates a
+// series instead, with one meeting per occurrence.
 async function createMeeting(event) {
-    if (!validateAdminPassword(event)) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
         return {
-            statusCode: 401,
+            statusCode: auth.statusCode,
             headers: corsHeaders,
-            body: JSON.stringify({ error: 'Invalid admin password' })
+            body: JSON.stringify({ error: auth.error })
         };
     }
 
     try {
-        const { title, description, date, time, duration, minAttendees, maxAttendees, location } = JSON.parse(event.body);
+        const { title, description, date, time, timeZone, duration, minAttendees, maxAttendees, location, questions, requireVerification, registrationOpensHoursBefore, registrationClosesHoursBefore, category, tags, host, recurrence, allowConflicts } = JSON.parse(event.body);
         
-        // Validate required fields
-        if (!title || !date || !time || !duration) {
-            return {
-                statusCode: 400,
-                headers: corsHeaders,
-                body: JSON.stringify({ 
-                    error: 'Title, date, time, and duration are required' 
-                })
-            };
-        }
-
-        // Validate duration format (should be in minutes)
-        if (isNaN(duration) || duration <= 0) {
+        const validationError = validateMeetingFields({ title, date, time, timeZone, duration, minAttendees, maxAttendees, registrationOpensHoursBefore, registrationClosesHoursBefore })
+            || validateMeetingDetails({ category, tags, host })
+            || (questions !== undefined ? validateQuestions(questions) : null)
+            || (recurrence ? validateRecurrence(recurrence, date) : null);
+        if (validationError) {
             return {
                 statusCode: 400,
                 headers: corsHeaders,
-                body: JSON.stringify({ 
-                    error: 'Duration must be a positive number (in minutes)' 
-                })
+                body: JSON.stringify({ error: validationError })
             };
         }
 
-        // Validate min/max attendees
-        if (minAttendees && maxAttendees && minAttendees > maxAttendees) {
-            return {
-                statusCode: 400,
-                headers: corsHeaders,
-                body: JSON.stringify({ 
-                    error: 'Minimum attendees cannot be greater than maximum attendees' 
-                })
-            };
-        }
-
-        // Validate date format
-        const meetingDate = new Date(`${date}T${time}`);
-        if (isNaN(meetingDate.getTime())) {
-            return {
-                statusCode: 400,
-                headers: corsHeaders,
-                body: JSON.stringify({ 
-                    error: 'Invalid date or time format' 
-                })
-            };
-        }
-
-        const meetings = await getS3Data('meetings.json') || [];
-        
         // Create new meeting
         const newMeeting = {
             id: uuidv4(),
@@ -159,23 +182,47 @@ async function createMeeting(event) {
             description: description?.trim() || '',
             date,
             time,
+            timeZone: timeZone || DEFAULT_TIME_ZONE,
+            startsAt: zonedTimeToUtc(date, time, timeZone || DEFAULT_TIME_ZONE).toISOString(),
             duration: parseInt(duration),
             minAttendees: minAttendees ? parseInt(minAttendees) : null,
             maxAttendees: maxAttendees ? parseInt(maxAttendees) : null,
             location: location?.trim() || '',
+            category: normalizeCategory(category),
+            tags: normalizeTags(tags),
+            host: normalizeHost(host),
+            questions: normalizeQuestions(questions),
+            requireVerification: !!requireVerification,
+            registrationOpensHoursBefore: normalizeWindowHours(registrationOpensHoursBefore),
+            registrationClosesHoursBefore: normalizeWindowHours(registrationClosesHoursBefore),
             createdAt: new Date().toISOString(),
+            createdBy: auth.admin.id,
             currentAttendees: 0
         };
 
-        meetings.push(newMeeting);
-        await saveS3Data('meetings.json', meetings);
+        if (recurrence) {
+            return await createSeries(newMeeting, recurrence, auth.admin, !!allowConflicts);
+        }
+
+        const clashes = await findLocationClashes([newMeeting]);
+        if (clashes.length > 0 && !allowConflicts) {
+            return {
+                statusCode: 409,
+                headers: corsHeaders,
+                body: JSON.stringify(locationClash(clashes))
+            };
+        }
+
+        await repository.meetings.create(newMeeting);
+        await recordAudit(repository, auditEntry(adminActor(auth.admin), 'meeting.create', { after: newMeeting }));
 
         return {
             statusCode: 201,
             headers: corsHeaders,
             body: JSON.stringify({ 
                 message: 'Meeting created successfully',
-                meeting: newMeeting
+                meeting: newMeeting,
+                conflicts: clashes.map(clashSummary)
             })
         };
     } catch (error) {
@@ -188,13 +235,430 @@ async function createMeeting(event) {
     }
 }
 
-// Delete a meeting (admin only)
+// Store the series and one meeting per occurrence date. Occurrences are ordinary meetings
+// that are booked separately; occurrenceDate is the date the rule gave them, which stays
+// put if that one occurrence is later moved.
+async function createSeries(template, recurrence, admin, allowConflicts) {
+    const series = {
+        id: uuidv4(),
+        startDate: template.date,
+        recurrence: {
+            frequency: recurrence.frequency,
+            interval: recurrence.interval ? parseInt(recurrence.interval) : 1,
+            weekdays: recurrence.frequency === 'weekly' && recurrence.weekdays
+                ? [...new Set(recurrence.weekdays)].sort((a, b) => a - b)
+                : undefined,
+            until: recurrence.until || undefined,
+            count: recurrence.count ? parseInt(recurrence.count) : undefined,
+            exceptions: [...new Set(recurrence.exceptions || [])].sort()
+        },
+        createdAt: template.createdAt,
+        createdBy: template.createdBy
+    };
+    SERIES_FIELDS.forEach(field => {
+        series[field] = template[field];
+    });
+
+    const meetings = generateOccurrenceDates(series.startDate, series.recurrence).map(date => ({
+        ...template,
+        id: uuidv4(),
+        date,
+        // Each date gets its own instant, so a series keeps its clock time across daylight saving changes
+        startsAt: zonedTimeToUtc(date, template.time, template.timeZone).toISOString(),
+        seriesId: series.id,
+        occurrenceDate: date
+    }));
+
+    const clashes = await findLocationClashes(meetings);
+    if (clashes.length > 0 && !allowConflicts) {
+        return {
+            statusCode: 409,
+            headers: corsHeaders,
+            body: JSON.stringify(locationClash(clashes))
+        };
+    }
+
+    await repository.series.create(series);
+    for (const meeting of meetings) {
+        await repository.meetings.create(meeting);
+    }
+    await recordAudit(repository, [
+        auditEntry(adminActor(admin), 'series.create', { after: series }),
+        ...meetings.map(meeting => auditEntry(adminActor(admin), 'meeting.create', { after: meeting }))
+    ]);
+
+    return {
+        statusCode: 201,
+        headers: corsHeaders,
+        body: JSON.stringify({
+            message: `Created a series of ${meetings.length} meetings`,
+            series,
+            meeting: meetings[0],
+            meetings,
+            conflicts: clashes.map(clashSummary)
+        })
+    };
+}
+
+// Apply updates to one meeting, then bring its bookings in step. Returns { meeting,
+// updatedBookingsCount, promotedBookings }, { statusCode, error } when the change is
+// refused, or null when the meeting doesn't exist.
+async function applyMeetingUpdate(meetingId, updates, admin) {
+    let refusal;
+    let existingMeeting;
+    const updatedMeeting = await repository.meetings.update(meetingId, async meeting => {
+        if (isTrashed(meeting)) {
+            refusal = { statusCode: 404, error: 'Meeting not found' };
+            return false;
+        }
+        if (!canManageMeeting(admin, meeting)) {
+            refusal = { statusCode: 403, error: 'You can only edit your own meetings' };
+            return false;
+        }
+
+        // Only fields present in the request are changed, the rest keep their current values
+        existingMeeting = meeting;
+        const merged = { ...existingMeeting };
+        ['title', 'description', 'date', 'time', 'timeZone', 'duration', 'minAttendees', 'maxAttendees', 'location', 'questions', 'requireVerification', 'registrationOpensHoursBefore', 'registrationClosesHoursBefore', 'category', 'tags', 'host'].forEach(field => {
+            if (updates[field] !== undefined) {
+                merged[field] = updates[field];
+            }
+        });
+
+        const validationError = validateMeetingFields(merged) || validateMeetingDetails(merged);
+        if (validationError) {
+            refusal = { statusCode: 400, error: validationError };
+            return false;
+        }
+
+        // Capacity cannot drop below the seats already taken, unverified holds included
+        const bookings = await repository.bookings.listByMeeting(meetingId);
+        const takenCount = seatsTaken(bookings, meetingId);
+        const maxAttendees = merged.maxAttendees ? parseInt(merged.maxAttendees) : null;
+        if (maxAttendees && maxAttendees < takenCount) {
+            refusal = {
+                statusCode: 400,
+                error: `Maximum attendees cannot be less than the current booking count (${takenCount})`
+            };
+            return false;
+        }
+
+        const timeZone = merged.timeZone || DEFAULT_TIME_ZONE;
+        const updated = {
+            ...existingMeeting,
+            title: String(merged.title).trim(),
+            description: merged.description ? String(merged.description).trim() : '',
+            date: merged.date,
+            time: merged.time,
+            timeZone,
+            startsAt: zonedTimeToUtc(merged.date, merged.time, timeZone).toISOString(),
+            duration: parseInt(merged.duration),
+            minAttendees: merged.minAttendees ? parseInt(merged.minAttendees) : null,
+            maxAttendees,
+            location: merged.location ? String(merged.location).trim() : '',
+            category: normalizeCategory(merged.category),
+            tags: normalizeTags(merged.tags),
+            host: normalizeHost(merged.host),
+            questions: merged.questions || [],
+            requireVerification: !!merged.requireVerification,
+            registrationOpensHoursBefore: normalizeWindowHours(merged.registrationOpensHoursBefore),
+            registrationClosesHoursBefore: normalizeWindowHours(merged.registrationClosesHoursBefore),
+            updatedAt: new Date().toISOString()
+        };
+
+        // Only a move in time or place is checked, so other edits aren't held up by an old clash
+        if (!updates.allowConflicts && CLASH_FIELDS.some(field => updated[field] !== existingMeeting[field])) {
+            const clashes = await findLocationClashes([updated]);
+            if (clashes.length > 0) {
+                refusal = { statusCode: 409, ...locationClash(clashes) };
+                return false;
+            }
+        }
+
+        const calendarChanged = CALENDAR_FIELDS.some(field => updated[field] !== existingMeeting[field]);
+        updated.sequence = (existingMeeting.sequence || 0) + (calendarChanged ? 1 : 0);
+        return updated;
+    });
+
+    if (refusal) {
+        return refusal;
+    }
+    if (!updatedMeeting) {
+        return null;
+    }
+    await recordAudit(repository, auditEntry(adminActor(admin), 'meeting.update', { before: existingMeeting, after: updatedMeeting }));
+
+    let updatedBookingsCount = 0;
+    let promotedBookings = [];
+    let activeBookings = [];
+    await updateBookings(repository, meetingId, adminActor(admin), bookings => {
+        activeBookings = bookings.filter(b => isConfirmedBooking(b) || b.status === 'waitlisted');
+
+        // Bookings carry a copy of the meeting title, keep it in step
+        const titleChanged = updatedMeeting.title !== existingMeeting.title;
+        if (titleChanged) {
+            bookings.forEach(b => {
+                b.meetingTitle = updatedMeeting.title;
+            });
+        }
+        updatedBookingsCount = titleChanged ? bookings.length : 0;
+
+        // Extra capacity goes to the waitlist first
+        promotedBookings = promoteFromWaitlist(bookings, updatedMeeting);
+
+        if (updatedBookingsCount === 0 && promotedBookings.length === 0) {
+            return false;
+        }
+    });
+
+    // Attendees of upcoming meetings hear about changes to the details in their calendar.
+    // Anyone just promoted gets a confirmation with the new details instead.
+    await notifier.notifyAll('bookingConfirmation', promotedBookings, updatedMeeting);
+    if (updatedMeeting.sequence > (existingMeeting.sequence || 0) && updatedMeeting.status !== 'cancelled' && meetingStart(updatedMeeting) > new Date()) {
+        const promotedIds = new Set(promotedBookings.map(b => b.id));
+        await notifier.notifyAll('meetingChanged', activeBookings.filter(b => !promotedIds.has(b.id)), updatedMeeting);
+    }
+
+    return { meeting: updatedMeeting, updatedBookingsCount, promotedBookings };
+}
+
+// Update an existing meeting (owners, or the organiser who created it). scope 'series' in
+// the body applies the change to the whole series the meeting belongs to.
+async function updateMeeting(event) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const meetingId = event.pathParameters?.id;
+        if (!meetingId) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Meeting ID is required' })
+            };
+        }
+
+        const updates = JSON.parse(event.body || '{}');
+
+        // Questions get their ids once, here, so every occurrence of a series shares them
+        if (updates.questions !== undefined) {
+            const questionsError = validateQuestions(updates.questions);
+            if (questionsError) {
+                return {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: questionsError })
+                };
+            }
+            updates.questions = normalizeQuestions(updates.questions);
+        }
+
+        const scope = updates.scope || 'occurrence';
+        if (!SCOPES.includes(scope)) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: `Scope must be one of: ${SCOPES.join(', ')}` })
+            };
+        }
+        if (scope === 'series') {
+            return await updateSeries(meetingId, updates, auth.admin);
+        }
+
+        const result = await applyMeetingUpdate(meetingId, updates, auth.admin);
+        if (!result) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Meeting not found' })
+            };
+        }
+        if (result.error) {
+            return {
+                statusCode: result.statusCode,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: result.error, code: result.code, conflicts: result.conflicts })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                message: 'Meeting updated successfully',
+                ...result
+            })
+        };
+    } catch (error) {
+        console.error('Error updating meeting:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to update meeting: ' + error.message })
+        };
+    }
+}
+
+// Apply an edit to the series and every occurrence that hasn't happened yet. Each
+// occurrence keeps its own date, so only single occurrences can be moved.
+async function updateSeries(meetingId, updates, admin) {
+    if (updates.date !== undefined) {
+        return {
+            statusCode: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'The date can only be changed for one occurrence at a time' })
+        };
+    }
+
+    const meeting = await repository.meetings.get(meetingId);
+    if (!meeting || isTrashed(meeting)) {
+        return {
+            statusCode: 404,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Meeting not found' })
+        };
+    }
+    if (!meeting.seriesId) {
+        return {
+            statusCode: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'This meeting is not part of a series' })
+        };
+    }
+    if (!canManageMeeting(admin, meeting)) {
+        return {
+            statusCode: 403,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'You can only edit your own meetings' })
+        };
+    }
+
+    const changes = {};
+    SERIES_FIELDS.forEach(field => {
+        if (updates[field] !== undefined) {
+            changes[field] = updates[field];
+        }
+    });
+
+    const today = new Date().toISOString().slice(0, 10);
+    const occurrences = (await repository.meetings.list())
+        .filter(m => m.seriesId === meeting.seriesId && !isTrashed(m) && (m.date >= today || m.id === meetingId))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    // Check every occurrence before changing any, so a refused edit leaves the series as it was
+    const bookingsByMeeting = await repository.bookings.listByMeetings(occurrences.map(m => m.id));
+    const moved = [];
+    for (const occurrence of occurrences) {
+        const merged = { ...occurrence, ...changes };
+        const confirmedCount = bookingsByMeeting[occurrence.id].filter(isConfirmedBooking).length;
+        const validationError = validateMeetingFields(merged)
+            || validateMeetingDetails(merged)
+            || (merged.maxAttendees && parseInt(merged.maxAttendees) < confirmedCount
+                ? `Maximum attendees cannot be less than the booking count on ${occurrence.date} (${confirmedCount})`
+                : null);
+        if (validationError) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: validationError })
+            };
+        }
+        moved.push({ ...merged, startsAt: zonedTimeToUtc(merged.date, merged.time, merged.timeZone || DEFAULT_TIME_ZONE).toISOString() });
+    }
+    if (!updates.allowConflicts && ['time', 'timeZone', 'duration', 'location'].some(field => changes[field] !== undefined)) {
+        const clashes = await findLocationClashes(moved);
+        if (clashes.length > 0) {
+            return {
+                statusCode: 409,
+                headers: corsHeaders,
+                body: JSON.stringify(locationClash(clashes))
+            };
+        }
+    }
+
+    // Clashes were checked for the series as a whole above
+    const results = [];
+    for (const occurrence of occurrences) {
+        const result = await applyMeetingUpdate(occurrence.id, { ...changes, allowConflicts: true }, admin);
+        if (result && !result.error) {
+            results.push(result);
+        }
+    }
+
+    // The series keeps the current details for reference, taken from the edited meeting
+    const edited = results.find(r => r.meeting.id === meetingId);
+    let previousSeries;
+    const series = edited && await repository.series.update(meeting.seriesId, current => {
+        previousSeries = structuredClone(current);
+        SERIES_FIELDS.forEach(field => {
+            current[field] = edited.meeting[field];
+        });
+        return { ...current, updatedAt: new Date().toISOString() };
+    });
+    if (series) {
+        await recordAudit(repository, auditEntry(adminActor(admin), 'series.update', { before: previousSeries, after: series }));
+    }
+
+    return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({
+            message: `Updated ${results.length} meetings in the series`,
+            meeting: edited ? edited.meeting : meeting,
+            meetings: results.map(r => r.meeting),
+            series,
+            updatedBookingsCount: results.reduce((sum, r) => sum + r.updatedBookingsCount, 0),
+            promotedBookings: results.flatMap(r => r.promotedBookings)
+        })
+    };
+}
+
+// Move a meeting to the trash. Its bookings are left as they are, hidden with it, so
+// restoring the meeting brings them back. Calendars see it as cancelled.
+async function trashMeetingWithBookings(meetingId, admin) {
+    let previousMeeting;
+    const deletedMeeting = await repository.meetings.update(meetingId, meeting => {
+        if (isTrashed(meeting)) {
+            return false;
+        }
+        previousMeeting = structuredClone(meeting);
+        return {
+            ...meeting,
+            deletedAt: new Date().toISOString(),
+            deletedBy: admin.username,
+            sequence: (meeting.sequence || 0) + 1
+        };
+    });
+    if (!deletedMeeting) {
+        return { deletedMeeting: null, removedBookingsCount: 0 };
+    }
+    await recordAudit(repository, auditEntry(adminActor(admin), 'meeting.delete', { before: previousMeeting, after: deletedMeeting }));
+
+    const bookings = (await repository.bookings.listByMeeting(meetingId)).filter(b => !isTrashed(b));
+
+    // Nobody is emailed about cancelling a meeting that has already happened
+    if (meetingStart(deletedMeeting) > new Date()) {
+        await notifier.notifyAll('meetingCancelled', bookings.filter(b => isConfirmedBooking(b) || b.status === 'waitlisted'), deletedMeeting);
+    }
+
+    return { deletedMeeting, removedBookingsCount: bookings.length };
+}
+
+// Move a meeting to the trash (owners, or the organiser who created it). ?scope=series does
+// the same for every occurrence of the series the meeting belongs to.
 async function deleteMeeting(event) {
-    if (!validateAdminPassword(event)) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
         return {
-            statusCode: 401,
+            statusCode: auth.statusCode,
             headers: corsHeaders,
-            body: JSON.stringify({ error: 'Invalid admin password' })
+            body: JSON.stringify({ error: auth.error })
         };
     }
 
@@ -208,11 +672,17 @@ async function deleteMeeting(event) {
             };
         }
 
-        const meetings = await getS3Data('meetings.json') || [];
-        const bookings = await getS3Data('bookings.json') || [];
-        
-        const meetingIndex = meetings.findIndex(m => m.id === meetingId);
-        if (meetingIndex === -1) {
+        const scope = event.queryStringParameters?.scope || 'occurrence';
+        if (!SCOPES.includes(scope)) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: `Scope must be one of: ${SCOPES.join(', ')}` })
+            };
+        }
+
+        const meeting = await repository.meetings.get(meetingId);
+        if (!meeting || isTrashed(meeting)) {
             return {
                 statusCode: 404,
                 headers: corsHeaders,
@@ -220,24 +690,54 @@ async function deleteMeeting(event) {
             };
         }
 
-        // Remove the meeting
-        const deletedMeeting = meetings.splice(meetingIndex, 1)[0];
-        
-        // Remove all bookings for this meeting
-        const updatedBookings = bookings.filter(b => b.meetingId !== meetingId);
-        const removedBookingsCount = bookings.length - updatedBookings.length;
-
-        // Save updated data
-        await Promise.all([
-            saveS3Data('meetings.json', meetings),
-            saveS3Data('bookings.json', updatedBookings)
-        ]);
+        if (!canManageMeeting(auth.admin, meeting)) {
+            return {
+                statusCode: 403,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'You can only delete your own meetings' })
+            };
+        }
+
+        if (scope === 'series') {
+            if (!meeting.seriesId) {
+                return {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'This meeting is not part of a series' })
+                };
+            }
+            return await deleteSeries(meeting.seriesId, auth.admin);
+        }
+
+        const { deletedMeeting, removedBookingsCount } = await trashMeetingWithBookings(meetingId, auth.admin);
+        if (!deletedMeeting) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Meeting not found' })
+            };
+        }
+
+        // A cancelled occurrence becomes an exception so the rule still matches the meetings left
+        if (deletedMeeting.seriesId) {
+            let previousSeries;
+            const series = await repository.series.update(deletedMeeting.seriesId, series => {
+                previousSeries = structuredClone(series);
+                const exceptions = new Set(series.recurrence.exceptions || []);
+                exceptions.add(deletedMeeting.occurrenceDate || deletedMeeting.date);
+                series.recurrence.exceptions = [...exceptions].sort();
+                return series;
+            });
+            if (series) {
+                await recordAudit(repository, auditEntry(adminActor(auth.admin), 'series.update', { before: previousSeries, after: series }));
+            }
+        }
 
         return {
             statusCode: 200,
             headers: corsHeaders,
             body: JSON.stringify({ 
-                message: 'Meeting deleted successfully',
+                message: 'Meeting moved to the trash',
                 deletedMeeting,
                 removedBookingsCount
             })
@@ -252,8 +752,222 @@ async function deleteMeeting(event) {
     }
 }
 
-exports.handler = async (event) => {
-    console.log('Event:', JSON.stringify(event, null, 2));
+// Move every occurrence of a series and the series itself to the trash
+async function deleteSeries(seriesId, admin) {
+    const occurrences = (await repository.meetings.list()).filter(m => m.seriesId === seriesId && !isTrashed(m));
+
+    let deletedMeetingsCount = 0;
+    let removedBookingsCount = 0;
+    for (const occurrence of occurrences) {
+        const result = await trashMeetingWithBookings(occurrence.id, admin);
+        deletedMeetingsCount += result.deletedMeeting ? 1 : 0;
+        removedBookingsCount += result.removedBookingsCount;
+    }
+    let previousSeries;
+    const deletedSeries = await repository.series.update(seriesId, series => {
+        if (isTrashed(series)) {
+            return false;
+        }
+        previousSeries = structuredClone(series);
+        return { ...series, deletedAt: new Date().toISOString(), deletedBy: admin.username };
+    });
+    if (deletedSeries) {
+        await recordAudit(repository, auditEntry(adminActor(admin), 'series.delete', { before: previousSeries, after: deletedSeries }));
+    }
+
+    return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({
+            message: `Deleted ${deletedMeetingsCount} meetings in the series`,
+            deletedSeries,
+            deletedMeetingsCount,
+            removedBookingsCount
+        })
+    };
+}
+
+// Take a meeting back out of the trash with its bookings (owners, or the organiser who
+// created it). An occurrence goes back into its series. Attendees are told it is on again.
+async function restoreMeeting(event) {
+    const auth = authenticateAdmin(event, ['owner', 'organiser']);
+    if (auth.error) {
+        return {
+            statusCode: auth.statusCode,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: auth.error })
+        };
+    }
+
+    try {
+        const meetingId = event.pathParameters?.id;
+        const meeting = meetingId && await repository.meetings.get(meetingId);
+        if (!meeting || !isTrashed(meeting)) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Meeting not found in the trash' })
+            };
+        }
+        if (!canManageMeeting(auth.admin, meeting)) {
+            return {
+                statusCode: 403,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'You can only restore your own meetings' })
+            };
+        }
+        if (isPurgeDue(meeting)) {
+            return {
+                statusCode: 410,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'This meeting has been in the trash too long to restore' })
+            };
+        }
+
+        let previousMeeting;
+        const restoredMeeting = await repository.meetings.update(meetingId, current => {
+            if (!isTrashed(current)) {
+                return false;
+            }
+            previousMeeting = structuredClone(current);
+            const { deletedAt, deletedBy, ...rest } = current;
+            const now = new Date().toISOString();
+            return { ...rest, sequence: (current.sequence || 0) + 1, restoredAt: now, updatedAt: now };
+        });
+        if (!restoredMeeting) {
+            return {
+                statusCode: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'Meeting not found in the trash' })
+            };
+        }
+        await recordAudit(repository, auditEntry(adminActor(auth.admin), 'meeting.restore', { before: previousMeeting, after: restoredMeeting }));
+
+        // The series comes out of the trash too, and stops skipping the occurrence's date
+        if (restoredMeeting.seriesId) {
+            const occurrenceDate = restoredMeeting.occurrenceDate || restoredMeeting.date;
+            let previousSeries;
+            const series = await repository.series.update(restoredMeeting.seriesId, current => {
+                const exceptions = current.recurrence.exceptions || [];
+                if (!isTrashed(current) && !exceptions.includes(occurrenceDate)) {
+                    return false;
+                }
+                previousSeries = structuredClone(current);
+                const { deletedAt, deletedBy, ...rest } = current;
+                return {
+                    ...rest,
+                    recurrence: { ...current.recurrence, exceptions: exceptions.filter(date => date !== occurrenceDate) }
+                };
+            });
+            if (series) {
+                const action = isTrashed(previousSeries) ? 'series.restore' : 'series.update';
+                await recordAudit(repository, auditEntry(adminActor(auth.admin), action, { before: previousSeries, after: series }));
+            }
+        }
+
+        const bookings = (await repository.bookings.listByMeeting(meetingId)).filter(b => !isTrashed(b));
+        if (restoredMeeting.status !== 'cancelled' && meetingStart(restoredMeeting) > new Date()) {
+            await notifier.notifyAll('bookingConfirmation', bookings.filter(isConfirmedBooking), restoredMeeting);
+            await notifier.notifyAll('waitlistConfirmation', bookings.filter(b => b.status === 'waitlisted'), restoredMeeting);
+        }
+
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                message: 'Meeting restored',
+                meeting: restoredMeeting,
+                restoredBookingsCount: bookings.length
+            })
+        };
+    } catch (error) {
+        console.error('Error restoring meeting:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to restore meeting' })
+        };
+    }
+}
+
+// Calendar responses are plain text/calendar, downloaded for one meeting or read by calendar apps as a feed
+function calendarResponse(calendar, filename) {
+    return {
+        statusCode: 200,
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `${filename ? 'attachment' : 'inline'}; filename="${filename || 'meetings.ics'}"`,
+            'Cache-Control': 'max-age=300'
+        },
+        body: calendar
+    };
+}
+
+// GET /meetings/{id}/calendar: one meeting as an .ics file. A deleted meeting, whether in the
+// trash or purged, or one that didn't get enough bookings, comes back as a cancellation with
+// the same UID, so importing it removes the event.
+async function getMeetingCalendar(event) {
+    try {
+        const meetingId = event.pathParameters?.id;
+        const meeting = await repository.meetings.get(meetingId);
+        if (meeting) {
+            const method = meeting.status === 'cancelled' || isTrashed(meeting) ? 'CANCEL' : 'PUBLISH';
+            return calendarResponse(buildCalendar(meetingEvent(meeting), { method }), `meeting-${meeting.id}.ics`);
+        }
+
+        const cancelled = await repository.cancelledMeetings.get(meetingId);
+        if (cancelled) {
+            return calendarResponse(
+                buildCalendar(meetingEvent(cancelled, { cancelled: true }), { method: 'CANCEL' }),
+                `meeting-${cancelled.id}.ics`
+            );
+        }
+
+        return {
+            statusCode: 404,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Meeting not found' })
+        };
+    } catch (error) {
+        console.error('Error getting meeting calendar:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to get meeting calendar' })
+        };
+    }
+}
+
+// GET /meetings/calendar: subscribable feed of upcoming meetings, including ones that have
+// been cancelled so subscribed calendars drop them
+async function getCalendarFeed() {
+    try {
+        const now = new Date();
+        const [meetings, cancelled] = await Promise.all([
+            repository.meetings.list(),
+            repository.cancelledMeetings.list()
+        ]);
+
+        const events = [
+            ...meetings.filter(m => meetingStart(m) > now).map(m => meetingEvent(m)),
+            ...cancelled.filter(m => meetingStart(m) > now).map(m => meetingEvent(m, { cancelled: true }))
+        ];
+
+        return calendarResponse(buildCalendar(events.flat(), { name: "Pete's Meetings" }));
+    } catch (error) {
+        console.error('Error getting calendar feed:', error);
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Failed to get calendar feed' })
+        };
+    }
+}
+
+exports.handler = withCors(async (event) => {
+    // Never write session tokens, cancellation tokens or codes to the logs
+    console.log('Event:', JSON.stringify(redactEvent(event), null, 2));
 
     // Handle CORS preflight
     if (event.httpMethod === 'OPTIONS') {
@@ -264,12 +978,23 @@ exports.handler = async (event) => {
         };
     }
 
+    const path = event.path || event.requestContext?.path || '';
+
     try {
+        if (event.httpMethod === 'GET' && path.endsWith('/calendar')) {
+            return event.pathParameters?.id ? await getMeetingCalendar(event) : await getCalendarFeed();
+        }
+
         switch (event.httpMethod) {
             case 'GET':
-                return await getAllMeetings();
+                return await getAllMeetings(event);
             case 'POST':
+                if (path.endsWith('/restore')) {
+                    return await restoreMeeting(event);
+                }
                 return await createMeeting(event);
+            case 'PUT':
+                return await updateMeeting(event);
             case 'DELETE':
                 return await deleteMeeting(event);
             default:
@@ -287,4 +1012,4 @@ exports.handler = async (event) => {
             body: JSON.stringify({ error: 'Internal server error: ' + error.message })
         };
     }
-};
\ No newline at end of file
+});
\ No newline at end of file
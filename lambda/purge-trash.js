@@ -0,0 +1,70 @@
+const { getRepository } = require('./lib/repository');
+const { meetingStart } = require('./lib/timezone');
+const { systemActor, auditEntry, recordAudit, updateBookings } = require('./lib/audit');
+const { TRASH_RETENTION_DAYS, isPurgeDue } = require('./lib/trash');
+
+const repository = getRepository();
+
+// Remove meetings, series and bookings that have been in the trash longer than retentionDays.
+// A purged meeting that hasn't happened yet leaves a cancelled copy behind, so calendar
+// feeds keep telling subscribers it is off.
+async function purgeTrash({ now = new Date(), retentionDays = TRASH_RETENTION_DAYS } = {}) {
+    const actor = systemActor('purge-trash');
+    const summary = { meetings: 0, series: 0, bookings: 0 };
+
+    // Bookings go first, so a run that stops part way never leaves them without their meeting
+    const dueMeetings = (await repository.meetings.list()).filter(meeting => isPurgeDue(meeting, now, retentionDays));
+    for (const meeting of dueMeetings) {
+        let removedBookings = [];
+        await updateBookings(repository, meeting.id, actor, bookings => {
+            removedBookings = bookings;
+            return bookings.length > 0 ? [] : false;
+        });
+        summary.bookings += removedBookings.length;
+
+        if (meetingStart(meeting) > now) {
+            await repository.cancelledMeetings.put({ ...meeting, cancelledAt: meeting.deletedAt });
+        }
+        const removedMeeting = await repository.meetings.remove(meeting.id);
+        if (removedMeeting) {
+            await recordAudit(repository, auditEntry(actor, 'meeting.purge', { before: removedMeeting, now }));
+            summary.meetings++;
+        }
+    }
+
+    // Bookings trashed on their own
+    const dueBookingMeetingIds = new Set((await repository.bookings.list())
+        .filter(booking => isPurgeDue(booking, now, retentionDays))
+        .map(booking => booking.meetingId));
+    for (const meetingId of dueBookingMeetingIds) {
+        let purged = [];
+        await updateBookings(repository, meetingId, actor, bookings => {
+            purged = bookings.filter(booking => isPurgeDue(booking, now, retentionDays));
+            return purged.length > 0 ? bookings.filter(booking => !purged.includes(booking)) : false;
+        });
+        summary.bookings += purged.length;
+    }
+
+    // A trashed series goes once none of its meetings are left
+    const remainingSeriesIds = new Set((await repository.meetings.list()).map(meeting => meeting.seriesId).filter(Boolean));
+    const dueSeries = (await repository.series.list())
+        .filter(series => isPurgeDue(series, now, retentionDays) && !remainingSeriesIds.has(series.id));
+    for (const series of dueSeries) {
+        const removedSeries = await repository.series.remove(series.id);
+        if (removedSeries) {
+            await recordAudit(repository, auditEntry(actor, 'series.purge', { before: removedSeries, now }));
+            summary.series++;
+        }
+    }
+
+    return summary;
+}
+
+// Invoked by the PurgeTrashSchedule rule, not through the API
+exports.handler = async () => {
+    const summary = await purgeTrash();
+    console.log('Purged trash:', JSON.stringify(summary));
+    return summary;
+};
+
+exports.purgeTrash = purgeTrash;
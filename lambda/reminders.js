@@ -0,0 +1,60 @@
+const { getRepository } = require('./lib/repository');
+const { getNotifier } = require('./lib/notifications');
+const { meetingStart } = require('./lib/timezone');
+const { isTrashed } = require('./lib/trash');
+const { isConfirmedBooking } = require('./lib/waitlist');
+
+// How long before a meeting starts its attendees are reminded
+const REMINDER_HOURS_BEFORE = Number(process.env.REMINDER_HOURS_BEFORE) || 24;
+
+// A reminder that keeps failing is given up on after this many scheduled runs
+const MAX_REMINDER_RUNS = 3;
+
+const repository = getRepository();
+const notifier = getNotifier();
+
+// Email confirmed attendees of meetings starting within the next hoursBefore hours. Each
+// booking is reminded once; a failed reminder is tried again on the next run.
+async function sendReminders({ now = new Date(), hoursBefore = REMINDER_HOURS_BEFORE } = {}) {
+    const windowEnd = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
+    const meetings = (await repository.meetings.list()).filter(meeting => {
+        const start = meetingStart(meeting);
+        return meeting.status !== 'cancelled' && !isTrashed(meeting) && start > now && start <= windowEnd;
+    });
+
+    const summary = { meetings: meetings.length, sent: 0, failed: 0 };
+    if (meetings.length === 0) {
+        return summary;
+    }
+
+    const bookingsByMeeting = await repository.bookings.listByMeetings(meetings.map(m => m.id));
+    for (const meeting of meetings) {
+        const bookings = bookingsByMeeting[meeting.id].filter(isConfirmedBooking);
+        const notificationsByBooking = await repository.notifications.listByBookings(bookings.map(b => b.id));
+        const hoursUntilStart = Math.max(1, Math.round((meetingStart(meeting) - now) / (60 * 60 * 1000)));
+
+        for (const booking of bookings) {
+            const reminders = notificationsByBooking[booking.id].filter(n => n.type === 'reminder');
+            if (reminders.some(n => n.status === 'sent') || reminders.length >= MAX_REMINDER_RUNS) {
+                continue;
+            }
+
+            const notification = await notifier.notify('reminder', booking, meeting, { hoursBefore: hoursUntilStart });
+            summary[notification.status === 'sent' ? 'sent' : 'failed']++;
+        }
+    }
+
+    return summary;
+}
+
+// Invoked by the ReminderSchedule rule, not through the API. Also retries the emails that
+// couldn't be sent to a whole meeting's attendees during a request.
+exports.handler = async () => {
+    const summary = await sendReminders();
+    console.log('Reminders:', JSON.stringify(summary));
+    const retries = await notifier.retryFailed();
+    console.log('Retried notifications:', JSON.stringify(retries));
+    return { ...summary, retries };
+};
+
+exports.sendReminders = sendReminders;
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Creates an admin account, or resets the password (and optionally the role) of an existing one.
+//
+//   BUCKET_NAME=... node scripts/create-admin.js --username pete --role organiser
+//
+// Roles are owner, organiser and viewer. New accounts are organisers unless --role says otherwise.
+// With --if-missing an existing account is left untouched, which is what deploy.sh uses.
+//
+// Uses the same STORAGE_BACKEND settings as the Lambda functions. The password is read from
+// standard input so it never appears in shell history or the process list.
+const readline = require('readline');
+const { ROLES, hashPassword, normaliseUsername, roleOf } = require('../lib/auth');
+const { getRepository } = require('../lib/repository');
+
+const MIN_PASSWORD_LENGTH = 12;
+
+function parseArgs(argv) {
+    const args = { username: null, role: null, ifMissing: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--username') {
+            args.username = argv[++i];
+        } else if (argv[i] === '--role') {
+            args.role = argv[++i];
+        } else if (argv[i] === '--if-missing') {
+            args.ifMissing = true;
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    if (!normaliseUsername(args.username)) {
+        throw new Error('Usage: create-admin.js --username <name> [--role <owner|organiser|viewer>] [--if-missing]');
+    }
+    if (args.role && !ROLES.includes(args.role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    return args;
+}
+
+function readPassword() {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, terminal: false });
+        if (process.stdin.isTTY) {
+            process.stderr.write('Password: ');
+        }
+        rl.once('line', line => {
+            resolve(line);
+            rl.close();
+        });
+        rl.once('close', () => resolve(''));
+    });
+}
+
+async function createAdmin({ username, password, role, ifMissing = false }) {
+    const repository = getRepository();
+    const id = normaliseUsername(username);
+    const existing = await repository.admins.get(id);
+    if (existing && ifMissing) {
+        return 'already exists';
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const now = new Date().toISOString();
+
+    await repository.admins.put({
+        ...existing,
+        id,
+        username: existing?.username || username.trim(),
+        role: role || (existing ? roleOf(existing) : 'organiser'),
+        passwordHash: await hashPassword(password),
+        failedAttempts: 0,
+        lockedUntil: null,
+        createdAt: existing?.createdAt || now,
+        passwordChangedAt: now
+    });
+
+    return existing ? 'updated' : 'created';
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(async () => {
+            const { username, role, ifMissing } = parseArgs(process.argv.slice(2));
+            const outcome = await createAdmin({ username, role, ifMissing, password: await readPassword() });
+            console.log(`Admin account ${username} ${outcome}`);
+        })
+        .catch(error => {
+            console.error('Failed to create admin:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { createAdmin };
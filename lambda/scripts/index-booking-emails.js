@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Fills in the bookingEmails index, which My Bookings uses to find an address's bookings, for
+// bookings made before the index existed.
+//
+//   BUCKET_NAME=... node scripts/index-booking-emails.js
+//
+// Uses the same STORAGE_BACKEND settings as the Lambda functions. Bookings made since are
+// indexed as they are written, and addresses already indexed are left alone, so it is safe to
+// run more than once.
+const { getRepository } = require('../lib/repository');
+
+async function indexBookingEmails(repository = getRepository()) {
+    const bookings = await repository.bookings.list();
+    await repository.bookings.indexEmails(bookings);
+    return bookings.length;
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(async () => {
+            const count = await indexBookingEmails();
+            console.log(`Indexed the addresses of ${count} bookings`);
+        })
+        .catch(error => {
+            console.error('Failed to index booking emails:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { indexBookingEmails };
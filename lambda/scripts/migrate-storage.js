@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Copies every collection (meetings, bookings, admins, templates, the audit log and the rest of
+// COLLECTIONS) from the S3 bucket into another storage backend.
+//
+//   BUCKET_NAME=... DYNAMODB_TABLE_PREFIX=... node scripts/migrate-storage.js --to dynamodb
+//   BUCKET_NAME=... LOCAL_DATA_DIR=./data node scripts/migrate-storage.js --to local
+//
+// Safe to run more than once: records that already exist in the target are left alone, so a
+// second run only fills in what is missing. Pass --dry-run to see the counts without writing
+// anything.
+const { COLLECTIONS, createAdapter } = require('../lib/repository');
+
+function parseArgs(argv) {
+    const args = { to: null, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--to') {
+            args.to = argv[++i];
+        } else if (argv[i] === '--dry-run') {
+            args.dryRun = true;
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    if (!['dynamodb', 'local'].includes(args.to)) {
+        throw new Error('Usage: migrate-storage.js --to <dynamodb|local> [--dry-run]');
+    }
+    return args;
+}
+
+// Records of a collection the target doesn't have yet go in one by one
+async function copyRecords(source, target, collection) {
+    let copied = 0;
+    for (const record of source) {
+        if (await target.get(collection, record.id)) {
+            continue;
+        }
+        await target.put(collection, record);
+        copied++;
+    }
+    return copied;
+}
+
+// Partitioned collections are written a partition at a time, which keeps DynamoDB's version
+// item for each partition in step
+async function copyPartitions(source, target, collection) {
+    const partitionKey = COLLECTIONS[collection].partitionKey;
+    const byPartition = new Map();
+    source.forEach(record => {
+        byPartition.set(record[partitionKey], [...(byPartition.get(record[partitionKey]) || []), record]);
+    });
+
+    let copied = 0;
+    for (const [value, records] of byPartition) {
+        // The update may be retried after a race, so count what the last attempt added
+        let missingCount = 0;
+        await target.updatePartition(collection, value, existing => {
+            const existingIds = new Set(existing.map(record => record.id));
+            const missing = records.filter(record => !existingIds.has(record.id));
+            missingCount = missing.length;
+            return missing.length > 0 ? existing.concat(missing) : false;
+        });
+        copied += missingCount;
+    }
+    return copied;
+}
+
+async function migrate({ to, dryRun, source = createAdapter('s3'), target = createAdapter(to) }) {
+    const records = {};
+    for (const collection of Object.keys(COLLECTIONS)) {
+        records[collection] = await source.list(collection);
+    }
+    console.log(`Found ${Object.entries(records).map(([collection, list]) => `${list.length} ${collection}`).join(', ')} in s3://${process.env.BUCKET_NAME}`);
+
+    // Bookings for meetings that no longer exist can't be reached by the app, leave them behind
+    const meetingIds = new Set(records.meetings.map(m => m.id));
+    const orphaned = records.bookings.filter(b => !meetingIds.has(b.meetingId));
+    if (orphaned.length > 0) {
+        console.warn(`Skipping ${orphaned.length} bookings for deleted meetings`);
+        records.bookings = records.bookings.filter(b => meetingIds.has(b.meetingId));
+    }
+
+    if (dryRun) {
+        console.log('Dry run, nothing written');
+        return null;
+    }
+
+    const copied = {};
+    for (const [collection, { partitionKey }] of Object.entries(COLLECTIONS)) {
+        copied[collection] = partitionKey
+            ? await copyPartitions(records[collection], target, collection)
+            : await copyRecords(records[collection], target, collection);
+    }
+
+    console.log(`Copied ${Object.entries(copied).map(([collection, count]) => `${count} ${collection}`).join(', ')} to ${to}`);
+    return copied;
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => migrate(parseArgs(process.argv.slice(2))))
+        .catch(error => {
+            console.error('Migration failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate };
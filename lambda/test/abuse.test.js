@@ -0,0 +1,146 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+let createSessionToken;
+let createChallenge;
+let verifyChallenge;
+let useChallenge;
+let solves;
+let meetingsHandler;
+let bookingsHandler;
+let adminHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-cancel-secret';
+    process.env.BOOKINGS_PER_IP = '3';
+    process.env.BOOKINGS_PER_EMAIL = '2';
+    process.env.BLOCKED_EMAIL_DOMAINS = 'spam.example';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    ({ createChallenge, verifyChallenge, useChallenge, solves } = require('../lib/challenge'));
+    meetingsHandler = require('../meetings').handler;
+    bookingsHandler = require('../bookings').handler;
+    adminHandler = require('../admin').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+
+function book(body, sourceIp) {
+    return bookingsHandler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify(body),
+        ...(sourceIp && { requestContext: { identity: { sourceIp } } })
+    });
+}
+
+test('responses only name origins on the allowlist', async () => {
+    process.env.ALLOWED_ORIGINS = 'https://bookings.example.com, https://d123.cloudfront.net/';
+    try {
+        const allowed = await meetingsHandler({ httpMethod: 'OPTIONS', headers: { origin: 'https://d123.cloudfront.net' } });
+        assert.strictEqual(allowed.headers['Access-Control-Allow-Origin'], 'https://d123.cloudfront.net');
+        assert.strictEqual(allowed.headers.Vary, 'Origin');
+
+        const other = await meetingsHandler({ httpMethod: 'GET', headers: { Origin: 'https://evil.example' } });
+        assert.strictEqual(other.statusCode, 200);
+        assert.strictEqual(other.headers['Access-Control-Allow-Origin'], undefined);
+    } finally {
+        delete process.env.ALLOWED_ORIGINS;
+    }
+
+    const open = await bookingsHandler({ httpMethod: 'OPTIONS', headers: { Origin: 'https://evil.example' } });
+    assert.strictEqual(open.headers['Access-Control-Allow-Origin'], '*');
+});
+
+test('proof-of-work challenges must be signed, recent and solved', () => {
+    const now = new Date('2030-01-01T12:00:00Z');
+    const { challenge } = createChallenge(now, 8);
+    let nonce = 0;
+    while (!solves(challenge, String(nonce), 8)) {
+        nonce++;
+    }
+
+    assert.strictEqual(verifyChallenge(challenge, nonce, now, 8), null);
+    assert.strictEqual(verifyChallenge(challenge, nonce, now, 0), null);
+    assert.ok(verifyChallenge(undefined, undefined, now, 8));
+    assert.ok(verifyChallenge(challenge.replace(/^\d+/, '1'), nonce, now, 8));
+    assert.match(verifyChallenge(challenge, nonce, new Date(now.getTime() + 11 * 60 * 1000), 8), /expired/);
+    assert.ok(verifyChallenge(challenge, nonce, now, 12));
+});
+
+test('a solved challenge can only be used once', async () => {
+    const repository = require('../lib/repository').getRepository();
+    const now = new Date();
+    const { challenge } = createChallenge(now, 8);
+    let nonce = 0;
+    while (!solves(challenge, String(nonce), 8)) {
+        nonce++;
+    }
+
+    assert.strictEqual(await useChallenge(repository, challenge, nonce, now, 8), null);
+    assert.match(await useChallenge(repository, challenge, nonce, now, 8), /already been sent/);
+    assert.strictEqual(await useChallenge(repository, undefined, undefined, now, 0), null);
+});
+
+test('each client\'s attempts are their own document holding only the current window', async () => {
+    const { consumeRateLimit } = require('../lib/abuse');
+    const { COLLECTIONS, createRepository } = require('../lib/repository');
+    const { createDocumentAdapter } = require('../lib/adapters/document');
+    const { createLocalStore } = require('../lib/adapters/local');
+    const store = createLocalStore();
+    const repository = createRepository(createDocumentAdapter(COLLECTIONS, store));
+
+    const now = new Date('2030-01-01T12:00:00Z');
+    const nextHour = new Date('2030-01-01T13:00:00Z');
+    assert.deepStrictEqual(await consumeRateLimit(repository, 'ip', '198.51.100.1', 1, now), { allowed: true });
+    assert.strictEqual((await consumeRateLimit(repository, 'ip', '198.51.100.1', 1, now)).allowed, false);
+    assert.deepStrictEqual(await consumeRateLimit(repository, 'ip', '198.51.100.2', 1, now), { allowed: true });
+    assert.deepStrictEqual(await consumeRateLimit(repository, 'ip', '198.51.100.1', 1, nextHour), { allowed: true });
+
+    const keys = await store.listKeys('rateLimits/');
+    assert.strictEqual(keys.length, 2);
+    assert.strictEqual(await store.getJson('rateLimits.json', null), null);
+    const documents = await Promise.all(keys.map(key => store.getJson(key)));
+    assert.ok(documents.every(records => records.length === 1));
+    assert.ok(documents.some(records => records[0].windowStart === nextHour.getTime()));
+});
+
+test('bots, throwaway addresses and repeat attempts are refused and counted', async () => {
+    const { meeting } = JSON.parse((await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ title: 'Open day', date: '2030-12-01', time: '10:00', duration: 60 })
+    })).body);
+    const meetingId = meeting.id;
+
+    assert.strictEqual((await book({ meetingId, email: 'bot@example.com', website: 'http://spam' })).statusCode, 400);
+    assert.strictEqual((await book({ meetingId, email: 'someone@mailinator.com' })).statusCode, 400);
+    assert.strictEqual((await book({ meetingId, email: 'someone@eu.spam.example' })).statusCode, 400);
+
+    // Two attempts per email, three per IP
+    assert.strictEqual((await book({ meetingId, email: 'keen@example.com' }, '198.51.100.7')).statusCode, 201);
+    assert.strictEqual((await book({ meetingId, email: 'keen@example.com' }, '198.51.100.8')).statusCode, 400);
+    const emailLimited = await book({ meetingId, email: 'KEEN@example.com' }, '198.51.100.9');
+    assert.strictEqual(emailLimited.statusCode, 429);
+    assert.ok(Number(emailLimited.headers['Retry-After']) > 0);
+
+    assert.strictEqual((await book({ meetingId, email: 'a@example.com' }, '198.51.100.7')).statusCode, 201);
+    assert.strictEqual((await book({ meetingId, email: 'b@example.com' }, '198.51.100.7')).statusCode, 201);
+    assert.strictEqual((await book({ meetingId, email: 'c@example.com' }, '198.51.100.7')).statusCode, 429);
+
+    const stats = JSON.parse((await adminHandler({ httpMethod: 'GET', path: '/admin', headers: ownerHeaders() })).body);
+    assert.deepStrictEqual(stats.rejectedBookings.byReason, {
+        honeypot: 1,
+        challenge: 0,
+        blockedDomain: 2,
+        ipRateLimit: 1,
+        emailRateLimit: 1
+    });
+    assert.strictEqual(stats.rejectedBookings.today, 5);
+});
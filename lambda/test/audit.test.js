@@ -0,0 +1,116 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+let createSessionToken;
+let redactEvent;
+let meetingsHandler;
+let bookingsHandler;
+let adminHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-cancel-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    redactEvent = require('../lib/redact').redactEvent;
+    meetingsHandler = require('../meetings').handler;
+    bookingsHandler = require('../bookings').handler;
+    adminHandler = require('../admin').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+const organiserHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'oscar', username: 'Oscar', role: 'organiser' })}`
+});
+
+async function auditLog(query, headers = ownerHeaders()) {
+    const response = await adminHandler({ httpMethod: 'GET', path: '/admin/audit', headers, queryStringParameters: query });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+test('logged events never carry passwords, tokens or codes', () => {
+    const redacted = redactEvent({
+        httpMethod: 'POST',
+        headers: { Authorization: 'Bearer secret-session', 'X-Admin-Password': 'hunter2', 'Content-Type': 'application/json' },
+        multiValueHeaders: { 'x-admin-password': ['hunter2'] },
+        queryStringParameters: { token: 'cancel-token', meetingId: 'm1' },
+        body: JSON.stringify({ username: 'olive', password: 'hunter2', code: '123456' })
+    });
+
+    assert.strictEqual(redacted.headers.Authorization, '[redacted]');
+    assert.strictEqual(redacted.headers['X-Admin-Password'], '[redacted]');
+    assert.strictEqual(redacted.multiValueHeaders['x-admin-password'], '[redacted]');
+    assert.strictEqual(redacted.headers['Content-Type'], 'application/json');
+    assert.deepStrictEqual(redacted.queryStringParameters, { token: '[redacted]', meetingId: 'm1' });
+    assert.deepStrictEqual(JSON.parse(redacted.body), { username: 'olive', password: '[redacted]', code: '[redacted]' });
+    assert.strictEqual(redactEvent({ body: 'password=hunter2' }).body, '[redacted]');
+});
+
+test('meeting and booking changes are recorded with who made them', async () => {
+    const { meeting } = JSON.parse((await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ title: 'Audit walk', date: '2030-10-01', time: '10:00', duration: 60 })
+    })).body);
+
+    const booked = JSON.parse((await bookingsHandler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({ meetingId: meeting.id, email: 'ann@example.com' })
+    })).body);
+    await bookingsHandler({
+        httpMethod: 'POST',
+        path: '/bookings/cancel',
+        headers: {},
+        body: JSON.stringify({ bookingId: booked.booking.id, token: booked.cancelToken })
+    });
+    const other = JSON.parse((await bookingsHandler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({ meetingId: meeting.id, email: 'bob@example.com' })
+    })).body);
+    await bookingsHandler({
+        httpMethod: 'DELETE',
+        headers: ownerHeaders(),
+        pathParameters: { id: other.booking.id }
+    });
+    await meetingsHandler({
+        httpMethod: 'PUT',
+        headers: ownerHeaders(),
+        pathParameters: { id: meeting.id },
+        body: JSON.stringify({ title: 'Audit ramble' })
+    });
+
+    const forMeeting = await auditLog({ meetingId: meeting.id });
+    assert.strictEqual(forMeeting.statusCode, 200);
+    assert.deepStrictEqual(forMeeting.entries.map(e => e.action).reverse(), [
+        'meeting.create',
+        'booking.create',
+        'booking.cancel',
+        'booking.create',
+        'booking.delete',
+        'meeting.update',
+        'booking.update',
+        'booking.update'
+    ]);
+    const update = forMeeting.entries[2];
+    assert.strictEqual(update.before.title, 'Audit walk');
+    assert.strictEqual(update.after.title, 'Audit ramble');
+    assert.deepStrictEqual(update.actor, { type: 'admin', id: 'olive', username: 'Olive', role: 'owner' });
+
+    const forAnn = await auditLog({ email: 'ANN@example.com' });
+    assert.deepStrictEqual(forAnn.entries.map(e => e.action), ['booking.update', 'booking.cancel', 'booking.create']);
+    assert.deepStrictEqual(forAnn.entries[2].actor, { type: 'attendee', email: 'ann@example.com' });
+    assert.strictEqual(forAnn.entries[2].after.verification, undefined);
+
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual((await auditLog({ meetingId: meeting.id, from: today, to: today })).total, 8);
+    assert.strictEqual((await auditLog({ meetingId: meeting.id, to: '2020-01-01' })).total, 0);
+    assert.strictEqual((await auditLog({ from: '2030-02-01', to: '2030-01-01' })).statusCode, 400);
+    assert.strictEqual((await auditLog({}, organiserHeaders())).statusCode, 403);
+});
@@ -0,0 +1,104 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+const PASSWORD = 'correct horse battery';
+
+let auth;
+let adminHandler;
+let createAdmin;
+
+before(async () => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+
+    auth = require('../lib/auth');
+    adminHandler = require('../admin').handler;
+    createAdmin = require('../scripts/create-admin').createAdmin;
+
+    await createAdmin({ username: 'Pete', password: PASSWORD, role: 'owner' });
+    await createAdmin({ username: 'locked', password: PASSWORD, role: 'owner' });
+
+    mock.method(console, 'log', () => {});
+});
+
+function login(username, password) {
+    return adminHandler({
+        httpMethod: 'POST',
+        path: '/admin/login',
+        headers: {},
+        body: JSON.stringify({ username, password })
+    });
+}
+
+function getStats(headers, queryStringParameters = null) {
+    return adminHandler({ httpMethod: 'GET', path: '/admin', headers, queryStringParameters });
+}
+
+test('passwords are stored hashed and verified', async () => {
+    const hash = await auth.hashPassword(PASSWORD);
+    assert.ok(!hash.includes(PASSWORD));
+    assert.strictEqual(await auth.verifyPassword(PASSWORD, hash), true);
+    assert.strictEqual(await auth.verifyPassword('wrong password', hash), false);
+    assert.strictEqual(await auth.verifyPassword(PASSWORD, 'not-a-hash'), false);
+});
+
+test('a successful login returns a token the admin endpoints accept', async () => {
+    const response = await login('pete', PASSWORD);
+    assert.strictEqual(response.statusCode, 200);
+
+    const { token, admin } = JSON.parse(response.body);
+    assert.strictEqual(admin.username, 'Pete');
+
+    const stats = await getStats({ authorization: `Bearer ${token}` });
+    assert.strictEqual(stats.statusCode, 200);
+});
+
+test('the login password is not written to the logs', async () => {
+    console.log.mock.resetCalls();
+    await login('pete', PASSWORD);
+    const logged = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.ok(!logged.includes(PASSWORD));
+});
+
+test('wrong passwords and unknown users are turned away the same way', async () => {
+    const wrongPassword = await login('pete', 'not the password');
+    const unknownUser = await login('nobody', PASSWORD);
+    assert.strictEqual(wrongPassword.statusCode, 401);
+    assert.strictEqual(unknownUser.statusCode, 401);
+    assert.strictEqual(wrongPassword.body, unknownUser.body);
+});
+
+test('repeated failures lock the account', async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await login('locked', 'guess ' + i)).statusCode, 401);
+    }
+
+    const response = await login('locked', PASSWORD);
+    assert.strictEqual(response.statusCode, 429);
+});
+
+test('requests without a valid session are rejected', async () => {
+    assert.strictEqual((await getStats({})).statusCode, 401);
+    assert.strictEqual((await getStats({ Authorization: 'Bearer nonsense' })).statusCode, 401);
+
+    const { token } = JSON.parse((await login('pete', PASSWORD)).body);
+    const [header, , signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sub: 'pete', exp: 9999999999 })).toString('base64url');
+    assert.strictEqual((await getStats({ Authorization: `Bearer ${header}.${forgedPayload}.${signature}` })).statusCode, 401);
+});
+
+test('expired sessions are rejected', async () => {
+    const token = auth.createSessionToken({ id: 'pete', username: 'Pete' });
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 2 * 60 * 60 * 1000 });
+    try {
+        assert.strictEqual(auth.verifySessionToken(token), null);
+    } finally {
+        mock.timers.reset();
+    }
+});
+
+test('credentials in the query string are refused', async () => {
+    const { token } = JSON.parse((await login('pete', PASSWORD)).body);
+    const response = await getStats({ Authorization: `Bearer ${token}` }, { password: PASSWORD });
+    assert.strictEqual(response.statusCode, 400);
+});
@@ -0,0 +1,105 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { parseCSV } = require('../lib/csv');
+const { headersFor, ownerHeaders, meetingsHandler, bookingsHandler, adminHandler, call } = require('./support/handlers');
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+const organiserHeaders = () => headersFor({ id: 'oscar', username: 'Oscar', role: 'organiser' });
+
+// Meetings start in half an hour, so they still take bookings and check-in has opened
+async function createMeeting(fields) {
+    const startsAt = new Date(Date.now() + 30 * 60 * 1000).toISOString();
+    const { body } = await call(meetingsHandler, {
+        httpMethod: 'POST',
+        body: JSON.stringify({ date: startsAt.slice(0, 10), time: startsAt.slice(11, 16), timeZone: 'UTC', duration: 60, ...fields })
+    });
+    return body.meeting;
+}
+
+const book = async (meetingId, email) => (await call(bookingsHandler, {
+    httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId, email })
+})).body;
+
+const setAttendance = (id, attendance, headers = ownerHeaders()) => call(bookingsHandler, {
+    httpMethod: 'PUT',
+    path: `/bookings/${id}/attendance`,
+    pathParameters: { id },
+    headers,
+    body: JSON.stringify({ attendance })
+});
+
+const checkIn = (token) => call(bookingsHandler, { httpMethod: 'POST', path: '/bookings/check-in', body: JSON.stringify({ token }) });
+
+test('admins mark and clear attendance once check-in has opened, for their own meetings', async () => {
+    const meeting = await createMeeting({ title: 'Pottery' });
+    const { booking } = await book(meeting.id, 'clay@example.com');
+
+    const present = await setAttendance(booking.id, 'present');
+    assert.strictEqual(present.statusCode, 200);
+    assert.strictEqual(present.body.booking.attendance, 'present');
+    assert.strictEqual(present.body.booking.attendanceMarkedBy, 'Olive');
+
+    assert.strictEqual((await setAttendance(booking.id, 'asleep')).statusCode, 400);
+    assert.strictEqual((await setAttendance(booking.id, 'no-show', organiserHeaders())).statusCode, 403);
+
+    const cleared = await setAttendance(booking.id, null);
+    assert.strictEqual(cleared.body.booking.attendance, undefined);
+
+    const upcoming = await createMeeting({ title: 'Future pottery', date: '2031-05-01' });
+    const { booking: early } = await book(upcoming.id, 'early@example.com');
+    const tooEarly = await setAttendance(early.id, 'present');
+    assert.strictEqual(tooEarly.statusCode, 400);
+    assert.strictEqual(tooEarly.body.error, 'Check-in opens 60 minutes before the meeting starts');
+});
+
+test('the check-in code from the confirmation checks the attendee in once', async () => {
+    const meeting = await createMeeting({ title: 'Archery' });
+    const { booking, checkInToken, cancelToken } = await book(meeting.id, 'bow@example.com');
+    assert.ok(checkInToken);
+
+    const first = await checkIn(checkInToken);
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(first.body.booking.id, booking.id);
+    assert.strictEqual(first.body.meetingTitle, 'Archery');
+    assert.strictEqual((await checkIn(checkInToken)).body.message, 'bow@example.com is already checked in');
+
+    // A cancel link is signed for something else
+    assert.strictEqual((await checkIn(cancelToken)).statusCode, 400);
+    assert.strictEqual((await checkIn(`${checkInToken}x`)).statusCode, 400);
+});
+
+test('stats and exports report attendance rates and no-shows', async () => {
+    const meeting = await createMeeting({ title: 'Rowing' });
+    const present = (await book(meeting.id, 'stroke@example.com')).booking;
+    const absent = (await book(meeting.id, 'bow-side@example.com')).booking;
+    const late = await book(meeting.id, 'cox@example.com');
+
+    await setAttendance(present.id, 'present');
+    await setAttendance(absent.id, 'no-show');
+    await call(bookingsHandler, { httpMethod: 'POST', path: '/bookings/cancel', headers: {}, body: JSON.stringify({ token: late.cancelToken }) });
+    // Cancelled bookings can only be late cancels
+    assert.strictEqual((await setAttendance(late.booking.id, 'present')).statusCode, 400);
+    await setAttendance(late.booking.id, 'late-cancel');
+
+    const stats = (await call(adminHandler, { httpMethod: 'GET', path: '/admin/stats' })).body;
+    const rowing = stats.attendanceByMeeting.find(m => m.id === meeting.id);
+    assert.deepStrictEqual(
+        { present: rowing.present, noShows: rowing.noShows, lateCancels: rowing.lateCancels, attendanceRate: rowing.attendanceRate },
+        { present: 1, noShows: 1, lateCancels: 1, attendanceRate: 33 }
+    );
+    assert.ok(stats.frequentNoShows.some(a => a.email === 'bow-side@example.com'));
+
+    const exported = await adminHandler({
+        httpMethod: 'GET',
+        path: '/admin/export',
+        headers: ownerHeaders(),
+        queryStringParameters: { type: 'attendees', meetingId: meeting.id }
+    });
+    const [header, ...rows] = parseCSV(exported.body).records.map(record => record.fields);
+    assert.deepStrictEqual(header, ['Email', 'Bookings', 'Present', 'No-shows', 'Late Cancels', 'Attendance Rate (%)']);
+    assert.deepStrictEqual(rows[0], ['bow-side@example.com', '1', '0', '1', '0', '0']);
+    assert.strictEqual(rows.length, 3);
+});
@@ -0,0 +1,139 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { startLocalS3 } = require('./support/local-s3');
+
+let localS3;
+let adminHeaders;
+let storage;
+let bookingsHandler;
+let meetingsHandler;
+
+before(async () => {
+    localS3 = await startLocalS3();
+
+    // The handlers read their configuration when first required
+    process.env.S3_ENDPOINT = localS3.endpoint;
+    process.env.BUCKET_NAME = 'test-bucket';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-secret';
+    process.env.AWS_ACCESS_KEY_ID = 'test';
+    process.env.AWS_SECRET_ACCESS_KEY = 'test';
+
+    storage = require('../lib/storage');
+    const { createAdmin } = require('../scripts/create-admin');
+    const { loginAdmin } = require('../lib/auth');
+    bookingsHandler = require('../bookings').handler;
+    meetingsHandler = require('../meetings').handler;
+
+    await createAdmin({ username: 'tester', password: 'correct horse battery', role: 'owner' });
+    const { token } = await loginAdmin('tester', 'correct horse battery');
+    adminHeaders = { Authorization: `Bearer ${token}` };
+
+    // Handlers log every event, keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+after(async () => {
+    await localS3.close();
+});
+
+async function createMeeting(fields) {
+    const response = await meetingsHandler({
+        httpMethod: 'POST',
+        headers: adminHeaders,
+        body: JSON.stringify({ title: 'Race test', date: '2030-01-01', time: '10:00', duration: 60, ...fields })
+    });
+    assert.strictEqual(response.statusCode, 201);
+    return JSON.parse(response.body).meeting;
+}
+
+function book(meetingId, email, extra = {}) {
+    return bookingsHandler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({ meetingId, email, ...extra })
+    });
+}
+
+async function bookingsFor(meetingId) {
+    const bookings = await storage.getJson('bookings.json', []);
+    return bookings.filter(b => b.meetingId === meetingId);
+}
+
+test('concurrent updates to one object are all applied', async () => {
+    await Promise.all(Array.from({ length: 10 }, () =>
+        storage.updateJson('counter.json', counter => {
+            counter.value += 1;
+        }, { value: 0 })
+    ));
+
+    const counter = await storage.getJson('counter.json');
+    assert.strictEqual(counter.value, 10);
+});
+
+test('racing bookings never exceed maxAttendees', async () => {
+    const meeting = await createMeeting({ maxAttendees: 3 });
+
+    const responses = await Promise.all(
+        Array.from({ length: 10 }, (_, i) => book(meeting.id, `racer${i}@example.com`))
+    );
+
+    const statusCodes = responses.map(r => r.statusCode);
+    assert.strictEqual(statusCodes.filter(code => code === 201).length, 3);
+    assert.strictEqual(statusCodes.filter(code => code === 400).length, 7);
+
+    const stored = await bookingsFor(meeting.id);
+    assert.strictEqual(stored.length, 3);
+});
+
+test('the same email booking twice at once gets one booking', async () => {
+    const meeting = await createMeeting({});
+
+    const responses = await Promise.all(
+        Array.from({ length: 6 }, () => book(meeting.id, 'double@example.com'))
+    );
+
+    assert.strictEqual(responses.filter(r => r.statusCode === 201).length, 1);
+    const stored = await bookingsFor(meeting.id);
+    assert.strictEqual(stored.length, 1);
+});
+
+test('racing waitlist entries get distinct positions', async () => {
+    const meeting = await createMeeting({ maxAttendees: 2 });
+
+    const responses = await Promise.all(
+        Array.from({ length: 8 }, (_, i) => book(meeting.id, `queue${i}@example.com`, { waitlist: true }))
+    );
+    assert.ok(responses.every(r => r.statusCode === 201));
+
+    const stored = await bookingsFor(meeting.id);
+    assert.strictEqual(stored.filter(b => b.status === 'confirmed').length, 2);
+    assert.strictEqual(stored.filter(b => b.status === 'waitlisted').length, 6);
+
+    const positions = responses
+        .map(r => JSON.parse(r.body).waitlistPosition)
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+    assert.deepStrictEqual(positions, [1, 2, 3, 4, 5, 6]);
+});
+
+test('cancelling and booking at the same time keeps the count right', async () => {
+    const meeting = await createMeeting({ maxAttendees: 2 });
+    const first = JSON.parse((await book(meeting.id, 'first@example.com')).body);
+    await book(meeting.id, 'second@example.com');
+
+    await Promise.all([
+        bookingsHandler({
+            httpMethod: 'POST',
+            path: '/bookings/cancel',
+            headers: {},
+            body: JSON.stringify({ token: first.cancelToken })
+        }),
+        book(meeting.id, 'third@example.com', { waitlist: true })
+    ]);
+
+    const stored = await bookingsFor(meeting.id);
+    assert.strictEqual(stored.filter(b => b.status === 'confirmed').length, 2);
+    assert.strictEqual(stored.find(b => b.email === 'first@example.com').status, 'cancelled');
+});
@@ -0,0 +1,69 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { meetingsHandler, bookingsHandler, call, createMeeting: postMeeting } = require('./support/handlers');
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+const createMeeting = (fields) => postMeeting({ date: '2031-06-01', timeZone: 'UTC', ...fields });
+
+const book = (meetingId, email) => call(bookingsHandler, { httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId, email }) });
+
+test('meetings at the same location and time clash unless the organiser overrides it', async () => {
+    const { body: { meeting: pottery } } = await createMeeting({ title: 'Pottery', time: '10:00', duration: 120, location: 'Studio 1' });
+
+    const clash = await createMeeting({ title: 'Life drawing', time: '11:00', location: ' studio 1 ' });
+    assert.strictEqual(clash.statusCode, 409);
+    assert.strictEqual(clash.body.code, 'locationConflict');
+    assert.deepStrictEqual(clash.body.conflicts.map(m => m.id), [pottery.id]);
+
+    // Back to back, elsewhere, or without a location is fine
+    assert.strictEqual((await createMeeting({ title: 'Glazing', time: '12:00', location: 'Studio 1' })).statusCode, 201);
+    assert.strictEqual((await createMeeting({ title: 'Weaving', time: '10:30', location: 'Studio 2' })).statusCode, 201);
+    assert.strictEqual((await createMeeting({ title: 'Walk', time: '10:30' })).statusCode, 201);
+
+    const overridden = await createMeeting({ title: 'Life drawing', time: '11:00', location: 'Studio 1', allowConflicts: true });
+    assert.strictEqual(overridden.statusCode, 201);
+    assert.deepStrictEqual(overridden.body.conflicts.map(m => m.id), [pottery.id]);
+
+    // Moving a meeting into a clash is checked too, other edits are not held up by it
+    const { body: { meeting: spinning } } = await createMeeting({ title: 'Spinning', time: '15:00', location: 'Studio 1' });
+    const update = (changes) => call(meetingsHandler, { httpMethod: 'PUT', pathParameters: { id: spinning.id }, body: JSON.stringify(changes) });
+    assert.strictEqual((await update({ time: '09:30' })).statusCode, 409);
+    assert.strictEqual((await update({ time: '09:30', allowConflicts: true })).statusCode, 200);
+    assert.strictEqual((await update({ title: 'Spinning wool' })).statusCode, 200);
+
+    // A series is checked occurrence by occurrence against what is already there
+    const series = await createMeeting({
+        title: 'Wheel club',
+        date: '2031-05-25',
+        time: '10:00',
+        location: 'Studio 1',
+        recurrence: { frequency: 'weekly', count: 3 }
+    });
+    assert.strictEqual(series.statusCode, 409);
+    assert.deepStrictEqual(series.body.conflicts.map(m => m.title).sort(), ['Pottery', 'Spinning wool']);
+});
+
+test('attendees are told when a booking overlaps one they already hold', async () => {
+    const { body: { meeting: choir } } = await createMeeting({ title: 'Choir', date: '2031-07-01', time: '18:00', duration: 90 });
+    const { body: { meeting: quiz } } = await createMeeting({ title: 'Quiz', date: '2031-07-01', time: '19:00' });
+    const { body: { meeting: supper } } = await createMeeting({ title: 'Supper', date: '2031-07-01', time: '19:30' });
+
+    assert.strictEqual((await book(choir.id, 'sam@example.com')).statusCode, 201);
+    const clash = await book(quiz.id, 'Sam@Example.com');
+    assert.strictEqual(clash.statusCode, 409);
+    assert.strictEqual(clash.body.code, 'bookingConflict');
+    assert.strictEqual(clash.body.conflictingBooking.meetingId, choir.id);
+    assert.match(clash.body.error, /Choir on 2031-07-01 at 18:00/);
+
+    // The choir ends at 19:30, so supper is free, and someone else can have the quiz
+    assert.strictEqual((await book(supper.id, 'sam@example.com')).statusCode, 201);
+    assert.strictEqual((await book(quiz.id, 'alex@example.com')).statusCode, 201);
+
+    // A deleted booking no longer holds the time, though supper still overlaps the quiz
+    const mine = (await call(bookingsHandler, { httpMethod: 'GET' })).body.find(b => b.meetingId === choir.id && b.email === 'sam@example.com');
+    assert.strictEqual((await call(bookingsHandler, { httpMethod: 'DELETE', pathParameters: { id: mine.id } })).statusCode, 200);
+    assert.strictEqual((await book(quiz.id, 'sam@example.com')).body.conflictingBooking.meetingId, supper.id);
+});
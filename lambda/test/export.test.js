@@ -0,0 +1,115 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { parseCSV, readField, formatCSV } = require('../lib/csv');
+
+let createSessionToken;
+let meetingsHandler;
+let bookingsHandler;
+let adminHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-cancel-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    meetingsHandler = require('../meetings').handler;
+    bookingsHandler = require('../bookings').handler;
+    adminHandler = require('../admin').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+
+const exportData = (query) => adminHandler({ httpMethod: 'GET', path: '/admin/export', headers: ownerHeaders(), queryStringParameters: query });
+
+async function createMeeting(fields) {
+    const { meeting } = JSON.parse((await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ time: '10:00', duration: 60, ...fields })
+    })).body);
+    return meeting;
+}
+
+const book = (meetingId, email) => bookingsHandler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId, email }) });
+
+// The files in a zip, by name
+function unzip(buffer) {
+    const files = {};
+    for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034B50;) {
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+        files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+        offset = start + size;
+    }
+    return files;
+}
+
+test('CSV fields are quoted, kept when falsy and guarded against formulas', () => {
+    const csv = formatCSV([
+        { Title: 'Walk\nand talk', Count: 0, Paid: false, Note: '=HYPERLINK("http://x")' },
+        { Title: 'Swim', Extra: '-' }
+    ]);
+    assert.strictEqual(csv, 'Title,Count,Paid,Note,Extra\r\n' +
+        '"Walk\nand talk",0,false,"\'=HYPERLINK(""http://x"")",\r\n' +
+        'Swim,,,,\'-\r\n');
+
+    const [, first] = parseCSV(csv).records;
+    assert.deepStrictEqual(first.fields.map(readField), ['Walk\nand talk', '0', 'false', '=HYPERLINK("http://x")', '']);
+    assert.strictEqual(formatCSV([]), '');
+});
+
+test('exports are filtered by meeting, date range and upcoming, as CSV or JSON', async () => {
+    const hike = await createMeeting({ title: 'Hike', date: '2031-03-01' });
+    const supper = await createMeeting({ title: 'Supper', date: '2031-04-01' });
+    const past = await createMeeting({ title: 'Past picnic', date: '2020-04-01' });
+    await book(hike.id, 'hiker@example.com');
+    await book(supper.id, 'cook@example.com');
+
+    const csv = await exportData({ type: 'bookings', meetingId: hike.id });
+    assert.strictEqual(csv.statusCode, 200);
+    assert.strictEqual(csv.headers['Content-Type'], 'text/csv; charset=utf-8');
+    const rows = parseCSV(csv.body).records;
+    assert.strictEqual(rows.length, 2);
+    assert.ok(rows[1].fields.includes('hiker@example.com'));
+
+    const json = JSON.parse((await exportData({ type: 'combined', format: 'json', from: '2031-03-15', to: '2031-12-31' })).body);
+    assert.deepStrictEqual(json.filters, { from: '2031-03-15', to: '2031-12-31' });
+    assert.deepStrictEqual(json.meetings.map(m => m['Title']), ['Supper']);
+    assert.deepStrictEqual(json.bookings.map(b => b['Email']), ['cook@example.com']);
+    assert.strictEqual(json.meetings[0]['Waitlist'], 0);
+
+    const upcoming = JSON.parse((await exportData({ type: 'meetings', format: 'json', upcoming: 'true' })).body);
+    assert.ok(upcoming.meetings.some(m => m['Meeting ID'] === hike.id));
+    assert.ok(!upcoming.meetings.some(m => m['Meeting ID'] === past.id));
+
+    assert.strictEqual((await exportData({ type: 'combined', format: 'csv' })).statusCode, 400);
+    assert.strictEqual((await exportData({ format: 'pdf' })).statusCode, 400);
+    assert.strictEqual((await exportData({ from: '2031-05-01', to: '2031-04-01' })).statusCode, 400);
+});
+
+test('the combined report is an Excel workbook with a sheet each for bookings and meetings', async () => {
+    const meeting = await createMeeting({ title: '=cmd|calc', date: '2031-06-01', maxAttendees: 5 });
+    await book(meeting.id, 'sheet@example.com');
+
+    const response = await exportData({ type: 'combined', meetingId: meeting.id });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.isBase64Encoded, true);
+    assert.strictEqual(response.headers['Content-Type'], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.match(response.headers['Content-Disposition'], /complete-export-.*\.xlsx/);
+
+    const files = unzip(Buffer.from(response.body, 'base64'));
+    assert.match(files['xl/workbook.xml'], /<sheet name="Bookings" sheetId="1" r:id="rId1"\/><sheet name="Meetings" sheetId="2" r:id="rId2"\/>/);
+    assert.ok(files['xl/worksheets/sheet1.xml'].includes('sheet@example.com'));
+    // Text is never a formula, and numbers stay numbers
+    assert.ok(files['xl/worksheets/sheet2.xml'].includes('t="inlineStr"><is><t xml:space="preserve">=cmd|calc</t>'));
+    assert.ok(!files['xl/worksheets/sheet2.xml'].includes('<f>'));
+    assert.match(files['xl/worksheets/sheet2.xml'], /<c r="[A-Z]+2"><v>5<\/v><\/c>/);
+});
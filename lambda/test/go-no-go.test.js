@@ -0,0 +1,113 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+let createSessionToken;
+let getNotifier;
+let repository;
+let meetingsHandler;
+let bookingsHandler;
+let adminHandler;
+let evaluateMeetings;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-cancel-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    getNotifier = require('../lib/notifications').getNotifier;
+    repository = require('../lib/repository').getRepository();
+    meetingsHandler = require('../meetings').handler;
+    bookingsHandler = require('../bookings').handler;
+    adminHandler = require('../admin').handler;
+    evaluateMeetings = require('../go-no-go').evaluateMeetings;
+
+    mock.method(console, 'log', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+
+async function createMeeting(fields) {
+    const response = await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ duration: 60, ...fields })
+    });
+    return JSON.parse(response.body).meeting;
+}
+
+function book(meetingId, email) {
+    return bookingsHandler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId, email }) });
+}
+
+function subjectsSentTo(email) {
+    return getNotifier().transport.sent.filter(message => message.to === email).map(message => message.subject);
+}
+
+test('meetings short of their minimum show how many more they need', async () => {
+    const meeting = await createMeeting({ title: 'Book club', date: '2030-08-10', time: '19:00', minAttendees: 3 });
+    await book(meeting.id, 'reader@example.com');
+
+    const listed = JSON.parse((await meetingsHandler({ httpMethod: 'GET', headers: {} })).body)
+        .find(m => m.id === meeting.id);
+    assert.strictEqual(listed.attendeesNeeded, 2);
+    assert.strictEqual(listed.decisionAt, '2030-08-09T19:00:00.000Z');
+
+    const stats = JSON.parse((await adminHandler({ httpMethod: 'GET', path: '/admin', headers: ownerHeaders() })).body);
+    const atRisk = stats.atRiskMeetings.find(m => m.id === meeting.id);
+    assert.strictEqual(atRisk.attendeesNeeded, 2);
+    assert.strictEqual(atRisk.bookingCount, 1);
+});
+
+test('meetings are confirmed or cancelled at the cutoff and attendees are told', async () => {
+    const now = new Date('2030-09-01T12:00:00Z');
+    const popular = await createMeeting({ title: 'Salsa', date: '2030-09-02', time: '10:00', minAttendees: 2 });
+    const quiet = await createMeeting({ title: 'Knitting', date: '2030-09-02', time: '11:00', minAttendees: 3 });
+    const later = await createMeeting({ title: 'Running', date: '2030-09-05', time: '10:00', minAttendees: 5 });
+    await book(popular.id, 'dancer1@example.com');
+    await book(popular.id, 'dancer2@example.com');
+    await book(quiet.id, 'knitter@example.com');
+
+    const first = await evaluateMeetings({ now, hoursBefore: 24 });
+    const second = await evaluateMeetings({ now, hoursBefore: 24 });
+
+    assert.deepStrictEqual(first, { confirmed: 1, cancelled: 1 });
+    assert.deepStrictEqual(second, { confirmed: 0, cancelled: 0 });
+    assert.strictEqual((await repository.meetings.get(popular.id)).status, 'confirmed');
+    assert.strictEqual((await repository.meetings.get(quiet.id)).status, 'cancelled');
+    assert.strictEqual((await repository.meetings.get(later.id)).status, undefined);
+
+    assert.ok(subjectsSentTo('dancer1@example.com').includes('Going ahead: Salsa'));
+    assert.ok(subjectsSentTo('knitter@example.com').includes('Cancelled: Knitting'));
+
+    const rejected = await book(quiet.id, 'latecomer@example.com');
+    assert.strictEqual(rejected.statusCode, 400);
+
+    const calendar = (await meetingsHandler({
+        httpMethod: 'GET',
+        headers: {},
+        path: `/meetings/${quiet.id}/calendar`,
+        pathParameters: { id: quiet.id }
+    })).body;
+    assert.ok(calendar.includes('METHOD:CANCEL'));
+    assert.ok(calendar.includes('STATUS:CANCELLED'));
+});
+
+test('cancelling a booking on a meeting that is not running promotes nobody', async () => {
+    const now = new Date('2030-10-01T12:00:00Z');
+    const meeting = await createMeeting({ title: 'Pottery wheel', date: '2030-10-02', time: '10:00', maxAttendees: 1 });
+    const { cancelToken } = JSON.parse((await book(meeting.id, 'thrower@example.com')).body);
+    await bookingsHandler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId: meeting.id, email: 'waiting@example.com', waitlist: true }) });
+    // More than the one seat can ever hold, so the meeting is called off
+    await repository.meetings.update(meeting.id, stored => ({ ...stored, minAttendees: 2 }));
+
+    assert.deepStrictEqual(await evaluateMeetings({ now, hoursBefore: 24 }), { confirmed: 0, cancelled: 1 });
+    const cancelled = await bookingsHandler({ httpMethod: 'POST', path: '/bookings/cancel', headers: {}, body: JSON.stringify({ token: cancelToken }) });
+    assert.strictEqual(cancelled.statusCode, 200);
+
+    const waiting = (await repository.bookings.listByMeeting(meeting.id)).find(b => b.email === 'waiting@example.com');
+    assert.strictEqual(waiting.status, 'waitlisted');
+    assert.deepStrictEqual(subjectsSentTo('waiting@example.com').filter(subject => subject.startsWith('Booked')), []);
+});
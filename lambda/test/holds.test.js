@@ -0,0 +1,123 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+let createSessionToken;
+let getNotifier;
+let repository;
+let meetingsHandler;
+let bookingsHandler;
+let expireHolds;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-cancel-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    getNotifier = require('../lib/notifications').getNotifier;
+    repository = require('../lib/repository').getRepository();
+    meetingsHandler = require('../meetings').handler;
+    bookingsHandler = require('../bookings').handler;
+    expireHolds = require('../expire-holds').expireHolds;
+
+    mock.method(console, 'log', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+
+async function createMeeting(fields) {
+    const response = await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ duration: 60, requireVerification: true, ...fields })
+    });
+    return JSON.parse(response.body).meeting;
+}
+
+async function book(meetingId, email, waitlist = false) {
+    const response = await bookingsHandler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId, email, waitlist }) });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+async function verify(bookingId, code) {
+    const response = await bookingsHandler({
+        httpMethod: 'POST',
+        path: '/bookings/verify',
+        headers: {},
+        body: JSON.stringify({ bookingId, code })
+    });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+// The code from the latest verification email sent to an address
+function codeSentTo(email) {
+    const message = getNotifier().transport.sent.filter(m => m.to === email && m.subject.startsWith('Confirm your booking')).pop();
+    return message.text.match(/^(\d{6})$/m)[1];
+}
+
+async function listed(meetingId) {
+    return JSON.parse((await meetingsHandler({ httpMethod: 'GET', headers: {} })).body).find(m => m.id === meetingId);
+}
+
+test('a held booking takes the seat but only counts once its code is confirmed', async () => {
+    const meeting = await createMeeting({ title: 'Pottery', date: '2030-11-01', time: '10:00', maxAttendees: 1 });
+
+    const held = await book(meeting.id, 'potter@example.com');
+    assert.strictEqual(held.statusCode, 201);
+    assert.strictEqual(held.verificationRequired, true);
+    assert.strictEqual(held.booking.status, 'pending');
+    assert.strictEqual(held.booking.verification, undefined);
+
+    let counts = await listed(meeting.id);
+    assert.strictEqual(counts.currentAttendees, 0);
+    assert.strictEqual(counts.spotsRemaining, 0);
+    assert.strictEqual((await book(meeting.id, 'other@example.com')).waitlistAvailable, true);
+
+    const code = codeSentTo('potter@example.com');
+    assert.strictEqual((await verify(held.booking.id, code === '000000' ? '111111' : '000000')).statusCode, 400);
+
+    const verified = await verify(held.booking.id, code);
+    assert.strictEqual(verified.statusCode, 200);
+    assert.strictEqual(verified.booking.status, 'confirmed');
+    assert.strictEqual(verified.attendeeCount, 1);
+    assert.ok(getNotifier().transport.sent.some(m => m.to === 'potter@example.com' && m.subject === 'Booked: Pottery'));
+
+    counts = await listed(meeting.id);
+    assert.strictEqual(counts.currentAttendees, 1);
+    assert.strictEqual((await verify(held.booking.id, code)).statusCode, 400);
+});
+
+test('holds that run out free their seat for the waitlist', async () => {
+    const meeting = await createMeeting({ title: 'Choir', date: '2030-11-02', time: '18:00', maxAttendees: 1 });
+
+    const seat = await book(meeting.id, 'alto@example.com');
+    const queued = await book(meeting.id, 'tenor@example.com', true);
+    assert.strictEqual(queued.booking.holdFor, 'waitlist');
+
+    const waiting = await verify(queued.booking.id, codeSentTo('tenor@example.com'));
+    assert.strictEqual(waiting.booking.status, 'waitlisted');
+
+    const summary = await expireHolds({ now: new Date(Date.now() + 31 * 60 * 1000) });
+    assert.deepStrictEqual(summary, { expired: 1, promoted: 1 });
+    assert.strictEqual((await repository.bookings.get(queued.booking.id)).status, 'confirmed');
+
+    const late = await verify(seat.booking.id, codeSentTo('alto@example.com'));
+    assert.strictEqual(late.statusCode, 410);
+});
+
+test('too many wrong codes expire the hold', async () => {
+    const meeting = await createMeeting({ title: 'Chess', date: '2030-11-03', time: '15:00', maxAttendees: 5 });
+    const held = await book(meeting.id, 'rook@example.com');
+    const wrong = codeSentTo('rook@example.com') === '999999' ? '123456' : '999999';
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+        assert.strictEqual((await verify(held.booking.id, wrong)).statusCode, 400);
+    }
+    assert.strictEqual((await verify(held.booking.id, wrong)).statusCode, 410);
+    assert.strictEqual((await repository.bookings.get(held.booking.id)).status, 'expired');
+
+    // The attendee can start again with a fresh hold
+    assert.strictEqual((await book(meeting.id, 'rook@example.com')).statusCode, 201);
+});
@@ -0,0 +1,99 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { buildCalendar, meetingEvent } = require('../lib/ical');
+
+let createSessionToken;
+let meetingsHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    meetingsHandler = require('../meetings').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+function asOwner(event) {
+    return meetingsHandler({
+        headers: { Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}` },
+        ...event
+    });
+}
+
+function getCalendar(meetingId) {
+    return meetingsHandler({
+        httpMethod: 'GET',
+        headers: {},
+        path: meetingId ? `/meetings/${meetingId}/calendar` : '/meetings/calendar',
+        pathParameters: meetingId ? { id: meetingId } : null
+    });
+}
+
+// Unfolded property values of every VEVENT in a calendar
+function parseEvents(calendar) {
+    return calendar.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1).map(block => {
+        const event = {};
+        block.split('\r\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                event[line.slice(0, index)] = line.slice(index + 1);
+            }
+        });
+        return event;
+    });
+}
+
+test('calendars escape text and fold long lines', () => {
+    const calendar = buildCalendar(meetingEvent({
+        id: 'm1',
+        title: 'Yoga, stretching; and more',
+        description: 'First line\n' + 'x'.repeat(120),
+        startsAt: '2030-01-07T18:00:00.000Z',
+        duration: 90
+    }));
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+    const [event] = parseEvents(calendar);
+    assert.strictEqual(event.SUMMARY, 'Yoga\\, stretching\\; and more');
+    assert.strictEqual(event.DESCRIPTION, 'First line\\n' + 'x'.repeat(120));
+    assert.strictEqual(event.DTSTART, '20300107T180000Z');
+    assert.strictEqual(event.DTEND, '20300107T193000Z');
+});
+
+test('a meeting keeps its UID and its SEQUENCE rises when it changes', async () => {
+    const { meeting } = JSON.parse((await asOwner({
+        httpMethod: 'POST',
+        body: JSON.stringify({ title: 'Workshop', date: '2030-02-01', time: '10:00', duration: 60 })
+    })).body);
+
+    const [before] = parseEvents((await getCalendar(meeting.id)).body);
+    await asOwner({ httpMethod: 'PUT', pathParameters: { id: meeting.id }, body: JSON.stringify({ time: '11:00' }) });
+    const response = await getCalendar(meeting.id);
+    const [after] = parseEvents(response.body);
+
+    assert.strictEqual(response.headers['Content-Type'], 'text/calendar; charset=utf-8');
+    assert.strictEqual(after.UID, before.UID);
+    assert.strictEqual(Number(after.SEQUENCE), Number(before.SEQUENCE) + 1);
+    assert.strictEqual(after.DTSTART, '20300201T110000Z');
+});
+
+test('deleted meetings are sent as cancellations with the same UID', async () => {
+    const { meeting } = JSON.parse((await asOwner({
+        httpMethod: 'POST',
+        body: JSON.stringify({ title: 'Cancelled talk', date: '2030-03-01', time: '10:00', duration: 60 })
+    })).body);
+    const [original] = parseEvents((await getCalendar(meeting.id)).body);
+
+    await asOwner({ httpMethod: 'DELETE', pathParameters: { id: meeting.id } });
+
+    const single = (await getCalendar(meeting.id)).body;
+    assert.ok(single.includes('METHOD:CANCEL'));
+    const feed = parseEvents((await getCalendar()).body);
+    const cancelled = feed.find(event => event.UID === original.UID);
+    assert.strictEqual(cancelled.STATUS, 'CANCELLED');
+    assert.ok(Number(cancelled.SEQUENCE) > Number(original.SEQUENCE));
+});
@@ -0,0 +1,164 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { parseCSV } = require('../lib/csv');
+
+let createSessionToken;
+let meetingsHandler;
+let bookingsHandler;
+let adminHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-cancel-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    meetingsHandler = require('../meetings').handler;
+    bookingsHandler = require('../bookings').handler;
+    adminHandler = require('../admin').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+const organiserHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'oscar', username: 'Oscar', role: 'organiser' })}`
+});
+
+async function importCSV(type, csv, dryRun, headers = ownerHeaders()) {
+    const response = await adminHandler({ httpMethod: 'POST', path: '/admin/import', headers, body: JSON.stringify({ type, csv, dryRun }) });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+const listMeetings = async () => JSON.parse((await meetingsHandler({ httpMethod: 'GET', headers: ownerHeaders() })).body);
+const lines = entries => entries.map(entry => entry.line);
+
+test('CSV is parsed as RFC 4180 describes, with quoted commas, quotes and line breaks', () => {
+    const { records } = parseCSV('\uFEFFTitle,Description\r\n"Walk, then lunch","Bring ""boots""\r\nand a coat"\r\n\r\nSwim,\n');
+    assert.deepStrictEqual(records, [
+        { line: 1, fields: ['Title', 'Description'] },
+        { line: 2, fields: ['Walk, then lunch', 'Bring "boots"\r\nand a coat'] },
+        { line: 5, fields: ['Swim', ''] }
+    ]);
+
+    assert.strictEqual(parseCSV('Title\n"Walk\nSwim\n').error, 'Line 2: a quoted field is never closed');
+    assert.strictEqual(parseCSV('Title\n"Walk" on\n').error, 'Line 2: a quoted field must end at its closing quote');
+    assert.strictEqual(parseCSV('Title\nThe "Walk"\n').error, 'Line 2: quotes must surround the whole field');
+});
+
+test('meetings are previewed row by row and imported from the summary export columns', async () => {
+    await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ title: 'Hill walk', date: '2030-11-01', time: '09:00', duration: 120 })
+    });
+
+    const csv = [
+        'Meeting ID,Title,Description,Date,Time,Time Zone,Duration (minutes),Location,Current Attendees,Max Attendees,Min Attendees',
+        ',Pottery,"Clay, wheels and\nglaze",2030-11-02,18:00,Europe/London,90,Studio,4,12,None',
+        ',Hill walk,,2030-11-01,09:00,UTC,120,,0,Unlimited,None',
+        ',Book club,,2030-11-03,19:00,,60,Library,,Unlimited,',
+        ',Pottery,,2030-11-02,18:00,Europe/London,90,Studio,,12,None',
+        ',Yoga,,2030-13-01,07:00,UTC,60,,,10,None',
+        ',Chess,,2030-11-04,19:00,UTC,60,,,few,None'
+    ].join('\r\n');
+
+    const preview = await importCSV('meetings', csv);
+    assert.strictEqual(preview.statusCode, 200);
+    assert.strictEqual(preview.dryRun, true);
+    assert.strictEqual(preview.rowCount, 6);
+    assert.deepStrictEqual(lines(preview.imported), [2, 5]);
+    assert.deepStrictEqual(lines(preview.duplicates), [4, 6]);
+    assert.deepStrictEqual(preview.errors, [
+        { line: 7, message: 'Invalid date or time format' },
+        { line: 8, message: 'Max Attendees must be a whole number above zero' }
+    ]);
+    assert.strictEqual((await listMeetings()).filter(m => m.title === 'Pottery').length, 0);
+
+    const committed = await importCSV('meetings', csv, false);
+    assert.strictEqual(committed.statusCode, 201);
+    const pottery = (await listMeetings()).find(m => m.title === 'Pottery');
+    assert.strictEqual(pottery.description, 'Clay, wheels and\nglaze');
+    assert.strictEqual(pottery.maxAttendees, 12);
+    assert.strictEqual(pottery.minAttendees, null);
+    assert.strictEqual(pottery.startsAt, '2030-11-02T18:00:00.000Z');
+
+    // Importing the same file again only finds duplicates
+    assert.deepStrictEqual(lines((await importCSV('meetings', csv)).duplicates), [2, 4, 5, 6]);
+});
+
+test('meetings import leaves out rows whose location is already in use unless conflicts are allowed', async () => {
+    await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ title: 'Choir', date: '2030-12-01', time: '18:00', duration: 120, location: 'Church Hall' })
+    });
+
+    const csv = [
+        'Title,Date,Time,Duration (minutes),Location',
+        'Dance,2030-12-01,19:00,90,church hall',
+        'Bridge,2030-12-02,19:00,60,Library',
+        'Chess,2030-12-02,19:30,60,Library',
+        'Quiz,2030-12-01,20:00,60,Church Hall'
+    ].join('\n');
+
+    const preview = await importCSV('meetings', csv);
+    assert.deepStrictEqual(lines(preview.imported), [3, 5]);
+    assert.deepStrictEqual(preview.conflicts.map(({ line, message }) => ({ line, message })), [
+        { line: 2, message: 'church hall is already in use at that time by Choir (2030-12-01 18:00)' },
+        { line: 4, message: 'Library is already in use at that time by Bridge (2030-12-02 19:00)' }
+    ]);
+    assert.strictEqual(preview.conflicts[0].conflicts[0].title, 'Choir');
+    assert.strictEqual(preview.capacityViolations, undefined);
+
+    const response = await adminHandler({
+        httpMethod: 'POST',
+        path: '/admin/import',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ type: 'meetings', csv, dryRun: false, allowConflicts: true })
+    });
+    const committed = JSON.parse(response.body);
+    assert.deepStrictEqual(lines(committed.imported), [2, 3, 4, 5]);
+    assert.deepStrictEqual(lines(committed.conflicts), [2, 4, 5]);
+});
+
+test('bookings import reports duplicates and full meetings, and only for meetings the admin runs', async () => {
+    const { meeting } = JSON.parse((await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ title: 'Canoeing', date: '2030-11-05', time: '10:00', duration: 60, maxAttendees: 3 })
+    })).body);
+    await bookingsHandler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId: meeting.id, email: 'first@example.com' }) });
+
+    const csv = [
+        'Email,Meeting Title,Meeting Date,Status',
+        'FIRST@example.com,Canoeing,2030-11-05,confirmed',
+        'second@example.com,canoeing,2030-11-05,',
+        'second@example.com,Canoeing,2030-11-05,',
+        'third@example.com,Canoeing,2030-11-05,',
+        'fourth@example.com,Canoeing,2030-11-05,',
+        'not-an-email,Canoeing,2030-11-05,',
+        'fifth@example.com,Canoeing,2030-11-06,',
+        'sixth@example.com,Canoeing,2030-11-05,cancelled'
+    ].join('\n');
+
+    const preview = await importCSV('bookings', csv);
+    assert.deepStrictEqual(lines(preview.imported), [3, 5]);
+    assert.deepStrictEqual(lines(preview.duplicates), [2, 4]);
+    assert.deepStrictEqual(preview.capacityViolations, [{ line: 6, message: 'Canoeing is full at 3 attendees' }]);
+    assert.deepStrictEqual(lines(preview.errors), [7, 8, 9]);
+
+    // Organisers can't import onto meetings they don't run
+    const organiserPreview = await importCSV('bookings', csv, true, organiserHeaders());
+    assert.strictEqual(organiserPreview.imported.length, 0);
+    assert.strictEqual(organiserPreview.errors[0].message, 'No meeting called Canoeing on 2030-11-05');
+
+    const committed = await importCSV('bookings', `Email,Meeting ID\nsecond@example.com,${meeting.id}\n`, false);
+    assert.strictEqual(committed.imported[0].booking.status, 'confirmed');
+    assert.strictEqual((await listMeetings()).find(m => m.id === meeting.id).currentAttendees, 2);
+
+    assert.strictEqual((await importCSV('bookings', 'Email\nsomeone@example.com\n')).statusCode, 400);
+    assert.strictEqual((await importCSV('attendees', 'Email\n')).statusCode, 400);
+});
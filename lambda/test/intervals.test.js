@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { meetingInterval, intervalsOverlap, findOverlapping } = require('../lib/intervals');
+
+const at = (time, duration) => meetingInterval({ date: '2031-05-01', time, timeZone: 'UTC', duration });
+
+test('meeting intervals run from the start for the duration in minutes', () => {
+    assert.deepStrictEqual(at('10:00', 90), {
+        start: Date.parse('2031-05-01T10:00:00Z'),
+        end: Date.parse('2031-05-01T11:30:00Z')
+    });
+    // The wall-clock time is read in the meeting's own zone
+    const london = meetingInterval({ date: '2031-07-01', time: '10:00', timeZone: 'Europe/London', duration: 60 });
+    assert.strictEqual(london.start, Date.parse('2031-07-01T09:00:00Z'));
+    assert.strictEqual(meetingInterval({ date: 'someday', time: '10:00', duration: 60 }), null);
+});
+
+test('intervals overlap when they share time, but not when one ends as the next starts', () => {
+    assert.strictEqual(intervalsOverlap(at('10:00', 60), at('10:30', 60)), true);
+    assert.strictEqual(intervalsOverlap(at('10:00', 180), at('11:00', 30)), true);
+    assert.strictEqual(intervalsOverlap(at('10:00', 60), at('11:00', 60)), false);
+    assert.strictEqual(intervalsOverlap(at('11:00', 60), at('10:00', 60)), false);
+    assert.strictEqual(intervalsOverlap(at('10:00', 0), at('10:00', 60)), true);
+    assert.strictEqual(intervalsOverlap(at('10:00', 60), null), false);
+});
+
+test('findOverlapping keeps the items that clash, in order', () => {
+    const meetings = [
+        { id: 'a', date: '2031-05-01', time: '09:00', timeZone: 'UTC', duration: 60 },
+        { id: 'b', date: '2031-05-01', time: '09:30', timeZone: 'UTC', duration: 60 },
+        { id: 'c', date: '2031-05-01', time: '11:00', timeZone: 'UTC', duration: 60 },
+        { id: 'd', date: '2031-05-02', time: '09:30', timeZone: 'UTC', duration: 60 }
+    ];
+    const clashes = findOverlapping(at('09:45', 60), meetings, meetingInterval);
+    assert.deepStrictEqual(clashes.map(m => m.id), ['a', 'b']);
+});
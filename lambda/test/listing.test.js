@@ -0,0 +1,81 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { parseMeetingQuery, queryMeetings } = require('../lib/meeting-query');
+
+let createSessionToken;
+let meetingsHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    meetingsHandler = require('../meetings').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+
+const createMeeting = (fields) => meetingsHandler({
+    httpMethod: 'POST',
+    headers: ownerHeaders(),
+    body: JSON.stringify({ time: '10:00', duration: 60, ...fields })
+});
+
+async function list(query) {
+    const response = await meetingsHandler({ httpMethod: 'GET', headers: {}, queryStringParameters: query });
+    return { statusCode: response.statusCode, headers: response.headers, body: JSON.parse(response.body) };
+}
+
+test('the listing filters by upcoming or past, date range and search words', async () => {
+    await createMeeting({ title: 'Lantern walk', date: '2031-01-10', location: 'Riverside' });
+    await createMeeting({ title: 'Lantern making', date: '2031-01-05', description: 'Paper and willow' });
+    await createMeeting({ title: 'Lantern parade', date: '2020-01-10', location: 'Riverside' });
+
+    const upcoming = await list({ q: 'lantern', when: 'upcoming' });
+    assert.deepStrictEqual(upcoming.body.map(m => m.title), ['Lantern making', 'Lantern walk']);
+    assert.strictEqual(upcoming.headers['X-Total-Count'], '2');
+    assert.strictEqual(upcoming.headers['X-Next-Cursor'], undefined);
+
+    assert.deepStrictEqual((await list({ q: 'lantern', when: 'past' })).body.map(m => m.title), ['Lantern parade']);
+    assert.deepStrictEqual((await list({ q: 'LANTERN riverside' })).body.map(m => m.title), ['Lantern parade', 'Lantern walk']);
+    assert.deepStrictEqual((await list({ q: 'willow' })).body.map(m => m.title), ['Lantern making']);
+    assert.deepStrictEqual((await list({ q: 'lantern', from: '2031-01-06', to: '2031-12-31' })).body.map(m => m.title), ['Lantern walk']);
+
+    assert.strictEqual((await list({ when: 'soon' })).statusCode, 400);
+    assert.strictEqual((await list({ from: '2031-02-01', to: '2031-01-01' })).statusCode, 400);
+    assert.strictEqual((await list({ limit: '0' })).statusCode, 400);
+});
+
+test('pages follow the cursor in the chosen order without repeats', async () => {
+    for (const [title, date] of [['Quilting bee', '2031-02-03'], ['Quilting club', '2031-02-01'], ['Quilting circle', '2031-02-02']]) {
+        await createMeeting({ title, date });
+    }
+
+    const first = await list({ q: 'quilting', sort: '-title', limit: '2' });
+    assert.deepStrictEqual(first.body.map(m => m.title), ['Quilting club', 'Quilting circle']);
+    assert.strictEqual(first.headers['X-Total-Count'], '3');
+
+    const cursor = first.headers['X-Next-Cursor'];
+    // Meetings added between pages don't shift the next one
+    await createMeeting({ title: 'Quilting class', date: '2031-02-04' });
+    const second = await list({ q: 'quilting', sort: '-title', limit: '2', cursor });
+    assert.deepStrictEqual(second.body.map(m => m.title), ['Quilting bee']);
+    assert.strictEqual(second.headers['X-Next-Cursor'], undefined);
+
+    assert.strictEqual((await list({ q: 'quilting', sort: 'date', cursor })).statusCode, 400);
+    assert.strictEqual((await list({ cursor: 'not-a-cursor' })).statusCode, 400);
+});
+
+test('tags match any one of those asked for, ignoring case', () => {
+    const meetings = [
+        { id: 'a', title: 'Salsa', date: '2031-03-01', time: '19:00', timeZone: 'UTC', tags: ['Dance', 'evening'] },
+        { id: 'b', title: 'Sketching', date: '2031-03-02', time: '10:00', timeZone: 'UTC', tags: ['art'] },
+        { id: 'c', title: 'Book club', date: '2031-03-03', time: '18:00', timeZone: 'UTC' }
+    ];
+    const { query } = parseMeetingQuery({ tags: 'dance, Art' });
+    assert.deepStrictEqual(queryMeetings(meetings, query).meetings.map(m => m.id), ['a', 'b']);
+});
@@ -0,0 +1,64 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { ownerHeaders, meetingsHandler, bookingsHandler, adminHandler, call, createMeeting: postMeeting } = require('./support/handlers');
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+const createMeeting = (fields) => postMeeting({ date: '2031-04-01', ...fields });
+
+test('meetings carry a category, tidied tags and a host, which can be cleared', async () => {
+    const { statusCode, body: { meeting } } = await createMeeting({
+        title: 'Bread baking',
+        category: 'workshop',
+        tags: 'Beginners, baking,  beginners ,',
+        host: { name: ' Bea Baker ', bio: 'Runs the corner bakery' }
+    });
+    assert.strictEqual(statusCode, 201);
+    assert.strictEqual(meeting.category, 'workshop');
+    assert.deepStrictEqual(meeting.tags, ['Beginners', 'baking']);
+    assert.deepStrictEqual(meeting.host, { name: 'Bea Baker', bio: 'Runs the corner bakery' });
+
+    assert.strictEqual((await createMeeting({ title: 'Bread', category: 'party' })).statusCode, 400);
+    assert.strictEqual((await createMeeting({ title: 'Bread', host: { bio: 'Nobody' } })).statusCode, 400);
+    assert.strictEqual((await createMeeting({ title: 'Bread', tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) })).statusCode, 400);
+
+    const updated = await call(meetingsHandler, {
+        httpMethod: 'PUT',
+        pathParameters: { id: meeting.id },
+        body: JSON.stringify({ category: '', tags: [], host: { name: '', bio: '' } })
+    });
+    assert.strictEqual(updated.body.meeting.category, null);
+    assert.deepStrictEqual(updated.body.meeting.tags, []);
+    assert.strictEqual(updated.body.meeting.host, null);
+});
+
+test('the listing, stats and meetings summary group by category and host', async () => {
+    const { body: { meeting: salsa } } = await createMeeting({ title: 'Salsa night', category: 'social', tags: ['dance'], host: { name: 'Rosa Ruiz' } });
+    const { body: { meeting: tango } } = await createMeeting({ title: 'Tango basics', time: '12:00', category: 'class', tags: ['dance'], host: { name: 'Rosa Ruiz' } });
+    for (const email of ['one@example.com', 'two@example.com']) {
+        await call(bookingsHandler, { httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId: salsa.id, email }) });
+    }
+    await call(bookingsHandler, { httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId: tango.id, email: 'three@example.com' }) });
+
+    const listed = async (query) => (await call(meetingsHandler, { httpMethod: 'GET', headers: {}, queryStringParameters: query })).body.map(m => m.title);
+    assert.deepStrictEqual(await listed({ q: 'rosa', category: 'social' }), ['Salsa night']);
+    assert.deepStrictEqual(await listed({ tags: 'dance' }), ['Salsa night', 'Tango basics']);
+    assert.strictEqual((await call(meetingsHandler, { httpMethod: 'GET', queryStringParameters: { category: 'party' } })).statusCode, 400);
+
+    const stats = (await call(adminHandler, { httpMethod: 'GET', path: '/admin/stats' })).body;
+    const social = stats.bookingsByCategory.find(group => group.category === 'social');
+    assert.deepStrictEqual(social, { category: 'social', meetings: 1, bookings: 2 });
+    assert.deepStrictEqual(stats.bookingsByHost.find(group => group.host === 'Rosa Ruiz'), { host: 'Rosa Ruiz', meetings: 2, bookings: 3 });
+
+    const summary = JSON.parse((await adminHandler({
+        httpMethod: 'GET',
+        path: '/admin/export',
+        headers: ownerHeaders(),
+        queryStringParameters: { type: 'meetings', format: 'json', meetingId: salsa.id }
+    })).body).meetings[0];
+    assert.strictEqual(summary['Category'], 'social');
+    assert.strictEqual(summary['Tags'], 'dance');
+    assert.strictEqual(summary['Host'], 'Rosa Ruiz');
+});
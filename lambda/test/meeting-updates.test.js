@@ -0,0 +1,37 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { meetingsHandler, bookingsHandler, call, callWithoutSession, createMeeting } = require('./support/handlers');
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+const update = (id, changes) => call(meetingsHandler, { httpMethod: 'PUT', pathParameters: { id }, body: JSON.stringify(changes) });
+const book = (meetingId, email) => callWithoutSession(bookingsHandler, { httpMethod: 'POST', body: JSON.stringify({ meetingId, email }) });
+
+test('capacity cannot drop below the seats taken, unverified holds included', async () => {
+    const { body: { meeting } } = await createMeeting({ title: 'Bread making', maxAttendees: 4, requireVerification: true });
+    assert.strictEqual((await book(meeting.id, 'flour@example.com')).body.booking.status, 'pending');
+    assert.strictEqual((await book(meeting.id, 'yeast@example.com')).body.booking.status, 'pending');
+
+    const refused = await update(meeting.id, { maxAttendees: 1 });
+    assert.strictEqual(refused.statusCode, 400);
+    assert.match(refused.body.error, /current booking count \(2\)/);
+    assert.strictEqual((await update(meeting.id, { maxAttendees: 2 })).statusCode, 200);
+});
+
+test('renaming a meeting renames it on its bookings', async () => {
+    const { body: { meeting } } = await createMeeting({ title: 'Cheese tasting' });
+    await book(meeting.id, 'brie@example.com');
+    await book(meeting.id, 'stilton@example.com');
+
+    const renamed = await update(meeting.id, { title: 'Cheese and wine' });
+    assert.strictEqual(renamed.statusCode, 200);
+    assert.strictEqual(renamed.body.updatedBookingsCount, 2);
+
+    const bookings = (await call(bookingsHandler, { httpMethod: 'GET' })).body.filter(b => b.meetingId === meeting.id);
+    assert.deepStrictEqual(bookings.map(b => b.meetingTitle), ['Cheese and wine', 'Cheese and wine']);
+
+    // Other edits leave the bookings alone
+    assert.strictEqual((await update(meeting.id, { duration: 90 })).body.updatedBookingsCount, 0);
+});
@@ -0,0 +1,32 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDynamoDb } = require('./support/fake-dynamodb');
+const { COLLECTIONS } = require('../lib/repository');
+const { createDocumentAdapter } = require('../lib/adapters/document');
+const { createLocalStore } = require('../lib/adapters/local');
+const { createDynamoDbAdapter } = require('../lib/adapters/dynamodb');
+const { migrate } = require('../scripts/migrate-storage');
+
+test('every collection arrives in the target, once however often it runs', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+
+    const source = createDocumentAdapter(COLLECTIONS, createLocalStore());
+    const target = createDynamoDbAdapter(COLLECTIONS, { tablePrefix: 'migrated', client: createFakeDynamoDb(COLLECTIONS, 'migrated') });
+
+    // One record in every collection, filled in with its partition key where it has one
+    for (const [collection, { partitionKey }] of Object.entries(COLLECTIONS)) {
+        const record = { id: `${collection}-1`, ...(partitionKey && { [partitionKey]: collection === 'bookings' ? 'meetings-1' : 'p1' }) };
+        await source.put(collection, record);
+    }
+    await source.put('bookings', { id: 'orphan', meetingId: 'gone' });
+
+    const copied = await migrate({ to: 'dynamodb', dryRun: false, source, target });
+    assert.deepStrictEqual(Object.keys(copied), Object.keys(COLLECTIONS));
+    for (const collection of Object.keys(COLLECTIONS)) {
+        assert.deepStrictEqual((await target.list(collection)).map(record => record.id), [`${collection}-1`], collection);
+    }
+
+    const again = await migrate({ to: 'dynamodb', dryRun: false, source, target });
+    assert.ok(Object.values(again).every(count => count === 0));
+});
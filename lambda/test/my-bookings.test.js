@@ -0,0 +1,129 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { meetingsHandler, bookingsHandler, callWithoutSession: call, createMeeting: postMeeting } = require('./support/handlers');
+
+let createBookingsToken;
+let verifyBookingsToken;
+let getNotifier;
+let repository;
+
+before(() => {
+    process.env.APP_URL = 'https://bookings.example.com/';
+
+    ({ createBookingsToken, verifyBookingsToken } = require('../lib/cancel-tokens'));
+    getNotifier = require('../lib/notifications').getNotifier;
+    repository = require('../lib/repository').getRepository();
+
+    mock.method(console, 'log', () => {});
+});
+
+async function createMeeting(fields) {
+    return (await postMeeting({ timeZone: 'UTC', ...fields })).body.meeting;
+}
+
+const book = (meetingId, email) => call(bookingsHandler, { httpMethod: 'POST', body: JSON.stringify({ meetingId, email }) });
+const requestLink = (email) => call(bookingsHandler, { httpMethod: 'POST', path: '/bookings/link', body: JSON.stringify({ email }) });
+const myBookings = (token) => call(bookingsHandler, { httpMethod: 'POST', path: '/bookings/mine', body: JSON.stringify({ token }) });
+
+// The token from the latest bookings link emailed to an address
+function linkTokenFor(email) {
+    const sent = getNotifier().transport.sent.filter(message => message.to === email && message.subject === 'Your bookings');
+    if (sent.length === 0) {
+        return null;
+    }
+    const url = sent[sent.length - 1].text.match(/https:\/\/\S+/)[0];
+    return new URL(url).searchParams.get('bookings');
+}
+
+test('a bookings link is only emailed to addresses with bookings, and the reply never says which', async () => {
+    const meeting = await createMeeting({ title: 'Seed swap', date: '2031-03-01' });
+    await book(meeting.id, 'fern@example.com');
+
+    const known = await requestLink('Fern@Example.com');
+    const unknown = await requestLink('nobody@example.com');
+    assert.strictEqual(known.statusCode, 200);
+    assert.strictEqual(unknown.statusCode, 200);
+    assert.strictEqual(unknown.body.message, known.body.message.replace('fern@example.com', 'nobody@example.com'));
+    assert.ok(linkTokenFor('fern@example.com'));
+    assert.strictEqual(linkTokenFor('nobody@example.com'), null);
+
+    assert.strictEqual((await requestLink('not an email')).statusCode, 400);
+    for (let i = 0; i < 4; i++) {
+        await requestLink('fern@example.com');
+    }
+    const limited = await requestLink('fern@example.com');
+    assert.strictEqual(limited.statusCode, 429);
+});
+
+test('the link shows only that attendee\'s bookings, which they can cancel', async () => {
+    const walk = await createMeeting({ title: 'Hedge walk', date: '2031-04-02' });
+    const talk = await createMeeting({ title: 'Bee talk', date: '2031-04-01' });
+    const past = await createMeeting({ title: 'Apple day', date: '2020-10-01' });
+    await book(walk.id, 'rowan@example.com');
+    await book(talk.id, 'Rowan@example.com');
+    await book(walk.id, 'someone.else@example.com');
+    await repository.bookings.updateForMeeting(past.id, bookings => {
+        bookings.push({ id: 'apple-day-booking', email: 'rowan@example.com', meetingId: past.id, status: 'confirmed', bookedAt: '2020-09-01T00:00:00Z', attendance: 'present' });
+    });
+
+    await requestLink('rowan@example.com');
+    const mine = await myBookings(linkTokenFor('rowan@example.com'));
+    assert.strictEqual(mine.statusCode, 200);
+    assert.strictEqual(mine.body.email, 'rowan@example.com');
+    assert.deepStrictEqual(mine.body.upcoming.map(b => b.meeting.title), ['Bee talk', 'Hedge walk']);
+    assert.deepStrictEqual(mine.body.past.map(b => [b.meeting.title, b.attendance, b.cancelToken]), [['Apple day', 'present', null]]);
+    assert.ok(!JSON.stringify(mine.body).includes('someone.else'));
+
+    const cancelled = await call(bookingsHandler, {
+        httpMethod: 'POST',
+        path: '/bookings/cancel',
+        body: JSON.stringify({ token: mine.body.upcoming[0].cancelToken })
+    });
+    assert.strictEqual(cancelled.statusCode, 200);
+    const after = await myBookings(linkTokenFor('rowan@example.com'));
+    assert.deepStrictEqual(after.body.upcoming.map(b => [b.meeting.title, b.status, b.cancelToken]), [
+        ['Bee talk', 'cancelled', null],
+        ['Hedge walk', 'confirmed', after.body.upcoming[1].cancelToken]
+    ]);
+    assert.ok(after.body.upcoming[1].cancelToken);
+});
+
+test('links that have run out or been tampered with are refused', async () => {
+    const now = new Date('2031-01-01T12:00:00Z');
+    const token = createBookingsToken('Ash@example.com', new Date(now.getTime() + 30 * 60 * 1000));
+    assert.deepStrictEqual(verifyBookingsToken(token, now), { email: 'ash@example.com', expiresAt: new Date('2031-01-01T12:30:00Z') });
+    assert.strictEqual(verifyBookingsToken(token, new Date('2031-01-01T12:30:00Z')), null);
+
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ email: 'oak@example.com', exp: Date.parse('2031-01-01T13:00:00Z') })).toString('base64url');
+    assert.strictEqual(verifyBookingsToken(`${forged}.${signature}`, now), null);
+    assert.strictEqual(verifyBookingsToken(payload, now), null);
+
+    const expired = await myBookings(createBookingsToken('ash@example.com', new Date(Date.now() - 1000)));
+    assert.strictEqual(expired.statusCode, 401);
+    assert.strictEqual(expired.body.code, 'invalidBookingsLink');
+});
+
+test('links are looked up by address without reading every booking, and limited per IP', async () => {
+    const meeting = await createMeeting({ title: 'Orchard tour', date: '2031-05-01' });
+    await book(meeting.id, 'Hazel@example.com');
+    mock.method(repository.bookings, 'list', () => {
+        throw new Error('bookings.list should not be needed');
+    });
+
+    assert.strictEqual((await requestLink('hazel@example.com')).statusCode, 200);
+    const mine = await myBookings(linkTokenFor('hazel@example.com'));
+    assert.deepStrictEqual(mine.body.upcoming.map(v => v.meeting.title), ['Orchard tour']);
+    repository.bookings.list.mock.restore();
+
+    const fromIp = email => call(bookingsHandler, {
+        httpMethod: 'POST',
+        path: '/bookings/link',
+        requestContext: { identity: { sourceIp: '198.51.100.7' } },
+        body: JSON.stringify({ email })
+    });
+    for (let i = 0; i < 20; i++) {
+        assert.strictEqual((await fromIp(`visitor${i}@example.com`)).statusCode, 200);
+    }
+    assert.strictEqual((await fromIp('visitor20@example.com')).statusCode, 429);
+});
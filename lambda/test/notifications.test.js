@@ -0,0 +1,190 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+let createSessionToken;
+let createNotifier;
+let getNotifier;
+let repository;
+let meetingsHandler;
+let bookingsHandler;
+let sendReminders;
+let adminHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-cancel-secret';
+    process.env.APP_URL = 'https://bookings.example.com/';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    ({ createNotifier, getNotifier } = require('../lib/notifications'));
+    repository = require('../lib/repository').getRepository();
+    meetingsHandler = require('../meetings').handler;
+    bookingsHandler = require('../bookings').handler;
+    sendReminders = require('../reminders').sendReminders;
+    adminHandler = require('../admin').handler;
+
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+
+async function createMeeting(fields) {
+    const response = await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ duration: 60, ...fields })
+    });
+    return JSON.parse(response.body).meeting;
+}
+
+async function book(meetingId, email) {
+    const response = await bookingsHandler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({ meetingId, email })
+    });
+    return JSON.parse(response.body).booking;
+}
+
+function sentTo(email) {
+    return getNotifier().transport.sent.filter(message => message.to === email);
+}
+
+test('failed sends are retried and every outcome is recorded against the booking', async () => {
+    let calls = 0;
+    const flaky = { send: async () => {
+        calls++;
+        if (calls < 3) {
+            throw new Error('Throttled');
+        }
+        return { messageId: 'm-1' };
+    } };
+    const broken = { send: async () => { throw new Error('Mailbox unavailable'); } };
+
+    const meeting = { id: 'retry-meeting', title: 'Retry', date: '2030-01-01', time: '10:00', duration: 30 };
+    const booking = { id: 'retry-booking', meetingId: meeting.id, email: 'retry@example.com' };
+
+    const sent = await createNotifier({ repository, transport: flaky, from: 'a@example.com', retryDelayMs: 0 })
+        .notify('bookingConfirmation', booking, meeting);
+    const failed = await createNotifier({ repository, transport: broken, from: 'a@example.com', retryDelayMs: 0 })
+        .notify('reminder', booking, meeting);
+
+    assert.strictEqual(sent.status, 'sent');
+    assert.strictEqual(sent.attempts, 3);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.attempts, 3);
+    assert.strictEqual(failed.error, 'Mailbox unavailable');
+
+    const recorded = (await repository.notifications.listByBookings([booking.id]))[booking.id];
+    assert.deepStrictEqual(recorded.map(n => [n.type, n.status]), [['bookingConfirmation', 'sent'], ['reminder', 'failed']]);
+});
+
+test('emails to many bookings go out together and failures are retried later, not during the request', async () => {
+    let inFlight = 0;
+    let mostInFlight = 0;
+    let down = true;
+    const transport = { send: async message => {
+        inFlight++;
+        mostInFlight = Math.max(mostInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        if (down && message.to === 'unlucky@example.com') {
+            throw new Error('Throttled');
+        }
+        return { messageId: `m-${message.to}` };
+    } };
+    const notifier = createNotifier({ repository, transport, from: 'a@example.com', retryDelayMs: 0 });
+
+    const meeting = await createMeeting({ title: 'Harvest supper', date: '2030-09-01', time: '18:00' });
+    const bookings = ['unlucky@example.com', ...Array.from({ length: 11 }, (_, i) => `guest${i}@example.com`)]
+        .map((email, i) => ({ id: `supper-${i}`, meetingId: meeting.id, email, status: 'confirmed' }));
+    await repository.bookings.updateForMeeting(meeting.id, current => {
+        current.push(...bookings);
+    });
+
+    const results = await notifier.notifyAll('meetingChanged', bookings, meeting);
+    assert.strictEqual(mostInFlight, 10);
+    assert.deepStrictEqual(results.filter(n => n.status === 'failed').map(n => [n.to, n.attempts, n.retry]), [['unlucky@example.com', 1, true]]);
+
+    down = false;
+    assert.deepStrictEqual(await notifier.retryFailed(), { retried: 1, sent: 1 });
+    assert.deepStrictEqual(await notifier.retryFailed(), { retried: 0, sent: 0 });
+    const [recorded] = (await repository.notifications.listByBookings(['supper-0']))['supper-0'];
+    assert.deepStrictEqual([recorded.status, recorded.attempts, recorded.retry], ['sent', 2, false]);
+});
+
+test('booking sends a confirmation with a calendar invite and a cancel link', async () => {
+    const meeting = await createMeeting({ title: 'Pottery', date: '2030-04-01', time: '18:00' });
+    const booking = await book(meeting.id, 'potter@example.com');
+
+    const [email] = sentTo('potter@example.com');
+    assert.strictEqual(email.subject, 'Booked: Pottery');
+    assert.match(email.text, /https:\/\/bookings\.example\.com\/\?cancel=/);
+    assert.strictEqual(email.attachments[0].filename, 'invite.ics');
+    assert.ok(email.attachments[0].content.includes('METHOD:PUBLISH'));
+    assert.ok(email.raw.includes('Content-Type: multipart/mixed'));
+
+    const bookings = JSON.parse((await bookingsHandler({ httpMethod: 'GET', headers: ownerHeaders() })).body);
+    const listed = bookings.find(b => b.id === booking.id);
+    assert.deepStrictEqual(listed.notifications.map(n => [n.type, n.status]), [['bookingConfirmation', 'sent']]);
+});
+
+test('deleting a meeting tells its attendees it is cancelled', async () => {
+    const meeting = await createMeeting({ title: 'Choir', date: '2030-05-01', time: '19:00' });
+    await book(meeting.id, 'singer@example.com');
+
+    await meetingsHandler({ httpMethod: 'DELETE', headers: ownerHeaders(), pathParameters: { id: meeting.id } });
+
+    const cancellation = sentTo('singer@example.com').find(email => email.subject === 'Cancelled: Choir');
+    assert.ok(cancellation);
+    assert.ok(cancellation.attachments[0].content.includes('METHOD:CANCEL'));
+});
+
+test('reminders go out once for meetings starting within the window', async () => {
+    const now = new Date('2030-06-01T09:00:00Z');
+    const soon = await createMeeting({ title: 'Standup', date: '2030-06-01', time: '12:00' });
+    const later = await createMeeting({ title: 'Retro', date: '2030-06-03', time: '12:00' });
+    await book(soon.id, 'early@example.com');
+    await book(later.id, 'early@example.com');
+
+    const first = await sendReminders({ now, hoursBefore: 24 });
+    const second = await sendReminders({ now, hoursBefore: 24 });
+
+    assert.strictEqual(first.sent, 1);
+    assert.strictEqual(second.sent, 0);
+    const reminders = sentTo('early@example.com').filter(email => email.subject.startsWith('Reminder:'));
+    assert.deepStrictEqual(reminders.map(email => email.subject), ['Reminder: Standup']);
+    assert.match(reminders[0].text, /starts in about 3 hours/);
+});
+
+test('owners can edit the email templates attendees receive', async () => {
+    const editTemplate = (headers, body) => adminHandler({
+        httpMethod: 'PUT',
+        path: '/admin/templates/bookingConfirmation',
+        pathParameters: { type: 'bookingConfirmation' },
+        headers,
+        body: JSON.stringify(body)
+    });
+
+    const viewer = { Authorization: `Bearer ${createSessionToken({ id: 'vic', username: 'Vic', role: 'viewer' })}` };
+    assert.strictEqual((await editTemplate(viewer, { subject: 'x', text: 'y' })).statusCode, 403);
+    assert.strictEqual((await editTemplate(ownerHeaders(), { subject: '', text: 'y' })).statusCode, 400);
+    assert.strictEqual((await editTemplate(ownerHeaders(), {
+        subject: 'See you at {{meetingTitle}}',
+        text: 'Hi {{email}}, you are in.'
+    })).statusCode, 200);
+
+    const listed = JSON.parse((await adminHandler({ httpMethod: 'GET', path: '/admin/templates', headers: ownerHeaders() })).body);
+    assert.ok(listed.templates.find(t => t.type === 'bookingConfirmation').customised);
+    assert.ok(listed.placeholders.meetingTitle);
+
+    const meeting = await createMeeting({ title: 'Chess', date: '2030-07-01', time: '18:00' });
+    await book(meeting.id, 'player@example.com');
+    const [email] = sentTo('player@example.com');
+    assert.strictEqual(email.subject, 'See you at Chess');
+    assert.strictEqual(email.text, 'Hi player@example.com, you are in.');
+});
@@ -0,0 +1,89 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { validateQuestions, validateAnswers, normalizeAnswers } = require('../lib/questions');
+
+let createSessionToken;
+let meetingsHandler;
+let bookingsHandler;
+let adminHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+    process.env.CANCEL_TOKEN_SECRET = 'test-cancel-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    meetingsHandler = require('../meetings').handler;
+    bookingsHandler = require('../bookings').handler;
+    adminHandler = require('../admin').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+const ownerHeaders = () => ({
+    Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}`
+});
+
+const QUESTIONS = [
+    { label: 'Full name', type: 'text', required: true, maxLength: 20 },
+    { label: 'Diet', type: 'select', options: ['None', 'Vegetarian', 'Vegan'] },
+    { label: 'I agree to be photographed', type: 'checkbox', required: true }
+];
+
+test('question lists are checked when a meeting is saved', () => {
+    assert.strictEqual(validateQuestions(QUESTIONS), null);
+    assert.match(validateQuestions([{ label: 'Diet', type: 'select', options: [] }]), /between 1 and 50 options/);
+    assert.match(validateQuestions([{ label: 'Age', type: 'number' }]), /type must be one of/);
+    assert.match(validateQuestions([{ label: 'Bio', type: 'text', maxLength: 5000 }]), /max length/);
+    assert.match(validateQuestions([{ label: '', type: 'text' }]), /label/);
+});
+
+test('answers must meet required flags, options and length limits', () => {
+    const questions = QUESTIONS.map((question, index) => ({ ...question, id: `q${index}` }));
+    const valid = { q0: '  Ada Lovelace ', q1: 'Vegan', q2: true };
+
+    assert.strictEqual(validateAnswers(questions, valid), null);
+    assert.match(validateAnswers(questions, { ...valid, q0: '' }), /Full name is required/);
+    assert.match(validateAnswers(questions, { ...valid, q0: 'x'.repeat(21) }), /at most 20 characters/);
+    assert.match(validateAnswers(questions, { ...valid, q1: 'Pescatarian' }), /one of the listed options/);
+    assert.match(validateAnswers(questions, { ...valid, q2: false }), /must be ticked/);
+    assert.deepStrictEqual(normalizeAnswers(questions, { ...valid, extra: 'ignored' }), { q0: 'Ada Lovelace', q1: 'Vegan', q2: true });
+});
+
+test('bookings are checked against the meeting form and answers are exported', async () => {
+    const { meeting } = JSON.parse((await meetingsHandler({
+        httpMethod: 'POST',
+        headers: ownerHeaders(),
+        body: JSON.stringify({ title: 'Gala dinner', date: '2030-10-01', time: '19:00', duration: 180, questions: QUESTIONS })
+    })).body);
+    const [name, diet, consent] = meeting.questions;
+
+    const missing = await bookingsHandler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({ meetingId: meeting.id, email: 'guest@example.com' })
+    });
+    assert.strictEqual(missing.statusCode, 400);
+    assert.match(JSON.parse(missing.body).error, /Full name is required/);
+
+    const booked = await bookingsHandler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({
+            meetingId: meeting.id,
+            email: 'guest@example.com',
+            answers: { [name.id]: 'Grace, Hopper', [diet.id]: 'Vegetarian', [consent.id]: true }
+        })
+    });
+    assert.strictEqual(booked.statusCode, 201);
+
+    const csv = (await adminHandler({
+        httpMethod: 'GET',
+        path: '/admin/export',
+        headers: ownerHeaders(),
+        queryStringParameters: { type: 'bookings' }
+    })).body;
+    const [header, row] = csv.split('\r\n');
+    assert.ok(header.endsWith('Answer: Full name,Answer: Diet,Answer: I agree to be photographed'));
+    assert.ok(row.endsWith('"Grace, Hopper",Vegetarian,Yes'));
+});
@@ -0,0 +1,100 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { validateRecurrence, generateOccurrenceDates } = require('../lib/recurrence');
+
+let createSessionToken;
+let meetingsHandler;
+
+const organiser = { id: 'oscar', username: 'Oscar', role: 'organiser' };
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    meetingsHandler = require('../meetings').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+async function call(event) {
+    const response = await meetingsHandler({
+        headers: { Authorization: `Bearer ${createSessionToken(organiser)}` },
+        ...event
+    });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+function createSeries(recurrence) {
+    return call({
+        httpMethod: 'POST',
+        body: JSON.stringify({ title: 'Yoga', date: '2030-01-07', time: '18:00', duration: 60, recurrence })
+    });
+}
+
+test('weekly rules repeat on the chosen weekdays until the end date', () => {
+    const dates = generateOccurrenceDates('2030-01-07', { frequency: 'weekly', weekdays: [1, 3], until: '2030-01-20' });
+    assert.deepStrictEqual(dates, ['2030-01-07', '2030-01-09', '2030-01-14', '2030-01-16']);
+});
+
+test('monthly rules skip months without the day and exceptions still count', () => {
+    assert.deepStrictEqual(
+        generateOccurrenceDates('2030-01-31', { frequency: 'monthly', count: 3 }),
+        ['2030-01-31', '2030-03-31', '2030-05-31']
+    );
+    assert.deepStrictEqual(
+        generateOccurrenceDates('2030-01-01', { frequency: 'daily', interval: 2, count: 3, exceptions: ['2030-01-03'] }),
+        ['2030-01-01', '2030-01-05']
+    );
+});
+
+test('rules need exactly one of an end date or a count', () => {
+    assert.ok(validateRecurrence({ frequency: 'daily' }, '2030-01-01'));
+    assert.ok(validateRecurrence({ frequency: 'daily', count: 2, until: '2030-02-01' }, '2030-01-01'));
+    assert.ok(validateRecurrence({ frequency: 'daily', until: '2040-01-01' }, '2030-01-01'));
+    assert.strictEqual(validateRecurrence({ frequency: 'daily', count: 2 }, '2030-01-01'), null);
+});
+
+test('a series creates one bookable meeting per occurrence', async () => {
+    const { statusCode, body } = await createSeries({ frequency: 'weekly', count: 3 });
+    assert.strictEqual(statusCode, 201);
+    assert.deepStrictEqual(body.meetings.map(m => m.date), ['2030-01-07', '2030-01-14', '2030-01-21']);
+    assert.strictEqual(new Set(body.meetings.map(m => m.id)).size, 3);
+    assert.ok(body.meetings.every(m => m.seriesId === body.series.id));
+});
+
+test('edits apply to one occurrence or the whole series', async () => {
+    const { meetings } = (await createSeries({ frequency: 'weekly', count: 3 })).body;
+    const edit = (meeting, changes) => call({
+        httpMethod: 'PUT',
+        pathParameters: { id: meeting.id },
+        body: JSON.stringify(changes)
+    });
+
+    assert.strictEqual((await edit(meetings[1], { title: 'Just this one' })).statusCode, 200);
+    const { statusCode, body } = await edit(meetings[0], { location: 'Studio 2', scope: 'series' });
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.meetings.length, 3);
+    assert.ok(body.meetings.every(m => m.location === 'Studio 2'));
+    // Fields the series edit didn't touch keep any per-occurrence changes
+    assert.deepStrictEqual(body.meetings.map(m => m.title), ['Yoga', 'Just this one', 'Yoga']);
+
+    assert.strictEqual((await edit(meetings[0], { date: '2030-02-01', scope: 'series' })).statusCode, 400);
+});
+
+test('cancelling an occurrence or the whole series', async () => {
+    const { meetings, series } = (await createSeries({ frequency: 'daily', count: 3 })).body;
+    const remove = (meeting, scope) => call({
+        httpMethod: 'DELETE',
+        pathParameters: { id: meeting.id },
+        queryStringParameters: scope ? { scope } : null
+    });
+
+    assert.strictEqual((await remove(meetings[1])).statusCode, 200);
+    const { body } = await remove(meetings[0], 'series');
+    assert.strictEqual(body.deletedMeetingsCount, 2);
+    assert.deepStrictEqual(body.deletedSeries.recurrence.exceptions, [meetings[1].date]);
+
+    const { body: remaining } = await call({ httpMethod: 'GET' });
+    assert.ok(!remaining.some(m => m.seriesId === series.id));
+});
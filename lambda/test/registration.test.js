@@ -0,0 +1,59 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { meetingsHandler, bookingsHandler, call, createMeeting: postMeeting } = require('./support/handlers');
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+// A meeting starting the given number of hours from now, in UTC
+function createMeeting(hoursAway, fields) {
+    const startsAt = new Date(Date.now() + hoursAway * 60 * 60 * 1000).toISOString();
+    return postMeeting({ date: startsAt.slice(0, 10), time: startsAt.slice(11, 16), timeZone: 'UTC', ...fields });
+}
+
+const book = (meetingId, email) => call(bookingsHandler, { httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId, email }) });
+const listed = async (id) => (await call(meetingsHandler, { httpMethod: 'GET' })).body.find(m => m.id === id);
+
+test('bookings are only taken while registration is open', async () => {
+    const { body: { meeting: early } } = await createMeeting(72, { title: 'Harvest supper', registrationOpensHoursBefore: 48 });
+    const notOpen = await listed(early.id);
+    assert.strictEqual(notOpen.registrationStatus, 'not-open');
+    assert.strictEqual(new Date(notOpen.registrationOpensAt).getTime(), new Date(early.startsAt).getTime() - 48 * 60 * 60 * 1000);
+    const tooEarly = await book(early.id, 'keen@example.com');
+    assert.strictEqual(tooEarly.statusCode, 403);
+    assert.strictEqual(tooEarly.body.code, 'registrationNotOpen');
+    assert.strictEqual(tooEarly.body.registrationOpensAt, notOpen.registrationOpensAt);
+
+    const { body: { meeting: late } } = await createMeeting(1, { title: 'Quiz night', registrationClosesHoursBefore: 2 });
+    assert.strictEqual((await listed(late.id)).registrationStatus, 'closed');
+    const tooLate = await book(late.id, 'late@example.com');
+    assert.strictEqual(tooLate.statusCode, 403);
+    assert.strictEqual(tooLate.body.code, 'registrationClosed');
+
+    // Without a window, bookings close when the meeting starts
+    const { body: { meeting: open } } = await createMeeting(1, { title: 'Book swap' });
+    assert.strictEqual((await listed(open.id)).registrationStatus, 'open');
+    assert.strictEqual((await book(open.id, 'reader@example.com')).statusCode, 201);
+    const { body: { meeting: started } } = await createMeeting(-1, { title: 'Morning run' });
+    assert.strictEqual((await book(started.id, 'runner@example.com')).body.code, 'registrationClosed');
+});
+
+test('windows must be whole hours and open before they close, and can be cleared', async () => {
+    assert.strictEqual((await createMeeting(24, { title: 'Choir', registrationOpensHoursBefore: 1.5 })).statusCode, 400);
+    const backwards = await createMeeting(24, { title: 'Choir', registrationOpensHoursBefore: 2, registrationClosesHoursBefore: 5 });
+    assert.strictEqual(backwards.statusCode, 400);
+    assert.strictEqual(backwards.body.error, 'Registration must open before it closes');
+
+    const { body: { meeting } } = await createMeeting(24, { title: 'Choir', registrationOpensHoursBefore: '12', registrationClosesHoursBefore: '' });
+    assert.strictEqual(meeting.registrationOpensHoursBefore, 12);
+    assert.strictEqual(meeting.registrationClosesHoursBefore, null);
+
+    const updated = await call(meetingsHandler, {
+        httpMethod: 'PUT',
+        pathParameters: { id: meeting.id },
+        body: JSON.stringify({ registrationOpensHoursBefore: '' })
+    });
+    assert.strictEqual(updated.body.meeting.registrationOpensHoursBefore, null);
+    assert.strictEqual((await listed(meeting.id)).registrationStatus, 'open');
+});
@@ -0,0 +1,221 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { startLocalS3 } = require('./support/local-s3');
+const { createFakeDynamoDb } = require('./support/fake-dynamodb');
+const { COLLECTIONS, createRepository } = require('../lib/repository');
+const { createDocumentAdapter } = require('../lib/adapters/document');
+const { createLocalStore } = require('../lib/adapters/local');
+const { createDynamoDbAdapter } = require('../lib/adapters/dynamodb');
+const { indexBookingEmails } = require('../scripts/index-booking-emails');
+
+let localS3;
+let dataDir;
+
+before(async () => {
+    localS3 = await startLocalS3({ maxLatencyMs: 5 });
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'booking-repository-'));
+
+    process.env.S3_ENDPOINT = localS3.endpoint;
+    process.env.BUCKET_NAME = 'repository-test-bucket';
+    process.env.AWS_ACCESS_KEY_ID = 'test';
+    process.env.AWS_SECRET_ACCESS_KEY = 'test';
+
+    // Write conflicts are expected in the concurrency tests
+    mock.method(console, 'warn', () => {});
+});
+
+after(async () => {
+    await localS3.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// Every adapter has to behave the same from the handlers' point of view
+const backends = {
+    memory: () => createDocumentAdapter(COLLECTIONS, createLocalStore()),
+    files: () => createDocumentAdapter(COLLECTIONS, createLocalStore({ dir: dataDir })),
+    s3: () => createDocumentAdapter(COLLECTIONS, require('../lib/storage')),
+    dynamodb: () => createDynamoDbAdapter(COLLECTIONS, { tablePrefix: 'test', client: createFakeDynamoDb(COLLECTIONS, 'test') })
+};
+
+for (const [name, createAdapter] of Object.entries(backends)) {
+    describe(`${name} repository`, () => {
+        let repository;
+        // The S3 stand-in is shared, so keep each backend's records apart
+        const id = suffix => `${name}-${suffix}`;
+
+        before(() => {
+            repository = createRepository(createAdapter());
+        });
+
+        test('creates, reads, updates and removes meetings', async () => {
+            await repository.meetings.create({ id: id('m1'), title: 'First' });
+            await assert.rejects(repository.meetings.create({ id: id('m1'), title: 'Again' }));
+
+            assert.strictEqual((await repository.meetings.get(id('m1'))).title, 'First');
+            assert.strictEqual(await repository.meetings.get(id('missing')), null);
+
+            const updated = await repository.meetings.update(id('m1'), meeting => ({ ...meeting, title: 'Renamed' }));
+            assert.strictEqual(updated.title, 'Renamed');
+            assert.strictEqual((await repository.meetings.get(id('m1'))).title, 'Renamed');
+
+            assert.strictEqual(await repository.meetings.update(id('m1'), () => false), null);
+            assert.strictEqual(await repository.meetings.update(id('missing'), meeting => meeting), null);
+
+            const removed = await repository.meetings.remove(id('m1'));
+            assert.strictEqual(removed.title, 'Renamed');
+            assert.strictEqual(await repository.meetings.remove(id('m1')), null);
+            assert.ok(!(await repository.meetings.list()).some(m => m.id === id('m1')));
+        });
+
+        test('groups bookings by meeting', async () => {
+            const meetingA = id('a');
+            const meetingB = id('b');
+            await repository.bookings.updateForMeeting(meetingA, bookings => {
+                bookings.push({ id: id('b1'), meetingId: meetingA, email: 'one@example.com' });
+                bookings.push({ id: id('b2'), meetingId: meetingA, email: 'two@example.com' });
+            });
+            await repository.bookings.put({ id: id('b3'), meetingId: meetingB, email: 'three@example.com' });
+
+            const byMeeting = await repository.bookings.listByMeetings([meetingA, meetingB, id('empty')]);
+            assert.deepStrictEqual(byMeeting[meetingA].map(b => b.id).sort(), [id('b1'), id('b2')]);
+            assert.deepStrictEqual(byMeeting[meetingB].map(b => b.id), [id('b3')]);
+            assert.deepStrictEqual(byMeeting[id('empty')], []);
+
+            assert.strictEqual((await repository.bookings.get(id('b3'))).email, 'three@example.com');
+            assert.strictEqual((await repository.bookings.listByMeeting(meetingA)).length, 2);
+        });
+
+        test('partition updates edit, replace or skip', async () => {
+            const meetingId = id('c');
+            await repository.bookings.updateForMeeting(meetingId, bookings => {
+                bookings.push({ id: id('c1'), meetingId, status: 'confirmed' });
+                bookings.push({ id: id('c2'), meetingId, status: 'waitlisted' });
+            });
+
+            await repository.bookings.updateForMeeting(meetingId, bookings => {
+                bookings.find(b => b.id === id('c2')).status = 'confirmed';
+            });
+            const afterEdit = await repository.bookings.listByMeeting(meetingId);
+            assert.ok(afterEdit.every(b => b.status === 'confirmed'));
+
+            await repository.bookings.updateForMeeting(meetingId, () => false);
+            assert.strictEqual((await repository.bookings.listByMeeting(meetingId)).length, 2);
+
+            await repository.bookings.updateForMeeting(meetingId, bookings => bookings.filter(b => b.id !== id('c1')));
+            assert.deepStrictEqual((await repository.bookings.listByMeeting(meetingId)).map(b => b.id), [id('c2')]);
+            assert.strictEqual(await repository.bookings.get(id('c1')), null);
+        });
+
+        test('concurrent partition updates are all applied', async () => {
+            const meetingId = id('race');
+            await Promise.all(Array.from({ length: 8 }, (_, i) =>
+                repository.bookings.updateForMeeting(meetingId, bookings => {
+                    bookings.push({ id: id(`race${i}`), meetingId });
+                })
+            ));
+
+            assert.strictEqual((await repository.bookings.listByMeeting(meetingId)).length, 8);
+        });
+
+        test('bookings are found by email in any case, across meetings', async () => {
+            const address = `${name}-ivy@example.com`;
+            await repository.bookings.updateForMeeting(id('e1'), bookings => {
+                bookings.push({ id: id('e1-1'), meetingId: id('e1'), email: `${name}-Ivy@Example.com` });
+                bookings.push({ id: id('e1-2'), meetingId: id('e1'), email: `${name}-oak@example.com` });
+            });
+            await repository.bookings.put({ id: id('e2-1'), meetingId: id('e2'), email: address });
+
+            const found = await repository.bookings.listByEmail(address.toUpperCase());
+            assert.deepStrictEqual(found.map(b => b.id).sort(), [id('e1-1'), id('e2-1')]);
+            assert.deepStrictEqual(await repository.bookings.listByEmail(`${name}-nobody@example.com`), []);
+        });
+
+        test('audit entries are appended and read back by day', async () => {
+            const [first, second] = [id('2031-01-01'), id('2031-01-02')];
+            await repository.auditLog.append(first, [{ id: id('e1'), day: first }]);
+            await Promise.all([
+                repository.auditLog.append(second, [{ id: id('e2'), day: second }]),
+                repository.auditLog.append(second, [{ id: id('e3'), day: second }])
+            ]);
+
+            const byDay = await repository.auditLog.listByDays([first, second, id('2031-01-03')]);
+            assert.deepStrictEqual(byDay[first].map(e => e.id), [id('e1')]);
+            assert.deepStrictEqual(byDay[second].map(e => e.id).sort(), [id('e2'), id('e3')]);
+            assert.deepStrictEqual(byDay[id('2031-01-03')], []);
+            assert.strictEqual((await repository.auditLog.list()).filter(e => e.id.startsWith(name)).length, 3);
+        });
+    });
+}
+
+test('on S3 each day of the audit log is its own object, and the old single object is still read', async () => {
+    const bucket = `/${process.env.BUCKET_NAME}`;
+    localS3.objects.set(`${bucket}/auditLog.json`, {
+        body: Buffer.from(JSON.stringify([{ id: 'legacy', day: 'legacy-2030-12-31' }])),
+        etag: '"legacy"'
+    });
+    const repository = createRepository(backends.s3());
+    await repository.auditLog.append('legacy-2031-01-01', [{ id: 'new', day: 'legacy-2031-01-01' }]);
+
+    assert.ok(localS3.objects.has(`${bucket}/auditLog/legacy-2031-01-01.json`));
+    assert.deepStrictEqual(JSON.parse(localS3.objects.get(`${bucket}/auditLog.json`).body), [{ id: 'legacy', day: 'legacy-2030-12-31' }]);
+
+    const byDay = await repository.auditLog.listByDays(['legacy-2030-12-31', 'legacy-2031-01-01']);
+    assert.deepStrictEqual(byDay['legacy-2030-12-31'].map(e => e.id), ['legacy']);
+    assert.deepStrictEqual(byDay['legacy-2031-01-01'].map(e => e.id), ['new']);
+    const ids = (await repository.auditLog.list()).map(e => e.id);
+    assert.ok(ids.includes('legacy') && ids.includes('new'));
+});
+
+test('bookings written before the email index existed are found once it is filled in', async () => {
+    const adapter = backends.memory();
+    const repository = createRepository(adapter);
+    await adapter.put('bookings', { id: 'old1', meetingId: 'm1', email: 'Ash@example.com' });
+    await adapter.put('bookings', { id: 'old2', meetingId: 'm2', email: 'ash@example.com' });
+    assert.deepStrictEqual(await repository.bookings.listByEmail('ash@example.com'), []);
+
+    await indexBookingEmails(repository);
+    await indexBookingEmails(repository);
+    assert.deepStrictEqual((await repository.bookings.listByEmail('ash@example.com')).map(b => b.id), ['old1', 'old2']);
+    assert.strictEqual((await adapter.list('bookingEmails')).length, 2);
+});
+
+describe('dynamodb partitions', () => {
+    test('changes too big for one transaction are written in several, and racing writers wait', async () => {
+        const client = createFakeDynamoDb(COLLECTIONS, 'test');
+        const repository = createRepository(createDynamoDbAdapter(COLLECTIONS, { tablePrefix: 'test', client }));
+        const meetingId = 'big';
+
+        await repository.bookings.updateForMeeting(meetingId, bookings => {
+            for (let i = 0; i < 250; i++) {
+                bookings.push({ id: `big${i}`, meetingId, meetingTitle: 'Old title' });
+            }
+        });
+        assert.strictEqual((await repository.bookings.listByMeeting(meetingId)).length, 250);
+        assert.ok(client.transactions.length >= 3 && client.transactions.every(count => count <= 100));
+
+        // A rename touching every booking, while someone else books
+        await Promise.all([
+            repository.bookings.updateForMeeting(meetingId, bookings => {
+                bookings.forEach(b => {
+                    b.meetingTitle = 'New title';
+                });
+            }),
+            repository.bookings.updateForMeeting(meetingId, bookings => {
+                bookings.push({ id: 'late', meetingId, meetingTitle: bookings[0].meetingTitle });
+            })
+        ]);
+
+        const bookings = await repository.bookings.listByMeeting(meetingId);
+        assert.strictEqual(bookings.length, 251);
+        assert.ok(bookings.filter(b => b.id !== 'late').every(b => b.meetingTitle === 'New title'));
+        const versionItem = client.tables.get('test-bookings').get('big|#version');
+        assert.strictEqual(versionItem.writingSince, undefined);
+
+        // Removing them all goes the same way
+        await repository.bookings.updateForMeeting(meetingId, () => []);
+        assert.deepStrictEqual(await repository.bookings.listByMeeting(meetingId), []);
+    });
+});
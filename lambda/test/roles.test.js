@@ -0,0 +1,108 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { headersFor: as, meetingsHandler, bookingsHandler, adminHandler, callWithoutSession: call } = require('./support/handlers');
+
+const owner = { id: 'olive', username: 'Olive', role: 'owner' };
+const organiser = { id: 'oscar', username: 'Oscar', role: 'organiser' };
+const otherOrganiser = { id: 'otto', username: 'Otto', role: 'organiser' };
+const viewer = { id: 'vera', username: 'Vera', role: 'viewer' };
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+async function createMeeting(admin, title) {
+    return call(meetingsHandler, {
+        httpMethod: 'POST',
+        headers: as(admin),
+        body: JSON.stringify({ title, date: '2030-01-01', time: '10:00', duration: 60 })
+    });
+}
+
+async function book(meetingId, email) {
+    const { body } = await call(bookingsHandler, {
+        httpMethod: 'POST',
+        body: JSON.stringify({ meetingId, email })
+    });
+    return body.booking;
+}
+
+test('meetings record who created them', async () => {
+    const { statusCode, body } = await createMeeting(organiser, 'Oscar session');
+    assert.strictEqual(statusCode, 201);
+    assert.strictEqual(body.meeting.createdBy, 'oscar');
+});
+
+test('viewers cannot create meetings or see bookings', async () => {
+    assert.strictEqual((await createMeeting(viewer, 'Nope')).statusCode, 403);
+    assert.strictEqual((await call(bookingsHandler, { httpMethod: 'GET', headers: as(viewer) })).statusCode, 403);
+    assert.strictEqual((await call(adminHandler, {
+        httpMethod: 'GET', path: '/admin/export', headers: as(viewer), queryStringParameters: { type: 'bookings' }
+    })).statusCode, 403);
+});
+
+test('organisers only edit and delete their own meetings', async () => {
+    const mine = (await createMeeting(organiser, 'Mine')).body.meeting;
+    const theirs = (await createMeeting(otherOrganiser, 'Theirs')).body.meeting;
+
+    const edit = (admin, meeting) => call(meetingsHandler, {
+        httpMethod: 'PUT',
+        headers: as(admin),
+        pathParameters: { id: meeting.id },
+        body: JSON.stringify({ title: `${meeting.title} (edited)` })
+    });
+    const remove = (admin, meeting) => call(meetingsHandler, {
+        httpMethod: 'DELETE',
+        headers: as(admin),
+        pathParameters: { id: meeting.id }
+    });
+
+    assert.strictEqual((await edit(organiser, theirs)).statusCode, 403);
+    assert.strictEqual((await remove(organiser, theirs)).statusCode, 403);
+    assert.strictEqual((await edit(organiser, mine)).statusCode, 200);
+    assert.strictEqual((await remove(organiser, mine)).statusCode, 200);
+
+    // Owners can manage anyone's meetings
+    assert.strictEqual((await edit(owner, theirs)).statusCode, 200);
+});
+
+test('organisers only see and remove bookings for their own meetings', async () => {
+    const mine = (await createMeeting(organiser, 'Bookable mine')).body.meeting;
+    const theirs = (await createMeeting(otherOrganiser, 'Bookable theirs')).body.meeting;
+    const myBooking = await book(mine.id, 'a@example.com');
+    const theirBooking = await book(theirs.id, 'b@example.com');
+
+    const { body: visible } = await call(bookingsHandler, { httpMethod: 'GET', headers: as(organiser) });
+    assert.ok(visible.some(b => b.id === myBooking.id));
+    assert.ok(!visible.some(b => b.id === theirBooking.id));
+
+    const removeBooking = (admin, booking) => call(bookingsHandler, {
+        httpMethod: 'DELETE',
+        headers: as(admin),
+        pathParameters: { id: booking.id }
+    });
+    assert.strictEqual((await removeBooking(organiser, theirBooking)).statusCode, 403);
+    assert.strictEqual((await removeBooking(organiser, myBooking)).statusCode, 200);
+});
+
+test('viewers get statistics without attendee emails', async () => {
+    const meeting = (await createMeeting(owner, 'Stats')).body.meeting;
+    await book(meeting.id, 'stats@example.com');
+
+    const { statusCode, body } = await call(adminHandler, { httpMethod: 'GET', path: '/admin', headers: as(viewer) });
+    assert.strictEqual(statusCode, 200);
+    assert.ok(body.recentBookings.length > 0);
+    assert.ok(body.recentBookings.every(b => b.email === undefined));
+});
+
+test('organiser statistics only cover their own meetings', async () => {
+    const { body } = await call(adminHandler, { httpMethod: 'GET', path: '/admin', headers: as(otherOrganiser) });
+    const { body: meetings } = await call(meetingsHandler, { httpMethod: 'GET', headers: as(owner) });
+    assert.strictEqual(body.overview.totalMeetings, meetings.filter(m => m.createdBy === 'otto').length);
+});
+
+test('the public meeting list does not say who created each meeting', async () => {
+    const { body } = await call(meetingsHandler, { httpMethod: 'GET' });
+    assert.ok(body.length > 0);
+    assert.ok(body.every(m => m.createdBy === undefined));
+});
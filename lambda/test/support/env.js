@@ -0,0 +1,3 @@
+// Defaults for every test process, loaded with --require by npm test. The booking form's
+// proof-of-work is tested on its own in abuse.test.js, everything else books without it.
+process.env.BOOKING_POW_DIFFICULTY ??= '0';
@@ -0,0 +1,117 @@
+// In-memory stand-in for the DynamoDB document client, answering the commands the adapter
+// sends and only the condition expressions it uses. Transactions are checked whole before any
+// write, and refuse more than 100 items, as the real service does.
+const MAX_TRANSACTION_ITEMS = 100;
+
+function conditionFailed(name) {
+    const error = new Error('The conditional request failed');
+    error.name = name;
+    if (name === 'TransactionCanceledException') {
+        error.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }];
+    }
+    return error;
+}
+
+function createFakeDynamoDb(collections, tablePrefix) {
+    const tables = new Map();
+    const transactions = [];
+
+    const partitionKeyOf = table => collections[table.slice(tablePrefix.length + 1)].partitionKey;
+    const itemsOf = table => {
+        if (!tables.has(table)) {
+            tables.set(table, new Map());
+        }
+        return tables.get(table);
+    };
+    const keyString = (table, key) => {
+        const partitionKey = partitionKeyOf(table);
+        return partitionKey ? `${key[partitionKey]}|${key.id}` : String(key.id);
+    };
+
+    function holds(existing, expression, values = {}) {
+        switch (expression) {
+            case undefined:
+                return true;
+            case 'attribute_not_exists(id)':
+                return !existing;
+            case 'attribute_exists(id) AND attribute_not_exists(revision)':
+                return !!existing && existing.revision === undefined;
+            case 'revision = :revision':
+                return !!existing && existing.revision === values[':revision'];
+            case 'version = :version':
+                return !!existing && existing.version === values[':version'];
+            default:
+                throw new Error(`Unsupported condition: ${expression}`);
+        }
+    }
+
+    const handlers = {
+        GetCommand({ TableName, Key }) {
+            return { Item: structuredClone(itemsOf(TableName).get(keyString(TableName, Key))) };
+        },
+        PutCommand({ TableName, Item, ConditionExpression, ExpressionAttributeValues }) {
+            const key = keyString(TableName, Item);
+            if (!holds(itemsOf(TableName).get(key), ConditionExpression, ExpressionAttributeValues)) {
+                throw conditionFailed('ConditionalCheckFailedException');
+            }
+            itemsOf(TableName).set(key, structuredClone(Item));
+            return {};
+        },
+        DeleteCommand({ TableName, Key }) {
+            const key = keyString(TableName, Key);
+            const existing = itemsOf(TableName).get(key);
+            itemsOf(TableName).delete(key);
+            return { Attributes: existing };
+        },
+        QueryCommand({ TableName, IndexName, ExpressionAttributeNames, ExpressionAttributeValues }) {
+            const all = [...itemsOf(TableName).values()];
+            const items = IndexName === 'id-index'
+                ? all.filter(item => item.id === ExpressionAttributeValues[':id'])
+                : all.filter(item => item[ExpressionAttributeNames['#pk']] === ExpressionAttributeValues[':value']);
+            return { Items: structuredClone(items) };
+        },
+        ScanCommand({ TableName }) {
+            return { Items: structuredClone([...itemsOf(TableName).values()]) };
+        },
+        TransactWriteCommand({ TransactItems }) {
+            if (TransactItems.length > MAX_TRANSACTION_ITEMS) {
+                const error = new Error('Member must have length less than or equal to 100');
+                error.name = 'ValidationException';
+                throw error;
+            }
+            for (const { Put, Delete, ConditionCheck } of TransactItems) {
+                const operation = Put || Delete || ConditionCheck;
+                const existing = itemsOf(operation.TableName).get(keyString(operation.TableName, Put ? Put.Item : operation.Key));
+                if (!holds(existing, operation.ConditionExpression, operation.ExpressionAttributeValues)) {
+                    throw conditionFailed('TransactionCanceledException');
+                }
+            }
+            for (const { Put, Delete } of TransactItems) {
+                if (Put) {
+                    itemsOf(Put.TableName).set(keyString(Put.TableName, Put.Item), structuredClone(Put.Item));
+                } else if (Delete) {
+                    itemsOf(Delete.TableName).delete(keyString(Delete.TableName, Delete.Key));
+                }
+            }
+            transactions.push(TransactItems.length);
+            return {};
+        }
+    };
+
+    return {
+        tables,
+        // Item counts of the transactions written so far
+        transactions,
+        async send(command) {
+            const handler = handlers[command.constructor.name];
+            if (!handler) {
+                throw new Error(`Unsupported command: ${command.constructor.name}`);
+            }
+            // Let other callers run in between, as they would against the real service
+            await new Promise(resolve => setImmediate(resolve));
+            return handler(command.input);
+        }
+    };
+}
+
+module.exports = { createFakeDynamoDb };
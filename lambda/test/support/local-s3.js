@@ -0,0 +1,75 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Minimal path-style S3 stand-in: GetObject and PutObject with ETags and conditional writes,
+// and ListObjectsV2 by prefix (in one page).
+// Every request is held for a random few milliseconds so concurrent callers interleave the
+// way they would against the real service.
+function startLocalS3({ maxLatencyMs = 15 } = {}) {
+    const objects = new Map();
+    let version = 0;
+
+    const sendError = (res, statusCode, code) => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            setTimeout(() => {
+                const url = new URL(req.url, 'http://localhost');
+                const key = decodeURIComponent(url.pathname);
+                const existing = objects.get(key);
+
+                if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+                    const bucket = key.replace(/\/$/, '');
+                    const prefix = `${bucket}/${url.searchParams.get('prefix') || ''}`;
+                    const contents = [...objects.keys()]
+                        .filter(name => name.startsWith(prefix))
+                        .sort()
+                        .map(name => `<Contents><Key>${name.slice(bucket.length + 1)}</Key></Contents>`);
+                    res.writeHead(200, { 'Content-Type': 'application/xml' });
+                    return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+                }
+
+                if (req.method === 'GET') {
+                    if (!existing) {
+                        return sendError(res, 404, 'NoSuchKey');
+                    }
+                    res.writeHead(200, { 'Content-Type': 'application/json', ETag: existing.etag });
+                    return res.end(existing.body);
+                }
+
+                if (req.method === 'PUT') {
+                    const ifMatch = req.headers['if-match'];
+                    const ifNoneMatch = req.headers['if-none-match'];
+                    if ((ifMatch && (!existing || existing.etag !== ifMatch)) || (ifNoneMatch === '*' && existing)) {
+                        return sendError(res, 412, 'PreconditionFailed');
+                    }
+
+                    const body = Buffer.concat(chunks);
+                    const etag = `"${crypto.createHash('md5').update(body).digest('hex')}-${++version}"`;
+                    objects.set(key, { body, etag });
+                    res.writeHead(200, { ETag: etag });
+                    return res.end();
+                }
+
+                sendError(res, 405, 'MethodNotAllowed');
+            }, Math.random() * maxLatencyMs);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                objects,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startLocalS3 };
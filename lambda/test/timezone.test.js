@@ -0,0 +1,62 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToUtc, meetingStart } = require('../lib/timezone');
+
+let createSessionToken;
+let meetingsHandler;
+
+before(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.ADMIN_SESSION_SECRET = 'test-session-secret';
+
+    createSessionToken = require('../lib/auth').createSessionToken;
+    meetingsHandler = require('../meetings').handler;
+
+    mock.method(console, 'log', () => {});
+});
+
+async function createMeeting(fields) {
+    const response = await meetingsHandler({
+        httpMethod: 'POST',
+        headers: { Authorization: `Bearer ${createSessionToken({ id: 'olive', username: 'Olive', role: 'owner' })}` },
+        body: JSON.stringify({ title: 'Evening class', duration: 60, ...fields })
+    });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('wall-clock times convert to instants in the given zone', () => {
+    const utc = (date, time, zone) => zonedTimeToUtc(date, time, zone).toISOString();
+    assert.strictEqual(utc('2030-01-07', '18:00', 'Europe/London'), '2030-01-07T18:00:00.000Z');
+    assert.strictEqual(utc('2030-07-07', '18:00', 'Europe/London'), '2030-07-07T17:00:00.000Z');
+    assert.strictEqual(utc('2030-07-07', '18:00', 'America/New_York'), '2030-07-07T22:00:00.000Z');
+    assert.strictEqual(utc('2030-07-07', '18:00', 'Asia/Kolkata'), '2030-07-07T12:30:00.000Z');
+});
+
+test('daylight saving gaps and repeats resolve predictably', () => {
+    // 01:30 doesn't exist on the day the clocks go forward, and happens twice when they go back
+    assert.strictEqual(zonedTimeToUtc('2030-03-31', '01:30', 'Europe/London').toISOString(), '2030-03-31T01:30:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2030-10-27', '01:30', 'Europe/London').toISOString(), '2030-10-27T00:30:00.000Z');
+    assert.ok(isNaN(zonedTimeToUtc('2030-02-30', '10:00', 'UTC').getTime()));
+});
+
+test('meetings without a time zone are read as UTC', () => {
+    assert.strictEqual(meetingStart({ date: '2030-07-07', time: '18:00' }).toISOString(), '2030-07-07T18:00:00.000Z');
+});
+
+test('meetings store their time zone and start instant', async () => {
+    const { statusCode, body } = await createMeeting({ date: '2030-07-07', time: '18:00', timeZone: 'America/New_York' });
+    assert.strictEqual(statusCode, 201);
+    assert.strictEqual(body.meeting.timeZone, 'America/New_York');
+    assert.strictEqual(body.meeting.startsAt, '2030-07-07T22:00:00.000Z');
+
+    const invalid = await createMeeting({ date: '2030-07-07', time: '18:00', timeZone: 'Mars/Olympus_Mons' });
+    assert.strictEqual(invalid.statusCode, 400);
+});
+
+test('series occurrences keep their local time across daylight saving changes', async () => {
+    const { body } = await createMeeting({
+        date: '2030-03-25', time: '18:00', timeZone: 'Europe/London',
+        recurrence: { frequency: 'weekly', count: 2 }
+    });
+    assert.deepStrictEqual(body.meetings.map(m => m.startsAt), ['2030-03-25T18:00:00.000Z', '2030-04-01T17:00:00.000Z']);
+});
@@ -0,0 +1,127 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { meetingsHandler, bookingsHandler, adminHandler, call, createMeeting: postMeeting } = require('./support/handlers');
+
+let repository;
+let purgeTrash;
+
+before(() => {
+    repository = require('../lib/repository').getRepository();
+    purgeTrash = require('../purge-trash').purgeTrash;
+
+    mock.method(console, 'log', () => {});
+});
+
+async function createMeeting(fields) {
+    return (await postMeeting({ date: '2030-09-01', ...fields })).body.meeting;
+}
+
+async function book(meetingId, email, waitlist = false) {
+    const { body } = await call(bookingsHandler, { httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId, email, waitlist }) });
+    return body.booking;
+}
+
+const listedMeeting = async (id) => (await call(meetingsHandler, { httpMethod: 'GET' })).body.find(m => m.id === id);
+const listedBooking = async (id) => (await call(bookingsHandler, { httpMethod: 'GET' })).body.find(b => b.id === id);
+const trash = async () => (await call(adminHandler, { httpMethod: 'GET', path: '/admin/trash' })).body;
+
+test('a deleted meeting goes to the trash with its bookings and can be restored', async () => {
+    const meeting = await createMeeting({ title: 'Pottery' });
+    const booking = await book(meeting.id, 'clay@example.com');
+
+    const deleted = await call(meetingsHandler, { httpMethod: 'DELETE', pathParameters: { id: meeting.id } });
+    assert.strictEqual(deleted.statusCode, 200);
+    assert.ok(deleted.body.deletedMeeting.deletedAt);
+    assert.strictEqual(await listedMeeting(meeting.id), undefined);
+    assert.strictEqual(await listedBooking(booking.id), undefined);
+    assert.strictEqual((await call(bookingsHandler, {
+        httpMethod: 'POST', headers: {}, body: JSON.stringify({ meetingId: meeting.id, email: 'late@example.com' })
+    })).statusCode, 404);
+
+    const trashed = (await trash()).meetings.find(m => m.id === meeting.id);
+    assert.strictEqual(trashed.bookingsCount, 1);
+    assert.strictEqual(trashed.deletedBy, 'Olive');
+    assert.ok(new Date(trashed.purgeAt) > new Date(trashed.deletedAt));
+
+    const restored = await call(meetingsHandler, { httpMethod: 'POST', path: `/meetings/${meeting.id}/restore`, pathParameters: { id: meeting.id } });
+    assert.strictEqual(restored.statusCode, 200);
+    assert.strictEqual(restored.body.restoredBookingsCount, 1);
+    assert.strictEqual((await listedMeeting(meeting.id)).currentAttendees, 1);
+    assert.strictEqual((await listedBooking(booking.id)).status, 'confirmed');
+    assert.ok(!(await trash()).meetings.some(m => m.id === meeting.id));
+});
+
+test('a deleted booking frees its seat and only comes back while there is one', async () => {
+    const meeting = await createMeeting({ title: 'Kayaking', maxAttendees: 1 });
+    const first = await book(meeting.id, 'paddle@example.com');
+    const second = await book(meeting.id, 'oar@example.com', true);
+    assert.strictEqual(second.status, 'waitlisted');
+
+    const deleted = await call(bookingsHandler, { httpMethod: 'DELETE', pathParameters: { id: first.id } });
+    assert.strictEqual(deleted.body.deletedBooking.status, 'deleted');
+    assert.deepStrictEqual(deleted.body.promotedBookings.map(b => b.id), [second.id]);
+    assert.strictEqual(await listedBooking(first.id), undefined);
+    assert.deepStrictEqual((await trash()).bookings.map(b => b.id), [first.id]);
+
+    const restore = (id) => call(bookingsHandler, { httpMethod: 'POST', path: `/bookings/${id}/restore`, pathParameters: { id } });
+    assert.strictEqual((await restore(first.id)).statusCode, 409);
+
+    await call(bookingsHandler, { httpMethod: 'DELETE', pathParameters: { id: second.id } });
+    const restored = await restore(first.id);
+    assert.strictEqual(restored.statusCode, 200);
+    assert.strictEqual(restored.body.booking.status, 'confirmed');
+    assert.strictEqual((await listedMeeting(meeting.id)).currentAttendees, 1);
+
+    // A trashed booking doesn't stop the attendee booking again
+    assert.strictEqual((await book(meeting.id, 'oar@example.com', true)).status, 'waitlisted');
+});
+
+test('the trash is purged after the retention period', async () => {
+    const meeting = await createMeeting({ title: 'Archery' });
+    const booking = await book(meeting.id, 'bow@example.com');
+    await call(meetingsHandler, { httpMethod: 'DELETE', pathParameters: { id: meeting.id } });
+
+    const soon = await purgeTrash({ now: new Date(Date.now() + 29 * 24 * 60 * 60 * 1000), retentionDays: 30 });
+    assert.deepStrictEqual(soon, { meetings: 0, series: 0, bookings: 0 });
+
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    const purged = await purgeTrash({ now: later, retentionDays: 30 });
+    assert.strictEqual(purged.meetings, 1);
+    assert.strictEqual(await repository.meetings.get(meeting.id), null);
+    assert.strictEqual(await repository.bookings.get(booking.id), null);
+    // The second booking deleted in the previous test is purged on its own
+    assert.strictEqual(purged.bookings, 2);
+
+    // Calendars still see the purged meeting as cancelled
+    const calendar = await call(meetingsHandler, { httpMethod: 'GET', path: `/meetings/${meeting.id}/calendar`, pathParameters: { id: meeting.id } });
+    assert.ok(calendar.body.includes('METHOD:CANCEL'));
+});
+
+test('a deleted booking is not restored over a newer booking by the same attendee', async () => {
+    const meeting = await createMeeting({ title: 'Canoeing' });
+    const old = await book(meeting.id, 'Rapids@example.com');
+    await call(bookingsHandler, { httpMethod: 'DELETE', pathParameters: { id: old.id } });
+    const again = await book(meeting.id, 'rapids@example.com');
+
+    const restore = () => call(bookingsHandler, { httpMethod: 'POST', path: `/bookings/${old.id}/restore`, pathParameters: { id: old.id } });
+    const refused = await restore();
+    assert.strictEqual(refused.statusCode, 409);
+    assert.match(refused.body.error, /already has a booking/);
+    assert.ok((await trash()).bookings.some(b => b.id === old.id));
+
+    await call(bookingsHandler, { httpMethod: 'DELETE', pathParameters: { id: again.id } });
+    assert.strictEqual((await restore()).statusCode, 200);
+});
+
+test('a booking past the retention period can no longer be restored', async () => {
+    const meeting = await createMeeting({ title: 'Sailing' });
+    const booking = await book(meeting.id, 'sail@example.com');
+    await call(bookingsHandler, { httpMethod: 'DELETE', pathParameters: { id: booking.id } });
+    await repository.bookings.updateForMeeting(meeting.id, bookings => {
+        bookings.find(b => b.id === booking.id).deletedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    });
+
+    const restored = await call(bookingsHandler, { httpMethod: 'POST', path: `/bookings/${booking.id}/restore`, pathParameters: { id: booking.id } });
+    assert.strictEqual(restored.statusCode, 410);
+    assert.strictEqual((await repository.bookings.get(booking.id)).status, 'deleted');
+});
@@ -0,0 +1,49 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { isConfirmedBooking, getWaitlist, promoteFromWaitlist } = require('../lib/waitlist');
+const { bookingsHandler, callWithoutSession, createMeeting } = require('./support/handlers');
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+test('bookings without a status count as confirmed, and the waitlist is in joining order', () => {
+    assert.strictEqual(isConfirmedBooking({}), true);
+    assert.strictEqual(isConfirmedBooking({ status: 'confirmed' }), true);
+    assert.strictEqual(isConfirmedBooking({ status: 'waitlisted' }), false);
+
+    const bookings = [
+        { id: 'late', meetingId: 'm1', status: 'waitlisted', waitlistedAt: '2031-01-02T00:00:00Z' },
+        { id: 'other', meetingId: 'm2', status: 'waitlisted', waitlistedAt: '2031-01-01T00:00:00Z' },
+        { id: 'early', meetingId: 'm1', status: 'waitlisted', waitlistedAt: '2031-01-01T00:00:00Z' }
+    ];
+    assert.deepStrictEqual(getWaitlist(bookings, 'm1').map(b => b.id), ['early', 'late']);
+});
+
+test('the front of the waitlist fills the free seats, held seats included', () => {
+    const now = new Date('2031-01-03T00:00:00Z');
+    const bookings = [
+        { id: 'in', meetingId: 'm1', status: 'confirmed' },
+        { id: 'held', meetingId: 'm1', status: 'pending', holdFor: 'seat', holdExpiresAt: '2031-01-03T00:30:00Z' },
+        { id: 'second', meetingId: 'm1', status: 'waitlisted', waitlistedAt: '2031-01-02T00:00:00Z' },
+        { id: 'first', meetingId: 'm1', status: 'waitlisted', waitlistedAt: '2031-01-01T00:00:00Z' }
+    ];
+
+    const promoted = promoteFromWaitlist(bookings, { id: 'm1', maxAttendees: 3 }, now);
+    assert.deepStrictEqual(promoted.map(b => [b.id, b.status, b.promotedAt]), [['first', 'confirmed', now.toISOString()]]);
+    assert.deepStrictEqual(promoteFromWaitlist(bookings, { id: 'm1', maxAttendees: 3 }, now), []);
+    assert.deepStrictEqual(promoteFromWaitlist(bookings, { id: 'm1' }, now).map(b => b.id), ['second']);
+});
+
+test('an address booked in another case is the same attendee, on the list or the waitlist', async () => {
+    const { body: { meeting } } = await createMeeting({ title: 'Book swap', maxAttendees: 1 });
+    const book = (email, waitlist) => callWithoutSession(bookingsHandler, { httpMethod: 'POST', body: JSON.stringify({ meetingId: meeting.id, email, waitlist }) });
+
+    assert.strictEqual((await book('Bob@Example.com')).statusCode, 201);
+    const again = await book('bob@example.com', true);
+    assert.strictEqual(again.statusCode, 400);
+    assert.strictEqual(again.body.error, 'You have already booked this meeting');
+
+    assert.strictEqual((await book('Ann@example.com', true)).body.booking.status, 'waitlisted');
+    assert.strictEqual((await book('ANN@example.com', true)).body.error, 'You are already on the waitlist for this meeting');
+});